@@ -0,0 +1,54 @@
+const User = require('../models/User');
+const ApiToken = require('../models/ApiToken');
+const auth = require('./auth');
+const { API_TOKEN_PREFIX, findApiToken } = require('../utils/sessions');
+
+// Don't write on every request of a refresh that pages through a feed
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const challenge = (res, message) => res
+  .status(401)
+  .set('WWW-Authenticate', 'Basic realm="ProductivityX", charset="UTF-8"')
+  .json({ message });
+
+// Authenticate with an API token, sent as the password of HTTP Basic authentication
+// (the user name is ignored), the way Power BI and Excel store feed credentials, or as
+// a Bearer token. Access tokens of signed-in sessions are accepted as well.
+const apiTokenAuth = async (req, res, next) => {
+  try {
+    const header = req.header('Authorization') || '';
+    let token = null;
+
+    if (/^Basic /i.test(header)) {
+      const credentials = Buffer.from(header.slice(6), 'base64').toString('utf8');
+      token = credentials.slice(credentials.indexOf(':') + 1);
+    } else if (header.startsWith(`Bearer ${API_TOKEN_PREFIX}`)) {
+      token = header.slice(7);
+    } else if (header.startsWith('Bearer ')) {
+      return auth(req, res, next);
+    }
+
+    if (!token) {
+      return challenge(res, 'No token, authorization denied');
+    }
+
+    const apiToken = await findApiToken(token);
+    const user = apiToken && await User.findById(apiToken.userId).select('-password');
+    if (!user) {
+      return challenge(res, 'API token is not valid');
+    }
+
+    if (!apiToken.lastUsedAt || Date.now() - apiToken.lastUsedAt > LAST_USED_RESOLUTION_MS) {
+      await ApiToken.updateOne({ _id: apiToken._id }, { $set: { lastUsedAt: new Date() } });
+    }
+
+    req.user = user;
+    req.apiToken = apiToken;
+    next();
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = apiTokenAuth;
@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
 
 const auth = async (req, res, next) => {
   try {
@@ -9,7 +10,14 @@ const auth = async (req, res, next) => {
       return res.status(401).json({ message: 'No token, authorization denied' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your_jwt_secret_key_here');
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Access tokens are tied to a server-side session so they stop working on logout
+    const session = decoded.sessionId && await Session.findById(decoded.sessionId);
+    if (!session || !session.isActive() || !session.userId.equals(decoded.userId)) {
+      return res.status(401).json({ message: 'Session has expired or was revoked' });
+    }
+
     const user = await User.findById(decoded.userId).select('-password');
     
     if (!user) {
@@ -17,6 +25,7 @@ const auth = async (req, res, next) => {
     }
 
     req.user = user;
+    req.sessionId = session._id;
     next();
   } catch (error) {
     res.status(401).json({ message: 'Token is not valid' });
@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const Workspace = require('../models/Workspace');
+
+const ROLE_RANK = {
+  viewer: 1,
+  member: 2,
+  admin: 3,
+  owner: 4
+};
+
+// Minimum workspace role for each action on a workspace task
+const TASK_ACTION_ROLES = {
+  read: 'viewer',
+  write: 'member',
+  delete: 'admin'
+};
+
+const hasRole = (role, minRole) => (ROLE_RANK[role] || 0) >= ROLE_RANK[minRole];
+
+// Load the user's workspace memberships and the filter of tasks they can see:
+// their personal tasks plus every task of their workspaces
+const workspaceScope = async (req, res, next) => {
+  try {
+    const workspaces = await Workspace.find({ 'members.userId': req.user._id }).select('name members');
+
+    req.memberships = new Map(workspaces.map(w => [String(w._id), w.roleOf(req.user._id)]));
+    req.taskScope = {
+      $or: [
+        { userId: req.user._id, workspaceId: null },
+        { workspaceId: { $in: workspaces.map(w => w._id) } }
+      ]
+    };
+    next();
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Role of the user for a task; personal tasks belong to their creator
+function taskRole(req, task) {
+  if (!task.workspaceId) {
+    return task.userId.equals(req.user._id) ? 'owner' : null;
+  }
+  return req.memberships.get(String(task.workspaceId)) || null;
+}
+
+// Check whether the user may perform an action on a task.
+// Members may delete the workspace tasks they created themselves.
+function canAccessTask(req, task, action) {
+  const role = taskRole(req, task);
+  if (!role) return false;
+  if (action === 'delete' && task.userId.equals(req.user._id) && hasRole(role, 'member')) return true;
+  return hasRole(role, TASK_ACTION_ROLES[action]);
+}
+
+// Load the task named by req.params.id into req.task when the user may perform `action` on it.
+// With `trashed`, only a task in the trash is loaded.
+const authorizeTask = (action = 'read', { trashed = false } = {}) => async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    const task = await Task.findOne({
+      _id: req.params.id,
+      ...req.taskScope,
+      deletedAt: trashed ? { $ne: null } : null
+    });
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+    if (!canAccessTask(req, task, action)) {
+      return res.status(403).json({ message: `You are not allowed to ${action} this task` });
+    }
+
+    req.task = task;
+    next();
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Require a minimum role in the workspace named by req.params.workspaceId,
+// loading it into req.workspace
+const requireWorkspaceRole = (minRole) => async (req, res, next) => {
+  try {
+    const workspace = mongoose.isValidObjectId(req.params.workspaceId)
+      ? await Workspace.findById(req.params.workspaceId)
+      : null;
+    const role = workspace && workspace.roleOf(req.user._id);
+
+    if (!role) {
+      return res.status(404).json({ message: 'Workspace not found' });
+    }
+    if (!hasRole(role, minRole)) {
+      return res.status(403).json({ message: `This requires the ${minRole} role in the workspace` });
+    }
+
+    req.workspace = workspace;
+    req.workspaceRole = role;
+    next();
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  ROLE_RANK,
+  hasRole,
+  workspaceScope,
+  canAccessTask,
+  authorizeTask,
+  requireWorkspaceRole
+};
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// Long-lived, read-only personal access token for the OData feed, for BI tools such as
+// Power BI and Excel that store credentials and refresh data without a user present
+const apiTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  // SHA-256 of the token; the token itself is only shown once, when created
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  // Last characters of the token, to tell tokens apart in lists
+  hint: {
+    type: String
+  },
+  lastUsedAt: {
+    type: Date
+  },
+  // No expiry when unset
+  expiresAt: {
+    type: Date
+  },
+  revokedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Whether the token can still be used to authenticate
+apiTokenSchema.methods.isActive = function(at = new Date()) {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > at);
+};
+
+// The hash never leaves the server
+apiTokenSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.tokenHash;
+    return ret;
+  }
+});
+
+// Index for efficient queries
+apiTokenSchema.index({ userId: 1, revokedAt: 1 });
+
+module.exports = mongoose.model('ApiToken', apiTokenSchema);
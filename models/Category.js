@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+const categorySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  key: {
+    type: String, // stored on tasks and in productivity breakdowns
+    required: true,
+    trim: true,
+    lowercase: true,
+    match: /^[a-z0-9-]+$/
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  color: {
+    type: String,
+    match: /^#[0-9a-fA-F]{6}$/,
+    default: '#6B7280'
+  },
+  weeklyBudget: {
+    type: Number, // in minutes
+    min: 0
+  },
+  order: {
+    type: Number,
+    default: 0
+  },
+  archived: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+categorySchema.index({ userId: 1, key: 1 }, { unique: true });
+
+module.exports = mongoose.model('Category', categorySchema);
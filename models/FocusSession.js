@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+
+const intervalSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['focus', 'break'],
+    required: true
+  },
+  startedAt: {
+    type: Date,
+    required: true
+  },
+  endedAt: {
+    type: Date
+  }
+}, { _id: false });
+
+const focusSessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  taskId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  },
+  status: {
+    type: String,
+    enum: ['active', 'paused', 'break', 'finished'],
+    default: 'active'
+  },
+  focusLength: {
+    type: Number, // in minutes
+    min: 1,
+    default: 25
+  },
+  shortBreakLength: {
+    type: Number, // in minutes
+    min: 1,
+    default: 5
+  },
+  longBreakLength: {
+    type: Number, // in minutes
+    min: 1,
+    default: 15
+  },
+  longBreakInterval: {
+    type: Number, // pomodoros before a long break
+    min: 1,
+    default: 4
+  },
+  intervals: [intervalSchema],
+  startedAt: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  endedAt: {
+    type: Date
+  },
+  focusMinutes: {
+    type: Number,
+    default: 0
+  },
+  breakCount: {
+    type: Number,
+    default: 0
+  },
+  pomodorosCompleted: {
+    type: Number,
+    default: 0
+  },
+  // Derived from status, for the index that allows one unfinished session per user
+  running: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+focusSessionSchema.pre('validate', function(next) {
+  this.running = this.status !== 'finished';
+  next();
+});
+
+// Close the interval that is currently running, if any
+focusSessionSchema.methods.closeInterval = function(at = new Date()) {
+  const current = this.intervals[this.intervals.length - 1];
+  if (current && !current.endedAt) {
+    current.endedAt = at;
+  }
+};
+
+// Recalculate focus minutes, breaks and completed pomodoros from the intervals
+focusSessionSchema.methods.computeTotals = function(at = new Date()) {
+  const focusMs = this.intervals
+    .filter(i => i.type === 'focus')
+    .reduce((sum, i) => sum + ((i.endedAt || at) - i.startedAt), 0);
+
+  this.focusMinutes = Math.round(focusMs / 60000);
+  this.breakCount = this.intervals.filter(i => i.type === 'break').length;
+  this.pomodorosCompleted = Math.floor(this.focusMinutes / this.focusLength);
+};
+
+// Index for efficient queries
+focusSessionSchema.index({ userId: 1, startedAt: -1 });
+focusSessionSchema.index({ userId: 1, status: 1 });
+// Only one unfinished session per user
+focusSessionSchema.index({ userId: 1 }, { unique: true, partialFilterExpression: { running: true } });
+
+module.exports = mongoose.model('FocusSession', focusSessionSchema);
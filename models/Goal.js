@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// What a goal measures: completed tasks (optionally of a category and priority), minutes
+// tracked in a category, focus minutes, or the average daily productivity score
+const METRICS = ['completedTasks', 'categoryTime', 'focusTime', 'productivityScore'];
+// Goals repeat every day, week, month or quarter, or cover one custom range
+const PERIODS = ['day', 'week', 'month', 'quarter', 'custom'];
+
+const goalSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  metric: {
+    type: String,
+    enum: METRICS,
+    required: true
+  },
+  // Category key; required for categoryTime, a filter for completedTasks
+  category: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  // Filter for completedTasks
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'urgent']
+  },
+  period: {
+    type: String,
+    enum: PERIODS,
+    required: true
+  },
+  // Calendar days of a custom period
+  startDate: {
+    type: Date
+  },
+  endDate: {
+    type: Date
+  },
+  // Tasks, minutes or a score from 0 to 100, depending on the metric
+  target: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  archived: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+goalSchema.index({ userId: 1, archived: 1 });
+
+module.exports = mongoose.model('Goal', goalSchema);
+module.exports.METRICS = METRICS;
+module.exports.PERIODS = PERIODS;
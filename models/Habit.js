@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// Habits are done every day, or a number of times per week
+const FREQUENCIES = ['daily', 'weekly'];
+
+const habitSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  frequency: {
+    type: String,
+    enum: FREQUENCIES,
+    default: 'daily'
+  },
+  // Check-ins per week a weekly habit aims for
+  timesPerWeek: {
+    type: Number,
+    min: 1,
+    max: 7,
+    default: 1
+  },
+  // Category key the habit's time is counted in, e.g. health or learning
+  category: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  // Minutes a check-in usually takes; check-ins can record their own
+  duration: {
+    type: Number, // in minutes
+    min: 0,
+    default: 0
+  },
+  // Add the minutes of check-ins to the category in the daily categoryBreakdown.
+  // Habits never count as planned or completed tasks.
+  countInProductivity: {
+    type: Boolean,
+    default: false
+  },
+  archived: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+habitSchema.index({ userId: 1, archived: 1 });
+
+module.exports = mongoose.model('Habit', habitSchema);
+module.exports.FREQUENCIES = FREQUENCIES;
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+const habitCheckInSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  habitId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Habit',
+    required: true
+  },
+  // Calendar day the habit was done on
+  date: {
+    type: Date,
+    required: true
+  },
+  // Minutes spent; the habit's duration when not given
+  duration: {
+    type: Number, // in minutes
+    min: 0
+  },
+  note: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// One check-in per habit and day
+habitCheckInSchema.index({ habitId: 1, date: 1 }, { unique: true });
+habitCheckInSchema.index({ userId: 1, date: 1 });
+
+module.exports = mongoose.model('HabitCheckIn', habitCheckInSchema);
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const { CHANNELS } = require('./Reminder');
+
+// Delivery of a notification through one external channel
+const deliverySchema = new mongoose.Schema({
+  channel: {
+    type: String,
+    enum: CHANNELS,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sent', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  error: {
+    type: String
+  },
+  sentAt: {
+    type: Date
+  }
+}, { _id: false });
+
+// An entry in a user's notifications inbox
+const notificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['reminder'],
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  message: {
+    type: String
+  },
+  taskId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  },
+  reminderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reminder'
+  },
+  occurrenceDate: {
+    type: String
+  },
+  // Identifies what the notification is about so it is only ever created once,
+  // e.g. a reminder firing for a given time
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // False when the user only wants it by email or webhook
+  inbox: {
+    type: Boolean,
+    default: true
+  },
+  readAt: {
+    type: Date,
+    default: null
+  },
+  // Email and webhook deliveries wait until deliverAt (the end of quiet hours);
+  // lockedUntil keeps other server instances off a delivery in progress
+  deliveries: [deliverySchema],
+  deliverAt: {
+    type: Date
+  },
+  lockedUntil: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+notificationSchema.index({ userId: 1, inbox: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, inbox: 1, readAt: 1 });
+notificationSchema.index({ 'deliveries.status': 1, deliverAt: 1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -38,11 +38,14 @@ const productivitySchema = new mongoose.Schema({
     default: 0
   },
   categoryBreakdown: {
-    work: { type: Number, default: 0 },
-    personal: { type: Number, default: 0 },
-    health: { type: Number, default: 0 },
-    learning: { type: Number, default: 0 },
-    other: { type: Number, default: 0 }
+    type: Map, // minutes per category key
+    of: Number,
+    default: {}
+  },
+  projectBreakdown: {
+    type: Map, // minutes per project ID
+    of: Number,
+    default: {}
   }
 }, {
   timestamps: true
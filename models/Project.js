@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+const projectSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  color: {
+    type: String,
+    match: /^#[0-9a-fA-F]{6}$/,
+    default: '#3B82F6'
+  },
+  weeklyBudget: {
+    type: Number, // in minutes
+    min: 0
+  },
+  archived: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+projectSchema.index({ userId: 1, archived: 1 });
+
+module.exports = mongoose.model('Project', projectSchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+const CHANNELS = ['inapp', 'email', 'webhook'];
+
+// A reminder a user set on a task: either `minutesBefore` the task starts (every
+// occurrence of a recurring task) or once at an absolute time `at`
+const reminderSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  taskId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  minutesBefore: {
+    type: Number,
+    min: 0
+  },
+  at: {
+    type: Date
+  },
+  // Empty means the user's default channels
+  channels: [{
+    type: String,
+    enum: CHANNELS
+  }],
+  // When the reminder fires next and for which occurrence; null once there is nothing left to fire
+  nextFireAt: {
+    type: Date,
+    default: null
+  },
+  occurrenceDate: {
+    type: String // YYYY-MM-DD of the occurrence of a recurring task
+  },
+  lastFiredAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+reminderSchema.pre('validate', function(next) {
+  if ((this.minutesBefore === undefined || this.minutesBefore === null) === !this.at) {
+    this.invalidate('minutesBefore', 'A reminder needs either minutesBefore or at');
+  }
+  next();
+});
+
+// Index for efficient queries
+reminderSchema.index({ nextFireAt: 1 });
+reminderSchema.index({ taskId: 1, userId: 1 });
+
+module.exports = mongoose.model('Reminder', reminderSchema);
+module.exports.CHANNELS = CHANNELS;
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 of the current refresh token; the token itself is never stored
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  // The refresh token it replaced and when, to tell a concurrent refresh from a replay
+  previousTokenHash: {
+    type: String
+  },
+  rotatedAt: {
+    type: Date
+  },
+  userAgent: {
+    type: String,
+    trim: true
+  },
+  ip: {
+    type: String
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Whether the session can still be used to authenticate
+sessionSchema.methods.isActive = function(at = new Date()) {
+  return !this.revokedAt && this.expiresAt > at;
+};
+
+// Index for efficient queries
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+// Remove sessions once their refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -1,4 +1,87 @@
 const mongoose = require('mongoose');
+const { clockMinutes, formatClock } = require('../utils/timezone');
+
+// Longest estimate a task can be created or imported with
+const MAX_DURATION_MINUTES = 24 * 60;
+
+// RRULE-style repetition rule (FREQ, INTERVAL, BYDAY, BYMONTHDAY, UNTIL, COUNT)
+const recurrenceSchema = new mongoose.Schema({
+  frequency: {
+    type: String,
+    enum: ['daily', 'weekly', 'monthly'],
+    required: true
+  },
+  interval: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  byWeekday: [{
+    type: Number, // 0 = Sunday ... 6 = Saturday
+    min: 0,
+    max: 6
+  }],
+  byMonthDay: [{
+    type: Number, // 1-31, or -1 for the last day of the month
+    min: -31,
+    max: 31
+  }],
+  until: {
+    type: Date
+  },
+  count: {
+    type: Number,
+    min: 1
+  }
+}, { _id: false });
+
+// Per-occurrence changes that leave the rest of the series untouched
+const exceptionSchema = new mongoose.Schema({
+  date: {
+    type: String, // YYYY-MM-DD of the original occurrence
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'in-progress', 'completed', 'cancelled']
+  },
+  scheduledDate: {
+    type: Date
+  },
+  scheduledTime: {
+    type: String
+  },
+  actualDuration: {
+    type: Number // in minutes
+  },
+  completedAt: {
+    type: Date
+  },
+  productivityScore: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  notes: {
+    type: String
+  }
+}, { _id: false });
+
+// Ordered checklist item; the array order is the display order
+const checklistItemSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  done: {
+    type: Boolean,
+    default: false
+  },
+  completedAt: {
+    type: Date
+  }
+});
 
 const taskSchema = new mongoose.Schema({
   userId: {
@@ -6,6 +89,14 @@ const taskSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace'
+  },
+  assigneeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   title: {
     type: String,
     required: true,
@@ -16,10 +107,15 @@ const taskSchema = new mongoose.Schema({
     trim: true
   },
   category: {
-    type: String,
-    enum: ['work', 'personal', 'health', 'learning', 'other'],
+    type: String, // key of one of the user's categories
+    trim: true,
+    lowercase: true,
     default: 'other'
   },
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project'
+  },
   priority: {
     type: String,
     enum: ['low', 'medium', 'high', 'urgent'],
@@ -42,6 +138,14 @@ const taskSchema = new mongoose.Schema({
     type: Number, // in minutes
     default: 60
   },
+  // Derived from scheduledTime and estimatedDuration so times can be range-queried:
+  // minutes since midnight of scheduledDate, endMinutes can run past midnight
+  startMinutes: {
+    type: Number
+  },
+  endMinutes: {
+    type: Number
+  },
   actualDuration: {
     type: Number, // in minutes
     default: 0
@@ -57,16 +161,108 @@ const taskSchema = new mongoose.Schema({
   },
   notes: {
     type: String
+  },
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  },
+  blockedBy: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  }],
+  checklist: [checklistItemSchema],
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  externalId: {
+    type: String // UID of the calendar event the task was imported from
+  },
+  recurrence: {
+    type: recurrenceSchema,
+    default: undefined
+  },
+  exceptions: {
+    type: [exceptionSchema],
+    default: undefined
+  },
+  // Set while the task is in the trash
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
   }
 }, {
   timestamps: true
 });
 
+// Normalise scheduledTime to HH:mm and derive the start and end minutes.
+// Older free-form times that aren't clock times are kept, without a time range.
+taskSchema.pre('validate', function(next) {
+  const start = clockMinutes(this.scheduledTime);
+  if (start === null) {
+    this.startMinutes = undefined;
+    this.endMinutes = undefined;
+  } else {
+    this.scheduledTime = formatClock(start);
+    this.startMinutes = start;
+    this.endMinutes = start + (this.estimatedDuration || 0);
+  }
+  next();
+});
+
+// Tasks in the trash are left out of every query and aggregation that doesn't
+// filter on deletedAt itself
+const QUERY_OPERATIONS = [
+  'find',
+  'findOne',
+  'findOneAndUpdate',
+  'findOneAndDelete',
+  'countDocuments',
+  'distinct',
+  'updateOne',
+  'updateMany',
+  'deleteOne',
+  'deleteMany'
+];
+
+taskSchema.pre(QUERY_OPERATIONS, function() {
+  if (this.getFilter().deletedAt === undefined) {
+    this.where({ deletedAt: null });
+  }
+});
+
+taskSchema.pre('aggregate', function() {
+  const [first] = this.pipeline();
+  if (first && first.$match) {
+    // A $text match has to stay the first stage
+    if (first.$match.deletedAt === undefined) first.$match.deletedAt = null;
+  } else {
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  }
+});
+
 // Index for efficient queries
 taskSchema.index({ userId: 1, scheduledDate: 1 });
+taskSchema.index({ userId: 1, scheduledDate: 1, startMinutes: 1 });
 taskSchema.index({ userId: 1, status: 1 });
+taskSchema.index({ workspaceId: 1, scheduledDate: 1 });
+taskSchema.index({ assigneeId: 1, scheduledDate: 1 });
+taskSchema.index({ userId: 1, 'recurrence.frequency': 1 });
+taskSchema.index({ userId: 1, externalId: 1 }, { sparse: true });
+taskSchema.index({ parentId: 1 });
+taskSchema.index({ userId: 1, projectId: 1 });
+taskSchema.index({ userId: 1, tags: 1 });
+taskSchema.index({ title: 'text', description: 'text', notes: 'text' });
+taskSchema.index({ blockedBy: 1 });
+taskSchema.index({ deletedAt: 1 });
 
 module.exports = mongoose.model('Task', taskSchema);
+module.exports.MAX_DURATION_MINUTES = MAX_DURATION_MINUTES;
 
 
 
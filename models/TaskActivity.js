@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+const ACTIONS = ['created', 'updated', 'deleted', 'restored', 'reverted'];
+const SOURCES = ['api', 'import', 'scheduler'];
+
+// One recorded change of a task: who made it, through what, the fields it changed
+// and the task as it was afterwards (before, for deletions), so it can be reverted to
+const taskActivitySchema = new mongoose.Schema({
+  taskId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  // Numbered per task from 1
+  version: {
+    type: Number,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ACTIONS,
+    required: true
+  },
+  source: {
+    type: String,
+    enum: SOURCES,
+    default: 'api'
+  },
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Owner, assignee and workspace of the task at the time, to list a person's activity
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  assigneeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace'
+  },
+  title: {
+    type: String
+  },
+  changes: [{
+    _id: false,
+    field: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // Version a revert went back to
+  revertedTo: {
+    type: Number
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for efficient queries
+taskActivitySchema.index({ taskId: 1, version: 1 }, { unique: true });
+taskActivitySchema.index({ actorId: 1, createdAt: -1 });
+taskActivitySchema.index({ ownerId: 1, createdAt: -1 });
+taskActivitySchema.index({ assigneeId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('TaskActivity', taskActivitySchema);
+module.exports.ACTIONS = ACTIONS;
+module.exports.SOURCES = SOURCES;
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+const timeEntrySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  taskId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  // Occurrence (YYYY-MM-DD) of a recurring task the time was tracked on
+  occurrenceDate: {
+    type: String
+  },
+  startedAt: {
+    type: Date,
+    required: true
+  },
+  endedAt: {
+    type: Date
+  },
+  duration: {
+    type: Number, // in minutes
+    min: 0,
+    default: 0
+  },
+  running: {
+    type: Boolean,
+    default: false
+  },
+  source: {
+    type: String,
+    enum: ['timer', 'manual', 'focus'],
+    default: 'manual'
+  },
+  note: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// Keep duration in sync with the start and end of the entry
+timeEntrySchema.pre('save', function(next) {
+  if (this.endedAt) {
+    this.duration = Math.max(0, Math.round((this.endedAt - this.startedAt) / 60000));
+  }
+  next();
+});
+
+// Index for efficient queries
+timeEntrySchema.index({ userId: 1, taskId: 1, startedAt: -1 });
+// Only one running timer per user
+timeEntrySchema.index({ userId: 1 }, { unique: true, partialFilterExpression: { running: true } });
+
+module.exports = mongoose.model('TimeEntry', timeEntrySchema);
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -18,6 +19,54 @@ const userSchema = new mongoose.Schema({
     type: String,
     required: true,
     minlength: 6
+  },
+  // IANA time zone used for day boundaries, e.g. "Europe/Berlin"
+  timeZone: {
+    type: String,
+    trim: true
+  },
+  // Set when a time zone change, or a change to a series reaching back before the metrics
+  // window, queued a rebuild of the daily productivity history
+  productivityRebuildAt: {
+    type: Date,
+    default: null
+  },
+  focusSettings: {
+    focusLength: { type: Number, min: 1, default: 25 },
+    shortBreakLength: { type: Number, min: 1, default: 5 },
+    longBreakLength: { type: Number, min: 1, default: 15 },
+    longBreakInterval: { type: Number, min: 1, default: 4 }
+  },
+  notificationSettings: {
+    // Channels used by reminders that don't name their own
+    channels: {
+      type: [{ type: String, enum: ['inapp', 'email', 'webhook'] }],
+      default: ['inapp']
+    },
+    webhookUrl: { type: String, trim: true },
+    // HH:mm in the user's time zone; email and webhook notifications wait until the end
+    quietHours: {
+      start: String,
+      end: String
+    }
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  // Single-use tokens are stored as SHA-256 hashes with an expiry
+  emailVerificationToken: {
+    hash: { type: String, index: true, sparse: true },
+    expiresAt: Date
+  },
+  passwordResetToken: {
+    hash: { type: String, index: true, sparse: true },
+    expiresAt: Date
+  },
+  calendarToken: {
+    type: String,
+    unique: true,
+    sparse: true
   }
 }, {
   timestamps: true
@@ -33,6 +82,30 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Generate a new secret token for the calendar subscription feed
+userSchema.methods.generateCalendarToken = function() {
+  this.calendarToken = crypto.randomBytes(24).toString('hex');
+  return this.calendarToken;
+};
+
+// Create a single-use token in `field` valid for `ttlMinutes`, returning the raw token to send by email
+userSchema.methods.generateEmailToken = function(field, ttlMinutes) {
+  const token = crypto.randomBytes(32).toString('hex');
+  this[field] = {
+    hash: crypto.createHash('sha256').update(token).digest('hex'),
+    expiresAt: new Date(Date.now() + ttlMinutes * 60000)
+  };
+  return token;
+};
+
+// Find the user holding an unexpired single-use token in `field`
+userSchema.statics.findByEmailToken = function(field, token) {
+  return this.findOne({
+    [`${field}.hash`]: crypto.createHash('sha256').update(String(token)).digest('hex'),
+    [`${field}.expiresAt`]: { $gt: new Date() }
+  });
+};
+
 module.exports = mongoose.model('User', userSchema);
 
 
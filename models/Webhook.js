@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const EVENTS = [
+  'task.created',
+  'task.updated',
+  'task.completed',
+  'task.deleted',
+  'productivity.daily_updated'
+];
+
+// An endpoint a user registered to receive events, signed with its secret
+const webhookSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  url: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  events: [{
+    type: String,
+    enum: EVENTS
+  }],
+  // Used as the HMAC key, so it has to be kept readable; only shown when created or rotated
+  secret: {
+    type: String,
+    required: true
+  },
+  active: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+webhookSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.secret;
+    return ret;
+  }
+});
+
+// Index for efficient queries
+webhookSchema.index({ userId: 1, active: 1 });
+
+module.exports = mongoose.model('Webhook', webhookSchema);
+module.exports.EVENTS = EVENTS;
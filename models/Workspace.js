@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+const ROLES = ['owner', 'admin', 'member', 'viewer'];
+
+const memberSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'member'
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: ROLES.filter(role => role !== 'owner'),
+    default: 'member'
+  },
+  token: {
+    type: String,
+    required: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+const workspaceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  members: [memberSchema],
+  invitations: [invitationSchema]
+}, {
+  timestamps: true
+});
+
+// Role of a user in the workspace, or null when they are not a member
+workspaceSchema.methods.roleOf = function(userId) {
+  const member = this.members.find(m => m.userId.equals(userId));
+  return member ? member.role : null;
+};
+
+// Index for efficient queries
+workspaceSchema.index({ 'members.userId': 1 });
+workspaceSchema.index({ 'invitations.token': 1 });
+
+module.exports = mongoose.model('Workspace', workspaceSchema);
+module.exports.ROLES = ROLES;
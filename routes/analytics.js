@@ -1,13 +1,48 @@
 const express = require('express');
+const { query, validationResult } = require('express-validator');
 const Productivity = require('../models/Productivity');
 const Task = require('../models/Task');
+const User = require('../models/User');
 const auth = require('../middleware/auth');
+const { workspaceScope, requireWorkspaceRole } = require('../middleware/authorize');
 const moment = require('moment');
+const { countBlocked } = require('../utils/dependencies');
+const { personalTaskFilter, metricsOwner } = require('../utils/productivity');
+const { userTimeZone, dateRange, calendarDay, today: todayIn } = require('../utils/timezone');
+const { buildTaskFilter } = require('../utils/taskQuery');
+const {
+  ROLLUP_GRANULARITIES,
+  completionStreaks,
+  completionHeatmap,
+  productivityRollups
+} = require('../utils/analytics');
+const { estimationAccuracy } = require('../utils/estimation');
+const { evaluateGoals } = require('../utils/goals');
+const { formatCSVRow } = require('../utils/csv');
+const {
+  EXPORT_FORMATS,
+  DATE_FORMATS,
+  TASK_EXPORT_COLUMNS,
+  selectColumns,
+  streamWriter,
+  streamTaskExport
+} = require('../utils/taskExport');
+const {
+  getCategories,
+  emptyBreakdown,
+  sumBreakdowns,
+  breakdownToObject,
+  countTasksByCategory,
+  categoryName
+} = require('../utils/categories');
 
 const router = express.Router();
 
+// Range rollups cover without startDate, per granularity
+const DEFAULT_ROLLUP_DAYS = { week: 84, month: 365, quarter: 730 };
+
 // All routes require authentication
-router.use(auth);
+router.use(auth, workspaceScope);
 
 // @route   GET /api/analytics/dashboard
 // @desc    Get analytics data for dashboard (Power BI compatible format)
@@ -15,8 +50,8 @@ router.use(auth);
 router.get('/dashboard', async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
-    const start = startDate ? moment(startDate).startOf('day').toDate() : moment().subtract(30, 'days').startOf('day').toDate();
-    const end = endDate ? moment(endDate).endOf('day').toDate() : moment().endOf('day').toDate();
+    const timeZone = userTimeZone(req.user);
+    const { start, end } = dateRange({ startDate, endDate }, timeZone);
 
     // Get productivity data
     const productivity = await Productivity.find({
@@ -24,12 +59,18 @@ router.get('/dashboard', async (req, res) => {
       date: { $gte: start, $lte: end }
     }).sort({ date: 1 });
 
-    // Get task data
+    // Get task data: the user's personal tasks and the workspace tasks assigned to them
     const tasks = await Task.find({
-      userId: req.user._id,
+      ...personalTaskFilter(req.user._id),
       scheduledDate: { $gte: start, $lte: end }
     });
 
+    const blockedTasks = await countBlocked(tasks);
+    const categories = await getCategories(req.user._id);
+
+    // Goals in their periods containing the last day of the range, or today
+    const goals = await evaluateGoals(req.user._id, timeZone, moment.min(calendarDay(end), todayIn(timeZone)));
+
     // Format data for Power BI
     const dashboardData = {
       dailyProductivity: productivity.map(p => ({
@@ -49,13 +90,8 @@ router.get('/dashboard', async (req, res) => {
           completed: tasks.filter(t => t.status === 'completed').length,
           cancelled: tasks.filter(t => t.status === 'cancelled').length
         },
-        byCategory: {
-          work: tasks.filter(t => t.category === 'work').length,
-          personal: tasks.filter(t => t.category === 'personal').length,
-          health: tasks.filter(t => t.category === 'health').length,
-          learning: tasks.filter(t => t.category === 'learning').length,
-          other: tasks.filter(t => t.category === 'other').length
-        },
+        blocked: blockedTasks,
+        byCategory: countTasksByCategory(tasks, categories),
         byPriority: {
           low: tasks.filter(t => t.priority === 'low').length,
           medium: tasks.filter(t => t.priority === 'medium').length,
@@ -73,13 +109,9 @@ router.get('/dashboard', async (req, res) => {
           ? productivity.reduce((sum, p) => sum + p.focusTime, 0) / productivity.length
           : 0
       },
-      categoryTimeBreakdown: productivity.reduce((acc, p) => {
-        Object.keys(p.categoryBreakdown).forEach(category => {
-          if (!acc[category]) acc[category] = 0;
-          acc[category] += p.categoryBreakdown[category] || 0;
-        });
-        return acc;
-      }, {}),
+      categoryTimeBreakdown: sumBreakdowns(productivity.map(p => p.categoryBreakdown), emptyBreakdown(categories)),
+      projectTimeBreakdown: sumBreakdowns(productivity.map(p => p.projectBreakdown)),
+      categories: categories.map(c => ({ key: c.key, name: c.name, color: c.color, archived: c.archived })),
       trends: {
         productivityTrend: productivity.map(p => ({
           date: moment(p.date).format('YYYY-MM-DD'),
@@ -101,7 +133,8 @@ router.get('/dashboard', async (req, res) => {
         bestDay: productivity.length > 0
           ? productivity.reduce((best, p) => p.productivityScore > best.productivityScore ? p : best, productivity[0])
           : null
-      }
+      },
+      goals
     };
 
     res.json(dashboardData);
@@ -111,14 +144,125 @@ router.get('/dashboard', async (req, res) => {
   }
 });
 
+// @route   GET /api/analytics/streaks
+// @desc    Get the current and longest runs of days with at least one completed task
+// @access  Private
+router.get('/streaks', async (req, res) => {
+  try {
+    res.json(await completionStreaks(req.user._id, userTimeZone(req.user)));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/analytics/heatmap
+// @desc    Get completed work per weekday and hour of the day (in the user's time zone) between
+//          startDate and endDate, from completedAt and actualDuration
+// @access  Private
+router.get('/heatmap', [
+  query('startDate').optional().isISO8601().withMessage('Start date must be a valid date'),
+  query('endDate').optional().isISO8601().withMessage('End date must be a valid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { startDate, endDate } = req.query;
+    const timeZone = userTimeZone(req.user);
+    const { start, end } = dateRange({ startDate, endDate }, timeZone, 90);
+
+    res.json({
+      dateRange: {
+        start: moment(start).format('YYYY-MM-DD'),
+        end: moment(end).format('YYYY-MM-DD')
+      },
+      ...(await completionHeatmap(req.user._id, start, end, timeZone))
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/analytics/rollups
+// @desc    Get the daily metrics between startDate and endDate summed per week, month or quarter
+//          (granularity=week|month|quarter). The first and last periods can be partial.
+// @access  Private
+router.get('/rollups', [
+  query('granularity').optional().isIn(ROLLUP_GRANULARITIES)
+    .withMessage(`Granularity must be one of ${ROLLUP_GRANULARITIES.join(', ')}`),
+  query('startDate').optional().isISO8601().withMessage('Start date must be a valid date'),
+  query('endDate').optional().isISO8601().withMessage('End date must be a valid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { granularity = 'week', startDate, endDate } = req.query;
+    const { start, end } = dateRange({ startDate, endDate }, userTimeZone(req.user), DEFAULT_ROLLUP_DAYS[granularity]);
+    if (start > end) {
+      return res.status(400).json({ message: 'Start date must be before end date' });
+    }
+
+    const categories = await getCategories(req.user._id);
+
+    res.json({
+      granularity,
+      dateRange: {
+        start: moment(start).format('YYYY-MM-DD'),
+        end: moment(end).format('YYYY-MM-DD')
+      },
+      periods: await productivityRollups(req.user._id, start, end, granularity, categories)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/analytics/estimation
+// @desc    Get how estimates compare with tracked time for completed tasks scheduled between
+//          startDate and endDate: median over/under-run and spread, overall and per category,
+//          priority and weekday
+// @access  Private
+router.get('/estimation', [
+  query('startDate').optional().isISO8601().withMessage('Start date must be a valid date'),
+  query('endDate').optional().isISO8601().withMessage('End date must be a valid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { startDate, endDate } = req.query;
+    const { start, end } = dateRange({ startDate, endDate }, userTimeZone(req.user), 90);
+
+    res.json({
+      dateRange: {
+        start: moment(start).format('YYYY-MM-DD'),
+        end: moment(end).format('YYYY-MM-DD')
+      },
+      ...(await estimationAccuracy(req.user._id, start, end))
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   GET /api/analytics/export
 // @desc    Export analytics data in CSV/JSON format for Power BI
 // @access  Private
 router.get('/export', async (req, res) => {
   try {
     const { format = 'json', startDate, endDate } = req.query;
-    const start = startDate ? moment(startDate).startOf('day').toDate() : moment().subtract(90, 'days').startOf('day').toDate();
-    const end = endDate ? moment(endDate).endOf('day').toDate() : moment().endOf('day').toDate();
+    const { start, end } = dateRange({ startDate, endDate }, userTimeZone(req.user), 90);
 
     const productivity = await Productivity.find({
       userId: req.user._id,
@@ -126,16 +270,22 @@ router.get('/export', async (req, res) => {
     }).sort({ date: 1 });
 
     if (format === 'csv') {
-      // Convert to CSV format
-      const csvHeader = 'Date,Tasks Completed,Tasks Planned,Productivity Score,Total Work Time (min),Focus Time (min),Breaks,Work Time,Personal Time,Health Time,Learning Time,Other Time\n';
+      // One time column per category of the user, including archived ones and
+      // any keys only found in the stored history
+      const categories = await getCategories(req.user._id);
+      const categoryKeys = Object.keys(sumBreakdowns(productivity.map(p => p.categoryBreakdown), emptyBreakdown(categories)));
+
+      const csvHeader = formatCSVRow(['Date', 'Tasks Completed', 'Tasks Planned', 'Productivity Score',
+        'Total Work Time (min)', 'Focus Time (min)', 'Breaks',
+        ...categoryKeys.map(key => `${categoryName(categories, key)} Time`)]);
       const csvRows = productivity.map(p => {
-        const date = moment(p.date).format('YYYY-MM-DD');
-        const cat = p.categoryBreakdown;
-        return `${date},${p.tasksCompleted},${p.tasksPlanned},${p.productivityScore},${p.totalWorkTime},${p.focusTime},${p.breaks},${cat.work || 0},${cat.personal || 0},${cat.health || 0},${cat.learning || 0},${cat.other || 0}`;
-      }).join('\n');
+        const cat = breakdownToObject(p.categoryBreakdown);
+        return formatCSVRow([moment(p.date).format('YYYY-MM-DD'), p.tasksCompleted, p.tasksPlanned, p.productivityScore,
+          p.totalWorkTime, p.focusTime, p.breaks, ...categoryKeys.map(key => cat[key] || 0)]);
+      }).join('');
 
       res.setHeader('Content-Type', 'text/csv');
-      res.setHeader('Content-Disposition', `attachment; filename=productivity_export_${moment().format('YYYY-MM-DD')}.csv`);
+      res.setHeader('Content-Disposition', `attachment; filename=productivity_export_${todayIn(userTimeZone(req.user)).format('YYYY-MM-DD')}.csv`);
       res.send(csvHeader + csvRows);
     } else {
       // JSON format
@@ -153,7 +303,8 @@ router.get('/export', async (req, res) => {
           totalWorkTime: p.totalWorkTime,
           focusTime: p.focusTime,
           breaks: p.breaks,
-          categoryBreakdown: p.categoryBreakdown
+          categoryBreakdown: breakdownToObject(p.categoryBreakdown),
+          projectBreakdown: breakdownToObject(p.projectBreakdown)
         }))
       });
     }
@@ -163,5 +314,125 @@ router.get('/export', async (req, res) => {
   }
 });
 
+// @route   GET /api/analytics/export/tasks
+// @desc    Export the user's tasks for Power BI, one row per task or occurrence of a recurring task,
+//          as CSV, JSON or XLSX (format=csv|json|xlsx). Streamed, so any range can be exported.
+//          Takes the task list filters, columns=<keys> to pick columns and dateFormat=iso|local|unix
+//          or a moment.js pattern; XLSX dates are Excel dates in the user's time zone.
+// @access  Private
+router.get('/export/tasks', [
+  query('format').optional().isIn(Object.keys(EXPORT_FORMATS))
+    .withMessage(`Format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}`),
+  query('startDate').optional().isISO8601().withMessage('Start date must be a valid date'),
+  query('endDate').optional().isISO8601().withMessage('End date must be a valid date'),
+  query('columns').optional()
+    .custom(value => String(value).split(',').every(key => TASK_EXPORT_COLUMNS.some(c => c.key === key.trim())))
+    .withMessage(`Columns must be a comma-separated list of ${TASK_EXPORT_COLUMNS.map(c => c.key).join(', ')}`),
+  query('dateFormat').optional().isLength({ min: 1, max: 40 })
+    .withMessage(`Date format must be ${DATE_FORMATS.join(', ')} or a date pattern`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { format = 'csv', startDate, endDate, dateFormat = 'iso' } = req.query;
+    const timeZone = userTimeZone(req.user);
+    const { start, end } = dateRange({ startDate, endDate }, timeZone, 90);
+    const { contentType, extension } = EXPORT_FORMATS[format];
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename=tasks_export_${todayIn(timeZone).format('YYYY-MM-DD')}.${extension}`);
+
+    await streamTaskExport(streamWriter(res), {
+      format,
+      filter: buildTaskFilter(personalTaskFilter(req.user._id), req.query),
+      statusParams: req.query,
+      start,
+      end,
+      columns: selectColumns(req.query.columns),
+      dateFormat,
+      timeZone,
+      userId: req.user._id
+    });
+    res.end();
+  } catch (error) {
+    console.error(error);
+    // Once rows went out, the client can only learn of the failure from the broken download
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.removeHeader('Content-Disposition');
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/analytics/workspaces/:workspaceId
+// @desc    Get task analytics for a workspace, overall and per member.
+//          Built from the workspace tasks only, so members' personal metrics stay private.
+// @access  Private (viewer)
+router.get('/workspaces/:workspaceId', requireWorkspaceRole('viewer'), async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+    const { start, end } = dateRange({ startDate, endDate }, userTimeZone(req.user));
+
+    const tasks = await Task.find({
+      workspaceId: req.workspace._id,
+      scheduledDate: { $gte: start, $lte: end }
+    });
+    const users = await User.find({ _id: { $in: req.workspace.members.map(m => m.userId) } }).select('name email');
+
+    const today = todayIn(userTimeZone(req.user));
+    const summarize = (list) => ({
+      total: list.length,
+      completed: list.filter(t => t.status === 'completed').length,
+      completionRate: list.length > 0 ? (list.filter(t => t.status === 'completed').length / list.length) * 100 : 0,
+      overdue: list.filter(t => ['pending', 'in-progress'].includes(t.status) && moment(t.scheduledDate).isBefore(today)).length,
+      estimatedTime: list.reduce((sum, t) => sum + (t.estimatedDuration || 0), 0),
+      actualTime: list.reduce((sum, t) => sum + (t.actualDuration || 0), 0)
+    });
+
+    res.json({
+      workspace: { id: req.workspace._id, name: req.workspace.name },
+      dateRange: {
+        start: moment(start).format('YYYY-MM-DD'),
+        end: moment(end).format('YYYY-MM-DD')
+      },
+      summary: summarize(tasks),
+      taskBreakdown: {
+        byStatus: {
+          pending: tasks.filter(t => t.status === 'pending').length,
+          inProgress: tasks.filter(t => t.status === 'in-progress').length,
+          completed: tasks.filter(t => t.status === 'completed').length,
+          cancelled: tasks.filter(t => t.status === 'cancelled').length
+        },
+        blocked: await countBlocked(tasks),
+        byCategory: countTasksByCategory(tasks, []),
+        byPriority: {
+          low: tasks.filter(t => t.priority === 'low').length,
+          medium: tasks.filter(t => t.priority === 'medium').length,
+          high: tasks.filter(t => t.priority === 'high').length,
+          urgent: tasks.filter(t => t.priority === 'urgent').length
+        },
+        unassigned: tasks.filter(t => !t.assigneeId).length
+      },
+      // Tasks count towards their assignee, or their creator when unassigned
+      members: req.workspace.members.map(member => {
+        const user = users.find(u => u._id.equals(member.userId));
+        return {
+          userId: member.userId,
+          name: user ? user.name : null,
+          role: member.role,
+          ...summarize(tasks.filter(t => metricsOwner(t).equals(member.userId)))
+        };
+      })
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router;
 
@@ -1,17 +1,21 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const ApiToken = require('../models/ApiToken');
 const auth = require('../middleware/auth');
+const { seedDefaultCategories } = require('../utils/categories');
+const { createSession, rotateSession, revokeUserSessions, createApiToken } = require('../utils/sessions');
+const { sendMail } = require('../utils/mailer');
+const { isValidTimeZone, userTimeZone } = require('../utils/timezone');
+const { syncUserReminders } = require('../utils/reminders');
 
 const router = express.Router();
 
-// Generate JWT Token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET || 'your_jwt_secret_key_here', {
-    expiresIn: '30d'
-  });
-};
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+const VERIFICATION_TTL_MINUTES = 48 * 60;
+const PASSWORD_RESET_TTL_MINUTES = 60;
+const MAX_API_TOKENS = 20;
 
 // @route   POST /api/auth/register
 // @desc    Register a new user
@@ -19,7 +23,8 @@ const generateToken = (userId) => {
 router.post('/register', [
   body('name').trim().notEmpty().withMessage('Name is required'),
   body('email').isEmail().withMessage('Please provide a valid email'),
-  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+  body('timeZone').optional().custom(isValidTimeZone).withMessage('Unknown time zone')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -27,7 +32,7 @@ router.post('/register', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { name, email, password } = req.body;
+    const { name, email, password, timeZone } = req.body;
 
     // Check if user already exists
     const existingUser = await User.findOne({ email });
@@ -36,17 +41,24 @@ router.post('/register', [
     }
 
     // Create new user
-    const user = new User({ name, email, password });
+    const user = new User({ name, email, password, timeZone });
+    const verificationToken = user.generateEmailToken('emailVerificationToken', VERIFICATION_TTL_MINUTES);
     await user.save();
+    await seedDefaultCategories(user._id);
+    // The account is usable without the email; the user can ask for it again
+    await sendVerificationEmail(user, verificationToken)
+      .catch(error => console.error('Could not send verification email:', error));
 
-    const token = generateToken(user._id);
+    const tokens = await createSession(user, req);
 
     res.status(201).json({
-      token,
+      ...tokens,
       user: {
         id: user._id,
         name: user.name,
-        email: user.email
+        email: user.email,
+        emailVerified: user.emailVerified,
+        timeZone: userTimeZone(user)
       }
     });
   } catch (error) {
@@ -82,14 +94,16 @@ router.post('/login', [
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
-    const token = generateToken(user._id);
+    const tokens = await createSession(user, req);
 
     res.json({
-      token,
+      ...tokens,
       user: {
         id: user._id,
         name: user.name,
-        email: user.email
+        email: user.email,
+        emailVerified: user.emailVerified,
+        timeZone: userTimeZone(user)
       }
     });
   } catch (error) {
@@ -107,7 +121,9 @@ router.get('/me', auth, async (req, res) => {
       user: {
         id: req.user._id,
         name: req.user.name,
-        email: req.user.email
+        email: req.user.email,
+        emailVerified: req.user.emailVerified,
+        timeZone: userTimeZone(req.user)
       }
     });
   } catch (error) {
@@ -116,6 +132,373 @@ router.get('/me', auth, async (req, res) => {
   }
 });
 
+// @route   PUT /api/auth/me
+// @desc    Update the current user's profile. Changing the time zone re-buckets
+//          their daily productivity history into the new zone's days in the background.
+// @access  Private
+router.put('/me', auth, [
+  body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
+  body('timeZone').optional().custom(isValidTimeZone).withMessage('Unknown time zone')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user._id);
+    const previousTimeZone = userTimeZone(user);
+
+    if (req.body.name !== undefined) user.name = req.body.name;
+    if (req.body.timeZone !== undefined) user.timeZone = req.body.timeZone;
+
+    // Re-bucketing the history can take minutes, so the background jobs do it
+    const timeZoneChanged = userTimeZone(user) !== previousTimeZone;
+    if (timeZoneChanged) user.productivityRebuildAt = new Date();
+    await user.save();
+
+    if (timeZoneChanged) {
+      await syncUserReminders(user._id);
+    }
+
+    res.json({
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        emailVerified: user.emailVerified,
+        timeZone: userTimeZone(user)
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Confirm the user's email address with the token sent on registration
+// @access  Public (verification token)
+router.post('/verify-email', [
+  body('token').isString().notEmpty().withMessage('Token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findByEmailToken('emailVerificationToken', req.body.token);
+    if (!user) {
+      return res.status(400).json({ message: 'Verification link is invalid or has expired' });
+    }
+
+    user.emailVerified = true;
+    user.emailVerificationToken = undefined;
+    await user.save();
+
+    res.json({ message: 'Email address verified' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new verification email, invalidating the previous link
+// @access  Private
+router.post('/resend-verification', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (user.emailVerified) {
+      return res.status(400).json({ message: 'Email address is already verified' });
+    }
+
+    const token = user.generateEmailToken('emailVerificationToken', VERIFICATION_TTL_MINUTES);
+    await user.save();
+    await sendVerificationEmail(user, token);
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link. Always succeeds so it can't be used
+//          to find out which addresses have an account.
+// @access  Public
+router.post('/forgot-password', [
+  body('email').isEmail().withMessage('Please provide a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findOne({ email: req.body.email.toLowerCase() });
+    if (user) {
+      const token = user.generateEmailToken('passwordResetToken', PASSWORD_RESET_TTL_MINUTES);
+      await user.save();
+      // A failed send must look the same as an unknown address
+      await sendPasswordResetEmail(user, token)
+        .catch(error => console.error('Could not send password reset email:', error));
+    }
+
+    res.json({ message: 'If an account exists for this email, a reset link has been sent' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password with a reset token and log out every device
+// @access  Public (reset token)
+router.post('/reset-password', [
+  body('token').isString().notEmpty().withMessage('Token is required'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findByEmailToken('passwordResetToken', req.body.token);
+    if (!user) {
+      return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+    }
+
+    user.password = req.body.password;
+    user.passwordResetToken = undefined;
+    // Receiving the link proves the address belongs to the user
+    user.emailVerified = true;
+    await user.save();
+    await revokeUserSessions(user._id);
+
+    res.json({ message: 'Password has been reset, please log in again' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/change-password
+// @desc    Change the password of the signed-in user and log out their other devices
+// @access  Private
+router.post('/change-password', auth, [
+  body('currentPassword').notEmpty().withMessage('Current password is required'),
+  body('newPassword').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user._id);
+    const isMatch = await user.comparePassword(req.body.currentPassword);
+    if (!isMatch) {
+      return res.status(400).json({ message: 'Current password is incorrect' });
+    }
+
+    user.password = req.body.newPassword;
+    user.passwordResetToken = undefined;
+    await user.save();
+    await revokeUserSessions(user._id, req.sessionId);
+
+    res.json({ message: 'Password changed' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access token and refresh token
+// @access  Public (refresh token)
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const tokens = await rotateSession(req.body.refreshToken, req);
+    if (!tokens) {
+      return res.status(401).json({ message: 'Refresh token is not valid' });
+    }
+
+    const { userId, ...response } = tokens;
+    res.json(response);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Log out the current session, or every device with allDevices: true
+// @access  Private
+router.post('/logout', auth, [
+  body('allDevices').optional().isBoolean().withMessage('allDevices must be a boolean')
+], async (req, res) => {
+  try {
+    if (req.body.allDevices === true || req.body.allDevices === 'true') {
+      await revokeUserSessions(req.user._id);
+      return res.json({ message: 'Logged out of all devices' });
+    }
+
+    await Session.updateOne({ _id: req.sessionId }, { $set: { revokedAt: new Date() } });
+
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the user's active sessions with their device and IP
+// @access  Private
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      userId: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json(sessions.map(s => ({
+      id: s._id,
+      userAgent: s.userAgent,
+      ip: s.ip,
+      createdAt: s.createdAt,
+      lastUsedAt: s.lastUsedAt,
+      expiresAt: s.expiresAt,
+      current: s._id.equals(req.sessionId)
+    })));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke one of the user's sessions
+// @access  Private
+router.delete('/sessions/:id', auth, async (req, res) => {
+  try {
+    const session = await Session.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user._id, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/auth/tokens
+// @desc    List the user's API tokens for the OData feed
+// @access  Private
+router.get('/tokens', auth, async (req, res) => {
+  try {
+    const tokens = await ApiToken.find({ userId: req.user._id, revokedAt: null }).sort({ createdAt: -1 });
+    res.json(tokens.filter(t => t.isActive()));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/tokens
+// @desc    Create a read-only API token for BI tools, used as the password of Basic authentication
+//          on /api/odata. The token is only returned here.
+// @access  Private
+router.post('/tokens', auth, [
+  body('name').trim().notEmpty().isLength({ max: 100 }).withMessage('Name is required (at most 100 characters)'),
+  body('expiresAt').optional({ values: 'null' }).isISO8601().withMessage('Expiry must be a valid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const expiresAt = req.body.expiresAt ? new Date(req.body.expiresAt) : undefined;
+    if (expiresAt && expiresAt <= new Date()) {
+      return res.status(400).json({ message: 'Expiry must be in the future' });
+    }
+
+    const count = await ApiToken.countDocuments({ userId: req.user._id, revokedAt: null });
+    if (count >= MAX_API_TOKENS) {
+      return res.status(400).json({ message: `You can have at most ${MAX_API_TOKENS} API tokens` });
+    }
+
+    const { apiToken, token } = await createApiToken(req.user._id, { name: req.body.name, expiresAt });
+
+    res.status(201).json({ ...apiToken.toJSON(), token });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/auth/tokens/:id
+// @desc    Revoke an API token
+// @access  Private
+router.delete('/tokens/:id', auth, async (req, res) => {
+  try {
+    const apiToken = await ApiToken.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user._id, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+
+    if (!apiToken) {
+      return res.status(404).json({ message: 'API token not found' });
+    }
+
+    res.json({ message: 'API token revoked' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+function sendVerificationEmail(user, token) {
+  return sendMail({
+    to: user.email,
+    subject: 'Confirm your email address',
+    text: `Hi ${user.name},\n\n` +
+      `Please confirm your email address by opening this link:\n${APP_URL}/verify-email?token=${token}\n\n` +
+      `The link expires in ${VERIFICATION_TTL_MINUTES / 60} hours.`
+  });
+}
+
+function sendPasswordResetEmail(user, token) {
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.name},\n\n` +
+      `Someone asked to reset the password of your account. To choose a new password, open this link:\n` +
+      `${APP_URL}/reset-password?token=${token}\n\n` +
+      `The link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes and can only be used once. ` +
+      'If you did not ask for this, you can ignore this email.'
+  });
+}
+
 module.exports = router;
 
 
@@ -0,0 +1,94 @@
+const express = require('express');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const { buildCalendar } = require('../utils/ical');
+const { personalTaskFilter } = require('../utils/productivity');
+const { userTimeZone } = require('../utils/timezone');
+
+const router = express.Router();
+
+const feedUrl = (req, token) => `${req.protocol}://${req.get('host')}/api/calendar/feed/${token}.ics`;
+
+// @route   GET /api/calendar/feed/:token.ics
+// @desc    iCalendar subscription feed of scheduled tasks
+// @access  Public (secret token, calendar clients can't send a Bearer header)
+router.get('/feed/:token.ics', async (req, res) => {
+  try {
+    const user = await User.findOne({ calendarToken: req.params.token });
+
+    if (!user) {
+      return res.status(404).json({ message: 'Calendar feed not found' });
+    }
+
+    const { category, status } = req.query;
+    const query = personalTaskFilter(user._id);
+
+    // Filters accept a single value or a comma-separated list
+    if (category) query.category = { $in: String(category).split(',') };
+    if (status) query.status = { $in: String(status).split(',') };
+
+    const tasks = await Task.find(query).sort({ scheduledDate: 1, scheduledTime: 1 });
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', 'inline; filename=productivityx.ics');
+    res.send(buildCalendar(tasks, `ProductivityX - ${user.name}`, userTimeZone(user)));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Remaining routes require authentication
+router.use(auth);
+
+// @route   GET /api/calendar/token
+// @desc    Get the user's calendar feed URL, creating the secret token if needed
+// @access  Private
+router.get('/token', async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (!user.calendarToken) {
+      user.generateCalendarToken();
+      await user.save();
+    }
+
+    res.json({ url: feedUrl(req, user.calendarToken) });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/calendar/token
+// @desc    Regenerate the calendar feed token, invalidating the old URL
+// @access  Private
+router.post('/token', async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    user.generateCalendarToken();
+    await user.save();
+
+    res.json({ url: feedUrl(req, user.calendarToken) });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/calendar/token
+// @desc    Disable the calendar feed
+// @access  Private
+router.delete('/token', async (req, res) => {
+  try {
+    await User.updateOne({ _id: req.user._id }, { $unset: { calendarToken: 1 } });
+
+    res.json({ message: 'Calendar feed disabled' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,160 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Category = require('../models/Category');
+const Task = require('../models/Task');
+const auth = require('../middleware/auth');
+const { getCategories, getBudgetUsage } = require('../utils/categories');
+const { userTimeZone, parseDay, today } = require('../utils/timezone');
+
+const router = express.Router();
+
+// Turn a display name into a category key ("Client A" -> "client-a")
+const toKey = (name) => String(name).trim().toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+// All routes require authentication
+router.use(auth);
+
+// @route   GET /api/categories
+// @desc    Get the user's categories
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const includeArchived = req.query.includeArchived === 'true';
+    const categories = await getCategories(req.user._id, { includeArchived });
+
+    res.json(categories);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/categories/budgets
+// @desc    Get this week's time against the budgets of categories and projects
+// @access  Private
+router.get('/budgets', async (req, res) => {
+  try {
+    const timeZone = userTimeZone(req.user);
+    const day = req.query.date ? parseDay(req.query.date, timeZone) : today(timeZone);
+    const usage = await getBudgetUsage(req.user._id, day.toDate());
+
+    res.json(usage);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/categories
+// @desc    Create a category
+// @access  Private
+router.post('/', [
+  body('name').trim().notEmpty().withMessage('Name is required'),
+  body('key').optional().matches(/^[a-z0-9-]+$/).withMessage('Key may only contain lowercase letters, digits and dashes'),
+  body('color').optional().matches(/^#[0-9a-fA-F]{6}$/).withMessage('Color must be a hex value like #3B82F6'),
+  body('weeklyBudget').optional({ nullable: true }).isInt({ min: 0 }).withMessage('Weekly budget must be a number of minutes')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const categories = await getCategories(req.user._id);
+    const key = req.body.key || toKey(req.body.name);
+
+    if (!key) {
+      return res.status(400).json({ message: 'Category name must contain letters or digits' });
+    }
+    if (categories.some(c => c.key === key)) {
+      return res.status(400).json({ message: 'Category already exists' });
+    }
+
+    const category = new Category({
+      userId: req.user._id,
+      key,
+      name: req.body.name,
+      color: req.body.color,
+      weeklyBudget: req.body.weeklyBudget,
+      order: categories.length
+    });
+    await category.save();
+
+    res.status(201).json(category);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/categories/:id
+// @desc    Update a category (the key stays the same so history keeps working)
+// @access  Private
+router.put('/:id', [
+  body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
+  body('color').optional().matches(/^#[0-9a-fA-F]{6}$/).withMessage('Color must be a hex value like #3B82F6'),
+  body('weeklyBudget').optional({ nullable: true }).isInt({ min: 0 }).withMessage('Weekly budget must be a number of minutes'),
+  body('order').optional().isInt().withMessage('Order must be an integer'),
+  body('archived').optional().isBoolean().withMessage('archived must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const category = await Category.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    ['name', 'color', 'weeklyBudget', 'order', 'archived'].forEach(key => {
+      if (req.body[key] !== undefined) {
+        category[key] = req.body[key];
+      }
+    });
+
+    await category.save();
+    res.json(category);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/categories/:id
+// @desc    Delete a category, or archive it when tasks still use it
+// @access  Private
+router.delete('/:id', async (req, res) => {
+  try {
+    const category = await Category.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    const inUse = await Task.exists({ userId: req.user._id, category: category.key });
+    if (inUse) {
+      category.archived = true;
+      await category.save();
+      return res.json({ message: 'Category is used by tasks and was archived instead', category });
+    }
+
+    await category.deleteOne();
+    res.json({ message: 'Category deleted successfully' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,327 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const FocusSession = require('../models/FocusSession');
+const Task = require('../models/Task');
+const TimeEntry = require('../models/TimeEntry');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const { updateProductivityMetrics, updateFocusMetrics, personalTaskFilter } = require('../utils/productivity');
+const { syncActualDuration, entryOccurrence, entryMetricsDay } = require('../utils/timeTracking');
+const { userTimeZone, parseDay, dayOf, dayBounds } = require('../utils/timezone');
+
+const router = express.Router();
+
+const SETTING_KEYS = ['focusLength', 'shortBreakLength', 'longBreakLength', 'longBreakInterval'];
+
+const settingsValidation = SETTING_KEYS.map(key =>
+  body(key).optional().isInt({ min: 1 }).withMessage(`${key} must be a positive integer`)
+);
+
+// All routes require authentication
+router.use(auth);
+
+// @route   GET /api/focus/settings
+// @desc    Get the user's default Pomodoro lengths
+// @access  Private
+router.get('/settings', async (req, res) => {
+  try {
+    res.json(req.user.focusSettings);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/focus/settings
+// @desc    Update the user's default Pomodoro lengths
+// @access  Private
+router.put('/settings', settingsValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user._id);
+    SETTING_KEYS.forEach(key => {
+      if (req.body[key] !== undefined) {
+        user.focusSettings[key] = req.body[key];
+      }
+    });
+    await user.save();
+
+    res.json(user.focusSettings);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/focus
+// @desc    Get focus sessions for the authenticated user
+// @access  Private
+router.get('/', [
+  query('taskId').optional().isMongoId().withMessage('Invalid task ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { startDate, endDate, taskId } = req.query;
+    const query = { userId: req.user._id };
+
+    if (taskId) query.taskId = taskId;
+    if (startDate || endDate) {
+      const timeZone = userTimeZone(req.user);
+      query.startedAt = {};
+      if (startDate) query.startedAt.$gte = dayBounds(parseDay(startDate, timeZone), timeZone).start;
+      if (endDate) query.startedAt.$lte = dayBounds(parseDay(endDate, timeZone), timeZone).end;
+    }
+
+    const sessions = await FocusSession.find(query)
+      .sort({ startedAt: -1 })
+      .limit(100);
+
+    res.json(sessions);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/focus/current
+// @desc    Get the session that is currently running, if any
+// @access  Private
+router.get('/current', async (req, res) => {
+  try {
+    const session = await FocusSession.findOne({
+      userId: req.user._id,
+      status: { $ne: 'finished' }
+    });
+
+    if (!session) {
+      return res.status(404).json({ message: 'No running focus session' });
+    }
+
+    session.computeTotals();
+    res.json(session);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/focus/start
+// @desc    Start a focus session, optionally linked to a task
+// @access  Private
+router.post('/start', [
+  body('taskId').optional().isMongoId().withMessage('Invalid task ID'),
+  ...settingsValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const running = await FocusSession.findOne({
+      userId: req.user._id,
+      status: { $ne: 'finished' }
+    });
+    if (running) {
+      return res.status(400).json({ message: 'A focus session is already running' });
+    }
+
+    if (req.body.taskId) {
+      const task = await Task.findOne({ _id: req.body.taskId, ...personalTaskFilter(req.user._id) });
+      if (!task) {
+        return res.status(404).json({ message: 'Task not found' });
+      }
+    }
+
+    const now = new Date();
+    const settings = req.user.focusSettings || {};
+    const sessionData = {
+      userId: req.user._id,
+      taskId: req.body.taskId,
+      startedAt: now,
+      intervals: [{ type: 'focus', startedAt: now }]
+    };
+    SETTING_KEYS.forEach(key => {
+      const value = req.body[key] !== undefined ? req.body[key] : settings[key];
+      if (value !== undefined) sessionData[key] = value;
+    });
+
+    const session = new FocusSession(sessionData);
+    await session.save();
+
+    res.status(201).json(session);
+  } catch (error) {
+    // The unique index catches two sessions started at the same moment
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A focus session is already running' });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/focus/:id/pause
+// @desc    Pause a running focus session
+// @access  Private
+router.post('/:id/pause', async (req, res) => {
+  try {
+    const session = await FocusSession.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!session) {
+      return res.status(404).json({ message: 'Focus session not found' });
+    }
+    if (session.status !== 'active') {
+      return res.status(400).json({ message: 'Only an active session can be paused' });
+    }
+
+    session.closeInterval();
+    session.status = 'paused';
+    session.computeTotals();
+    await session.save();
+
+    res.json(session);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/focus/:id/break
+// @desc    Start a break, suggesting a short or long one based on completed pomodoros
+// @access  Private
+router.post('/:id/break', async (req, res) => {
+  try {
+    const session = await FocusSession.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!session) {
+      return res.status(404).json({ message: 'Focus session not found' });
+    }
+    if (session.status === 'break' || session.status === 'finished') {
+      return res.status(400).json({ message: 'Cannot start a break in this session' });
+    }
+
+    const now = new Date();
+    session.closeInterval(now);
+    session.intervals.push({ type: 'break', startedAt: now });
+    session.status = 'break';
+    session.computeTotals(now);
+    await session.save();
+
+    const longBreak = session.pomodorosCompleted > 0 &&
+      session.pomodorosCompleted % session.longBreakInterval === 0;
+
+    res.json({
+      session,
+      breakType: longBreak ? 'long' : 'short',
+      breakLength: longBreak ? session.longBreakLength : session.shortBreakLength
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/focus/:id/resume
+// @desc    Resume focusing after a pause or a break
+// @access  Private
+router.post('/:id/resume', async (req, res) => {
+  try {
+    const session = await FocusSession.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!session) {
+      return res.status(404).json({ message: 'Focus session not found' });
+    }
+    if (session.status !== 'paused' && session.status !== 'break') {
+      return res.status(400).json({ message: 'Only a paused session or a break can be resumed' });
+    }
+
+    const now = new Date();
+    session.closeInterval(now);
+    session.intervals.push({ type: 'focus', startedAt: now });
+    session.status = 'active';
+    session.computeTotals(now);
+    await session.save();
+
+    res.json(session);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/focus/:id/finish
+// @desc    Finish a focus session and roll it up into daily metrics and the linked task's time entries
+// @access  Private
+router.post('/:id/finish', async (req, res) => {
+  try {
+    const session = await FocusSession.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!session) {
+      return res.status(404).json({ message: 'Focus session not found' });
+    }
+    if (session.status === 'finished') {
+      return res.status(400).json({ message: 'Focus session is already finished' });
+    }
+
+    const now = new Date();
+    session.closeInterval(now);
+    session.status = 'finished';
+    session.endedAt = now;
+    session.computeTotals(now);
+    await session.save();
+
+    // Roll up into the day's focusTime and breaks
+    const timeZone = userTimeZone(req.user);
+    await updateFocusMetrics(req.user._id, dayOf(session.startedAt, timeZone).toDate(), timeZone);
+
+    // Record the focused time on the linked task
+    if (session.taskId && session.focusMinutes > 0) {
+      const task = await Task.findOne({ _id: session.taskId, ...personalTaskFilter(req.user._id) });
+      // On a recurring task, the time goes to the occurrence of the day the session started
+      const occurrenceDate = task && entryOccurrence(task, dayOf(session.startedAt, timeZone));
+      if (task && occurrenceDate !== null) {
+        const entries = session.intervals
+          .filter(i => i.type === 'focus' && i.endedAt > i.startedAt)
+          .map(i => ({
+            userId: req.user._id,
+            taskId: task._id,
+            occurrenceDate,
+            startedAt: i.startedAt,
+            endedAt: i.endedAt,
+            source: 'focus'
+          }));
+        // create() runs the save hooks that derive each entry's duration
+        await TimeEntry.create(entries);
+        await syncActualDuration(task, occurrenceDate);
+        await updateProductivityMetrics(req.user._id, entryMetricsDay(task, occurrenceDate));
+      }
+    }
+
+    res.json(session);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,236 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Goal = require('../models/Goal');
+const { METRICS, PERIODS } = require('../models/Goal');
+const auth = require('../middleware/auth');
+const { isActiveCategory } = require('../utils/categories');
+const { userTimeZone, parseDay } = require('../utils/timezone');
+const { evaluateGoal, evaluateGoals, goalHistory } = require('../utils/goals');
+
+const router = express.Router();
+
+// Periods of history shown for a repeating goal by default, and at most
+const DEFAULT_HISTORY_PERIODS = 6;
+const MAX_HISTORY_PERIODS = 52;
+
+// All routes require authentication
+router.use(auth);
+
+const goalValidators = (optional) => [
+  optional
+    ? body('title').optional().trim().notEmpty().withMessage('Title cannot be empty')
+    : body('title').trim().notEmpty().withMessage('Title is required'),
+  (optional ? body('metric').optional() : body('metric'))
+    .isIn(METRICS).withMessage(`Metric must be one of ${METRICS.join(', ')}`),
+  (optional ? body('period').optional() : body('period'))
+    .isIn(PERIODS).withMessage(`Period must be one of ${PERIODS.join(', ')}`),
+  (optional ? body('target').optional() : body('target'))
+    .isFloat({ min: 0 }).withMessage('Target must be a positive number'),
+  body('category').optional({ nullable: true }).isString().withMessage('Category must be a string'),
+  body('priority').optional({ nullable: true }).isIn(['low', 'medium', 'high', 'urgent']).withMessage('Invalid priority'),
+  body('startDate').optional({ nullable: true }).isISO8601().withMessage('Start date must be a valid date'),
+  body('endDate').optional({ nullable: true }).isISO8601().withMessage('End date must be a valid date')
+];
+
+// Check the combination of fields a goal ends up with, returning an error message
+async function checkGoal(userId, goal) {
+  if (goal.metric === 'categoryTime' && !goal.category) {
+    return 'A category is required for categoryTime goals';
+  }
+  if (goal.category && !(await isActiveCategory(userId, goal.category))) {
+    return 'Unknown category';
+  }
+  if (goal.priority && goal.metric !== 'completedTasks') {
+    return 'Priority only applies to completedTasks goals';
+  }
+  if (goal.metric === 'productivityScore' && goal.target > 100) {
+    return 'Productivity score targets are at most 100';
+  }
+  if (goal.period === 'custom') {
+    if (!goal.startDate || !goal.endDate) {
+      return 'Custom goals need a start and end date';
+    }
+    if (goal.startDate > goal.endDate) {
+      return 'Start date must not be after the end date';
+    }
+  }
+  return null;
+}
+
+// Read startDate and endDate as calendar days in the user's time zone
+function normalizeGoalDays(req) {
+  const timeZone = userTimeZone(req.user);
+  ['startDate', 'endDate'].forEach(key => {
+    if (req.body[key]) req.body[key] = parseDay(req.body[key], timeZone).toDate();
+  });
+}
+
+// @route   GET /api/goals
+// @desc    Get the user's goals with their progress in the current period
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const timeZone = userTimeZone(req.user);
+
+    if (req.query.includeArchived !== 'true') {
+      return res.json(await evaluateGoals(req.user._id, timeZone));
+    }
+
+    const goals = await Goal.find({ userId: req.user._id }).sort({ createdAt: 1 });
+    const results = [];
+    for (const goal of goals) {
+      results.push({ ...(await evaluateGoal(goal, timeZone)), archived: goal.archived });
+    }
+    res.json(results);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/goals
+// @desc    Create a goal
+// @access  Private
+router.post('/', goalValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    normalizeGoalDays(req);
+
+    const goal = new Goal({
+      userId: req.user._id,
+      title: req.body.title,
+      metric: req.body.metric,
+      category: req.body.category || undefined,
+      priority: req.body.priority || undefined,
+      period: req.body.period,
+      // Only custom goals have fixed dates
+      startDate: req.body.period === 'custom' ? req.body.startDate : undefined,
+      endDate: req.body.period === 'custom' ? req.body.endDate : undefined,
+      target: req.body.target
+    });
+
+    const goalError = await checkGoal(req.user._id, goal);
+    if (goalError) {
+      return res.status(400).json({ message: goalError });
+    }
+
+    await goal.save();
+
+    res.status(201).json({ goal, progress: await evaluateGoal(goal, userTimeZone(req.user)) });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/goals/:id
+// @desc    Get a goal with its progress in the current and previous periods
+// @access  Private
+router.get('/:id', [
+  query('periods').optional().isInt({ min: 1, max: MAX_HISTORY_PERIODS })
+    .withMessage(`periods must be between 1 and ${MAX_HISTORY_PERIODS}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const goal = await Goal.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!goal) {
+      return res.status(404).json({ message: 'Goal not found' });
+    }
+
+    const timeZone = userTimeZone(req.user);
+    const periods = req.query.periods ? parseInt(req.query.periods, 10) : DEFAULT_HISTORY_PERIODS;
+    const history = await goalHistory(goal, timeZone, periods);
+
+    res.json({
+      goal,
+      progress: history[history.length - 1],
+      history
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/goals/:id
+// @desc    Update a goal
+// @access  Private
+router.put('/:id', [
+  ...goalValidators(true),
+  body('archived').optional().isBoolean().withMessage('archived must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const goal = await Goal.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!goal) {
+      return res.status(404).json({ message: 'Goal not found' });
+    }
+
+    normalizeGoalDays(req);
+
+    ['title', 'metric', 'category', 'priority', 'period', 'startDate', 'endDate', 'target', 'archived'].forEach(key => {
+      if (req.body[key] !== undefined) {
+        goal[key] = req.body[key] === null ? undefined : req.body[key];
+      }
+    });
+    if (goal.period !== 'custom') {
+      goal.startDate = undefined;
+      goal.endDate = undefined;
+    }
+
+    const goalError = await checkGoal(req.user._id, goal);
+    if (goalError) {
+      return res.status(400).json({ message: goalError });
+    }
+
+    await goal.save();
+
+    res.json({ goal, progress: await evaluateGoal(goal, userTimeZone(req.user)) });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/goals/:id
+// @desc    Delete a goal
+// @access  Private
+router.delete('/:id', async (req, res) => {
+  try {
+    const goal = await Goal.findOneAndDelete({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!goal) {
+      return res.status(404).json({ message: 'Goal not found' });
+    }
+
+    res.json({ message: 'Goal deleted successfully' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,375 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Habit = require('../models/Habit');
+const HabitCheckIn = require('../models/HabitCheckIn');
+const { FREQUENCIES } = require('../models/Habit');
+const auth = require('../middleware/auth');
+const { isActiveCategory } = require('../utils/categories');
+const { updateDaysMetrics } = require('../utils/productivity');
+const { userTimeZone, parseDay, today: todayIn } = require('../utils/timezone');
+const { checkInDays, habitStreaks, habitSummary, habitCalendar } = require('../utils/habits');
+
+const router = express.Router();
+
+// Longest range the calendar grid covers
+const MAX_CALENDAR_DAYS = 366;
+
+// All routes require authentication
+router.use(auth);
+
+const habitValidators = (optional) => [
+  optional
+    ? body('name').optional().trim().notEmpty().withMessage('Name cannot be empty')
+    : body('name').trim().notEmpty().withMessage('Name is required'),
+  body('frequency').optional().isIn(FREQUENCIES).withMessage(`Frequency must be one of ${FREQUENCIES.join(', ')}`),
+  body('timesPerWeek').optional().isInt({ min: 1, max: 7 }).withMessage('timesPerWeek must be between 1 and 7'),
+  body('category').optional({ nullable: true }).isString().withMessage('Category must be a string'),
+  body('duration').optional().isInt({ min: 0 }).withMessage('Duration must be a number of minutes'),
+  body('countInProductivity').optional().isBoolean().withMessage('countInProductivity must be a boolean')
+];
+
+const dayRangeValidators = [
+  query('startDate').optional().isISO8601().withMessage('Start date must be a valid date'),
+  query('endDate').optional().isISO8601().withMessage('End date must be a valid date')
+];
+
+// Check the combination of fields a habit ends up with, returning an error message
+async function checkHabit(userId, habit) {
+  if (habit.countInProductivity && !habit.category) {
+    return 'A category is required to count a habit in productivity';
+  }
+  if (habit.category && !(await isActiveCategory(userId, habit.category))) {
+    return 'Unknown category';
+  }
+  return null;
+}
+
+// Recompute the daily metrics of the days a habit was checked in on
+async function updateHabitMetrics(userId, habitId) {
+  const checkIns = await checkInDays([habitId]);
+  await updateDaysMetrics(userId, checkIns.map(c => c.date));
+}
+
+// Find one of the user's habits by the :id parameter
+const findHabit = (req) => Habit.findOne({ _id: req.params.id, userId: req.user._id });
+
+// @route   GET /api/habits
+// @desc    Get the user's habits with their streaks and consistency over the last 30 days
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const filter = { userId: req.user._id };
+    if (req.query.includeArchived !== 'true') filter.archived = false;
+
+    const habits = await Habit.find(filter).sort({ createdAt: 1 });
+    const timeZone = userTimeZone(req.user);
+
+    const results = [];
+    for (const habit of habits) {
+      results.push(await habitSummary(habit, timeZone));
+    }
+    res.json(results);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/habits
+// @desc    Create a habit
+// @access  Private
+router.post('/', habitValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const habit = new Habit({
+      userId: req.user._id,
+      name: req.body.name,
+      description: req.body.description,
+      frequency: req.body.frequency,
+      timesPerWeek: req.body.timesPerWeek,
+      category: req.body.category || undefined,
+      duration: req.body.duration,
+      countInProductivity: req.body.countInProductivity
+    });
+
+    const habitError = await checkHabit(req.user._id, habit);
+    if (habitError) {
+      return res.status(400).json({ message: habitError });
+    }
+
+    await habit.save();
+    res.status(201).json(habit);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/habits/calendar
+// @desc    Grid of check-ins per habit and day, the current month by default
+// @access  Private
+router.get('/calendar', [
+  ...dayRangeValidators,
+  query('includeArchived').optional().isBoolean().withMessage('includeArchived must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const timeZone = userTimeZone(req.user);
+    const start = req.query.startDate ? parseDay(req.query.startDate, timeZone) : todayIn(timeZone).startOf('month');
+    const end = req.query.endDate ? parseDay(req.query.endDate, timeZone) : start.clone().endOf('month').startOf('day');
+
+    if (end.isBefore(start)) {
+      return res.status(400).json({ message: 'Start date must not be after the end date' });
+    }
+    if (end.diff(start, 'days') + 1 > MAX_CALENDAR_DAYS) {
+      return res.status(400).json({ message: `The calendar covers at most ${MAX_CALENDAR_DAYS} days` });
+    }
+
+    const filter = { userId: req.user._id };
+    if (req.query.includeArchived !== 'true') filter.archived = false;
+    const habits = await Habit.find(filter).sort({ createdAt: 1 });
+
+    res.json(await habitCalendar(habits, start, end, timeZone));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/habits/:id
+// @desc    Get a habit with its streaks and its consistency over startDate-endDate
+//          (the last 30 days by default)
+// @access  Private
+router.get('/:id', dayRangeValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const habit = await findHabit(req);
+    if (!habit) {
+      return res.status(404).json({ message: 'Habit not found' });
+    }
+
+    const timeZone = userTimeZone(req.user);
+    res.json(await habitSummary(habit, timeZone, {
+      start: req.query.startDate && parseDay(req.query.startDate, timeZone),
+      end: req.query.endDate && parseDay(req.query.endDate, timeZone)
+    }));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/habits/:id
+// @desc    Update a habit
+// @access  Private
+router.put('/:id', [
+  ...habitValidators(true),
+  body('archived').optional().isBoolean().withMessage('archived must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const habit = await findHabit(req);
+    if (!habit) {
+      return res.status(404).json({ message: 'Habit not found' });
+    }
+
+    const counted = habit.countInProductivity;
+
+    ['name', 'description', 'frequency', 'timesPerWeek', 'category', 'duration', 'countInProductivity', 'archived'].forEach(key => {
+      if (req.body[key] !== undefined) {
+        habit[key] = req.body[key] === null ? undefined : req.body[key];
+      }
+    });
+
+    const habitError = await checkHabit(req.user._id, habit);
+    if (habitError) {
+      return res.status(400).json({ message: habitError });
+    }
+
+    const metricsChanged = (counted || habit.countInProductivity) &&
+      ['category', 'duration', 'countInProductivity'].some(key => habit.isModified(key));
+
+    await habit.save();
+
+    if (metricsChanged) {
+      await updateHabitMetrics(req.user._id, habit._id);
+    }
+
+    res.json(habit);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/habits/:id
+// @desc    Delete a habit and its check-ins
+// @access  Private
+router.delete('/:id', async (req, res) => {
+  try {
+    const habit = await findHabit(req);
+    if (!habit) {
+      return res.status(404).json({ message: 'Habit not found' });
+    }
+
+    const checkIns = await checkInDays([habit._id]);
+    await HabitCheckIn.deleteMany({ habitId: habit._id });
+    await habit.deleteOne();
+
+    // Take the habit's time out of the days it counted in
+    if (habit.countInProductivity) {
+      await updateDaysMetrics(req.user._id, checkIns.map(c => c.date));
+    }
+
+    res.json({ message: 'Habit deleted successfully' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/habits/:id/check-ins
+// @desc    Get a habit's check-ins, optionally between startDate and endDate
+// @access  Private
+router.get('/:id/check-ins', dayRangeValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const habit = await findHabit(req);
+    if (!habit) {
+      return res.status(404).json({ message: 'Habit not found' });
+    }
+
+    const timeZone = userTimeZone(req.user);
+    const date = {};
+    if (req.query.startDate) date.$gte = parseDay(req.query.startDate, timeZone).toDate();
+    if (req.query.endDate) date.$lte = parseDay(req.query.endDate, timeZone).endOf('day').toDate();
+
+    const checkIns = await HabitCheckIn.find({
+      habitId: habit._id,
+      ...(Object.keys(date).length > 0 ? { date } : {})
+    }).sort({ date: -1 });
+
+    res.json(checkIns);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/habits/:id/check-ins
+// @desc    Check in a habit for a day (today by default). Checking in again updates
+//          the day's duration and note.
+// @access  Private
+router.post('/:id/check-ins', [
+  body('date').optional().isISO8601().withMessage('Date must be a valid date'),
+  body('duration').optional({ nullable: true }).isInt({ min: 0 }).withMessage('Duration must be a number of minutes'),
+  body('note').optional().isString().withMessage('Note must be a string')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const habit = await findHabit(req);
+    if (!habit) {
+      return res.status(404).json({ message: 'Habit not found' });
+    }
+    if (habit.archived) {
+      return res.status(400).json({ message: 'Archived habits cannot be checked in' });
+    }
+
+    const timeZone = userTimeZone(req.user);
+    const day = req.body.date ? parseDay(req.body.date, timeZone) : todayIn(timeZone);
+    if (day.isAfter(todayIn(timeZone))) {
+      return res.status(400).json({ message: 'Habits cannot be checked in for future days' });
+    }
+
+    const update = { $setOnInsert: { userId: req.user._id }, $set: {}, $unset: {} };
+    ['duration', 'note'].forEach(key => {
+      if (req.body[key] === null) {
+        update.$unset[key] = 1;
+      } else if (req.body[key] !== undefined) {
+        update.$set[key] = req.body[key];
+      }
+    });
+
+    // A single upsert, so two check-ins sent at once for the same day don't collide
+    const result = await HabitCheckIn.findOneAndUpdate(
+      { habitId: habit._id, date: day.toDate() },
+      update,
+      { upsert: true, new: true, runValidators: true, includeResultMetadata: true }
+    );
+    const checkIn = result.value;
+    const created = !result.lastErrorObject.updatedExisting;
+
+    if (habit.countInProductivity) {
+      await updateDaysMetrics(req.user._id, [checkIn.date]);
+    }
+
+    res.status(created ? 201 : 200).json({
+      checkIn,
+      streaks: habitStreaks(habit, await checkInDays([habit._id]), timeZone)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/habits/:id/check-ins/:date
+// @desc    Undo a habit's check-in for a day
+// @access  Private
+router.delete('/:id/check-ins/:date', async (req, res) => {
+  try {
+    const habit = await findHabit(req);
+    if (!habit) {
+      return res.status(404).json({ message: 'Habit not found' });
+    }
+
+    const timeZone = userTimeZone(req.user);
+    const day = parseDay(req.params.date, timeZone);
+    if (!day.isValid()) {
+      return res.status(400).json({ message: 'Date must be a valid date' });
+    }
+
+    const checkIn = await HabitCheckIn.findOneAndDelete({ habitId: habit._id, date: day.toDate() });
+    if (!checkIn) {
+      return res.status(404).json({ message: 'Check-in not found' });
+    }
+
+    if (habit.countInProductivity) {
+      await updateDaysMetrics(req.user._id, [checkIn.date]);
+    }
+
+    res.json({
+      message: 'Check-in removed successfully',
+      streaks: habitStreaks(habit, await checkInDays([habit._id]), timeZone)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
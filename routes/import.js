@@ -0,0 +1,304 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Task = require('../models/Task');
+const { MAX_DURATION_MINUTES } = require('../models/Task');
+const auth = require('../middleware/auth');
+const moment = require('moment');
+const { parseCSV } = require('../utils/csv');
+const { parseEvents, parseDateValue, toCalendarDate, parseRRule, unescapeText, priorityFromICal } = require('../utils/ical');
+const { updateDaysMetrics, seriesMetricsDates } = require('../utils/productivity');
+const { getCategories } = require('../utils/categories');
+const { userTimeZone, DAY_FORMAT } = require('../utils/timezone');
+const { recordCreatedTasks } = require('../utils/activity');
+
+const router = express.Router();
+
+const IMPORTABLE_FIELDS = [
+  'title', 'description', 'category', 'priority', 'status',
+  'scheduledDate', 'scheduledTime', 'estimatedDuration', 'notes'
+];
+
+// Column names recognised when suggesting a CSV mapping
+const FIELD_ALIASES = {
+  title: ['title', 'name', 'task', 'summary', 'subject'],
+  description: ['description', 'details'],
+  category: ['category', 'type'],
+  priority: ['priority'],
+  status: ['status', 'state'],
+  scheduledDate: ['scheduleddate', 'date', 'duedate', 'startdate', 'day'],
+  scheduledTime: ['scheduledtime', 'time', 'starttime'],
+  estimatedDuration: ['estimatedduration', 'duration', 'estimate', 'minutes'],
+  notes: ['notes', 'note', 'comments']
+};
+
+const DATE_FORMATS = ['YYYY-MM-DD', 'MM/DD/YYYY', 'DD.MM.YYYY', 'YYYY/MM/DD', moment.ISO_8601];
+const TIME_FORMATS = ['HH:mm', 'H:mm', 'h:mm A', 'h:mmA', 'h A', 'hA', 'HH:mm:ss'];
+
+// All routes require authentication
+router.use(auth);
+
+// @route   POST /api/import
+// @desc    Import tasks from an iCalendar file or a CSV with a column mapping.
+//          Returns a dry-run preview with per-row errors unless dryRun is false.
+// @access  Private
+router.post('/', [
+  body('format').isIn(['csv', 'ics']).withMessage('Format must be csv or ics'),
+  body('content').isString().notEmpty().withMessage('File content is required'),
+  body('mapping').optional().isObject().withMessage('Mapping must be an object of task field to column name'),
+  body('dryRun').optional().isBoolean().withMessage('dryRun must be a boolean'),
+  body('defaultTime').optional().isString(),
+  body('dateFormat').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { format, content, defaultTime, dateFormat } = req.body;
+    const dryRun = req.body.dryRun !== false && req.body.dryRun !== 'false';
+    const result = { format, dryRun };
+    const categoryKeys = (await getCategories(req.user._id, { includeArchived: false })).map(c => c.key);
+    let rows;
+
+    if (format === 'csv') {
+      const [headers = [], ...records] = parseCSV(content);
+      const mapping = req.body.mapping || suggestMapping(headers);
+
+      const unknownColumns = Object.values(mapping).filter(column => !headers.includes(column));
+      if (unknownColumns.length > 0) {
+        return res.status(400).json({ message: `Unknown columns in mapping: ${unknownColumns.join(', ')}`, columns: headers });
+      }
+
+      result.columns = headers;
+      result.mapping = mapping;
+      rows = records.map((record, index) => ({
+        row: index + 2, // line number in the file, after the header
+        ...csvRecordToTask(headers, record, mapping, { defaultTime, dateFormat })
+      }));
+    } else {
+      rows = icsToTasks(content, { defaultTime, categoryKeys, timeZone: userTimeZone(req.user) });
+    }
+
+    // Events imported before are flagged instead of being created twice
+    const externalIds = rows.map(r => r.task.externalId).filter(Boolean);
+    const existing = externalIds.length > 0
+      ? await Task.find({ userId: req.user._id, externalId: { $in: externalIds } }).select('externalId')
+      : [];
+    const existingIds = new Set(existing.map(t => t.externalId));
+
+    rows.forEach(r => {
+      const schemaErrors = validateTask(r.task, req.user._id)
+        .filter(e => !r.errors.some(existingError => existingError.field === e.field));
+      r.errors = r.errors.concat(schemaErrors);
+      if (r.task.category && !categoryKeys.includes(r.task.category)) {
+        r.errors.push({ field: 'category', message: `Unknown category: ${r.task.category}` });
+      }
+      r.duplicate = Boolean(r.task.externalId && existingIds.has(r.task.externalId));
+    });
+
+    const importable = rows.filter(r => r.errors.length === 0 && !r.duplicate);
+
+    result.total = rows.length;
+    result.valid = rows.filter(r => r.errors.length === 0).length;
+    result.invalid = rows.length - result.valid;
+    result.duplicates = rows.filter(r => r.duplicate).length;
+
+    if (dryRun) {
+      result.rows = rows;
+      return res.json(result);
+    }
+
+    const tasks = await Task.insertMany(importable.map(r => ({ ...r.task, userId: req.user._id })));
+    await recordCreatedTasks(tasks, { actor: req.user._id, source: 'import' });
+
+    // Recompute metrics once per affected day rather than once per row
+    const affectedDates = tasks.reduce((acc, task) =>
+      acc.concat(task.recurrence ? seriesMetricsDates(task) : [task.scheduledDate]), []);
+    await updateDaysMetrics(req.user._id, affectedDates);
+
+    result.imported = tasks.length;
+    result.skipped = rows.filter(r => r.errors.length > 0 || r.duplicate);
+    res.status(201).json(result);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Suggest a task field to column mapping from the CSV header names
+function suggestMapping(headers) {
+  const normalize = (value) => String(value).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+  return IMPORTABLE_FIELDS.reduce((mapping, field) => {
+    const column = headers.find(header => FIELD_ALIASES[field].includes(normalize(header)));
+    if (column !== undefined) mapping[field] = column;
+    return mapping;
+  }, {});
+}
+
+// Normalise a free-form enum value ("In Progress" -> "in-progress")
+const normalizeEnum = (value) => String(value).trim().toLowerCase().replace(/[\s_]+/g, '-');
+
+// Turn a CSV record into task data using the column mapping
+function csvRecordToTask(headers, record, mapping, { defaultTime, dateFormat }) {
+  const task = {};
+  const errors = [];
+
+  Object.keys(mapping).forEach(field => {
+    if (!IMPORTABLE_FIELDS.includes(field)) {
+      errors.push({ field, message: `${field} cannot be imported` });
+      return;
+    }
+
+    const value = (record[headers.indexOf(mapping[field])] || '').trim();
+    if (value === '') return;
+
+    switch (field) {
+      case 'category':
+      case 'priority':
+      case 'status':
+        task[field] = normalizeEnum(value);
+        break;
+      case 'scheduledDate': {
+        const date = moment(value, dateFormat || DATE_FORMATS, true);
+        if (date.isValid()) {
+          task.scheduledDate = date.startOf('day').toDate();
+        } else {
+          errors.push({ field, message: `Invalid date: ${value}` });
+        }
+        break;
+      }
+      case 'scheduledTime': {
+        const time = moment(value, TIME_FORMATS, true);
+        task.scheduledTime = time.isValid() ? time.format('HH:mm') : value;
+        break;
+      }
+      case 'estimatedDuration': {
+        const minutes = Number(value);
+        if (Number.isFinite(minutes) && minutes >= 0) {
+          task.estimatedDuration = minutes;
+        } else {
+          errors.push({ field, message: `Invalid duration: ${value}` });
+        }
+        break;
+      }
+      default:
+        task[field] = value;
+    }
+  });
+
+  if (!task.scheduledTime && defaultTime) task.scheduledTime = defaultTime;
+
+  return { task, errors };
+}
+
+// Turn the VEVENTs of an iCalendar file into task data. Changed occurrences
+// (RECURRENCE-ID) and EXDATEs become exceptions on their recurring task.
+// Event times are converted to the importing user's time zone.
+function icsToTasks(content, { defaultTime, categoryKeys, timeZone }) {
+  const events = parseEvents(content);
+  const rows = [];
+  const byUid = {};
+
+  events.filter(event => !event['RECURRENCE-ID']).forEach((event, index) => {
+    const task = {};
+    const errors = [];
+
+    if (event.UID) task.externalId = event.UID.value;
+    if (event.SUMMARY) task.title = unescapeText(event.SUMMARY.value);
+    if (event.DESCRIPTION) task.description = unescapeText(event.DESCRIPTION.value);
+
+    if (event.CATEGORIES) {
+      const category = unescapeText(event.CATEGORIES.value).split(',')
+        .map(normalizeEnum)
+        .find(value => categoryKeys.includes(value));
+      if (category) task.category = category;
+    }
+
+    const priority = event.PRIORITY && priorityFromICal(event.PRIORITY.value);
+    if (priority) task.priority = priority;
+
+    if (event['X-PRODUCTIVITYX-STATUS']) {
+      task.status = event['X-PRODUCTIVITYX-STATUS'].value;
+    } else if (event.STATUS && event.STATUS.value === 'CANCELLED') {
+      task.status = 'cancelled';
+    }
+
+    if (event.DTSTART) {
+      const start = parseDateValue(event.DTSTART.value, event.DTSTART.params, timeZone);
+      if (start.date.isValid()) {
+        task.scheduledDate = toCalendarDate(start.date);
+        if (!start.allDay) task.scheduledTime = start.date.format('HH:mm');
+
+        if (event.DTEND && !start.allDay) {
+          const end = parseDateValue(event.DTEND.value, event.DTEND.params, timeZone);
+          if (end.date.isValid()) task.estimatedDuration = end.date.diff(start.date, 'minutes');
+        } else if (event.DURATION) {
+          const duration = moment.duration(event.DURATION.value);
+          if (duration.asMinutes() > 0) task.estimatedDuration = duration.asMinutes();
+        }
+      } else {
+        errors.push({ field: 'scheduledDate', message: `Invalid start: ${event.DTSTART.value}` });
+      }
+    }
+
+    if (!task.scheduledTime && defaultTime) task.scheduledTime = defaultTime;
+
+    if (event.RRULE) {
+      const recurrence = parseRRule(event.RRULE.value, timeZone);
+      if (recurrence) {
+        task.recurrence = recurrence;
+        task.exceptions = (event.EXDATE || []).map(exdate => ({
+          date: parseDateValue(exdate.value, exdate.params, timeZone).date.format(DAY_FORMAT),
+          status: 'cancelled'
+        }));
+      } else {
+        errors.push({ field: 'recurrence', message: `Unsupported repetition rule: ${event.RRULE.value}` });
+      }
+    }
+
+    const row = { row: index + 1, task, errors };
+    rows.push(row);
+    if (task.externalId) byUid[task.externalId] = row;
+  });
+
+  events.filter(event => event['RECURRENCE-ID']).forEach(event => {
+    const master = event.UID && byUid[event.UID.value];
+    if (!master || !master.task.recurrence) return;
+
+    const original = parseDateValue(event['RECURRENCE-ID'].value, event['RECURRENCE-ID'].params, timeZone).date;
+    const exception = { date: original.format(DAY_FORMAT) };
+    if (event['X-PRODUCTIVITYX-STATUS']) exception.status = event['X-PRODUCTIVITYX-STATUS'].value;
+    if (event.DTSTART) {
+      const start = parseDateValue(event.DTSTART.value, event.DTSTART.params, timeZone);
+      exception.scheduledDate = toCalendarDate(start.date);
+      if (!start.allDay) exception.scheduledTime = start.date.format('HH:mm');
+    }
+
+    master.task.exceptions = master.task.exceptions
+      .filter(e => e.date !== exception.date)
+      .concat(exception);
+  });
+
+  return rows;
+}
+
+// Validate task data against the Task schema and the limits tasks are created with,
+// returning per-field errors
+function validateTask(data, userId) {
+  const errors = [];
+  if (data.estimatedDuration > MAX_DURATION_MINUTES) {
+    errors.push({
+      field: 'estimatedDuration',
+      message: `Estimated duration must be between 0 and ${MAX_DURATION_MINUTES} minutes`
+    });
+  }
+
+  const error = new Task({ ...data, userId }).validateSync();
+  return error
+    ? errors.concat(Object.values(error.errors).map(e => ({ field: e.path, message: e.message })))
+    : errors;
+}
+
+module.exports = router;
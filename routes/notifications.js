@@ -0,0 +1,244 @@
+const crypto = require('crypto');
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { CHANNELS } = require('../models/Reminder');
+const auth = require('../middleware/auth');
+const { runJobs } = require('../utils/jobs');
+const { checkOutboundUrl } = require('../utils/outbound');
+
+const router = express.Router();
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const CLOCK_TIME = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const sha256 = (value) => crypto.createHash('sha256').update(String(value)).digest();
+
+// Run the background jobs for a scheduler that presents CRON_SECRET
+async function dispatch(req, res) {
+  try {
+    if (!process.env.CRON_SECRET) {
+      return res.status(404).json({ message: 'Not found' });
+    }
+
+    const provided = (req.get('Authorization') || '').replace(/^Bearer /, '');
+    if (!crypto.timingSafeEqual(sha256(provided), sha256(process.env.CRON_SECRET))) {
+      return res.status(401).json({ message: 'Invalid dispatch secret' });
+    }
+
+    res.json(await runJobs());
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+}
+
+// @route   GET /api/notifications/dispatch
+// @desc    Fire due reminders, deliver pending notifications, retry webhooks and purge the
+//          trash. Called by Vercel Cron (see crons in vercel.json), which sends GET requests
+//          with CRON_SECRET, on deployments without a long-running dispatcher.
+// @access  Public (Authorization: Bearer CRON_SECRET)
+router.get('/dispatch', dispatch);
+
+// @route   POST /api/notifications/dispatch
+// @desc    Same as GET, for schedulers that POST
+// @access  Public (Authorization: Bearer CRON_SECRET)
+router.post('/dispatch', dispatch);
+
+// All other routes require authentication
+router.use(auth);
+
+// @route   GET /api/notifications
+// @desc    Get the user's inbox, newest first (unread=true for unread only, before=<id> for the next page)
+// @access  Private
+router.get('/', [
+  query('unread').optional().isBoolean().withMessage('unread must be true or false'),
+  query('before').optional().isMongoId().withMessage('Invalid notification ID'),
+  query('limit').optional().isInt({ min: 1, max: MAX_PAGE_SIZE }).withMessage(`Limit must be between 1 and ${MAX_PAGE_SIZE}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : DEFAULT_PAGE_SIZE;
+    const filter = { userId: req.user._id, inbox: true };
+    if (req.query.unread === 'true') filter.readAt = null;
+    if (req.query.before) filter._id = { $lt: req.query.before };
+
+    const notifications = await Notification.find(filter)
+      .select('-key -lockedUntil')
+      .sort({ _id: -1 })
+      .limit(limit + 1);
+    const page = notifications.slice(0, limit);
+
+    res.json({
+      notifications: page,
+      unread: await Notification.countDocuments({ userId: req.user._id, inbox: true, readAt: null }),
+      nextBefore: notifications.length > limit ? page[page.length - 1]._id : null
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/notifications/unread-count
+// @desc    Get the number of unread notifications
+// @access  Private
+router.get('/unread-count', async (req, res) => {
+  try {
+    const unread = await Notification.countDocuments({ userId: req.user._id, inbox: true, readAt: null });
+    res.json({ unread });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/notifications/read-all
+// @desc    Mark all notifications as read
+// @access  Private
+router.put('/read-all', async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { userId: req.user._id, inbox: true, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+    res.json({ updated: result.modifiedCount });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/notifications/settings
+// @desc    Get the user's notification channels, webhook URL and quiet hours
+// @access  Private
+router.get('/settings', async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('notificationSettings');
+    res.json(user.notificationSettings);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/notifications/settings
+// @desc    Update default channels, webhook URL and quiet hours (HH:mm in the user's time zone,
+//          quietHours: null to turn them off)
+// @access  Private
+router.put('/settings', [
+  body('channels').optional().isArray({ min: 1 }).withMessage('Channels must be a non-empty list'),
+  body('channels.*').isIn(CHANNELS).withMessage(`Channels must be one of ${CHANNELS.join(', ')}`),
+  body('webhookUrl').optional({ values: 'falsy' })
+    .isURL({ protocols: ['http', 'https'], require_protocol: true }).withMessage('Webhook URL must be an http(s) URL')
+    .bail()
+    .custom(async (value) => {
+      const problem = await checkOutboundUrl(value);
+      if (problem) throw new Error(problem);
+    }),
+  body('quietHours.start').optional().matches(CLOCK_TIME).withMessage('Quiet hours must be HH:mm times'),
+  body('quietHours.end').optional().matches(CLOCK_TIME).withMessage('Quiet hours must be HH:mm times')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user._id);
+    const settings = user.notificationSettings;
+
+    if (req.body.channels !== undefined) settings.channels = [...new Set(req.body.channels)];
+    if (req.body.webhookUrl !== undefined) settings.webhookUrl = req.body.webhookUrl || undefined;
+    if (req.body.quietHours === null) {
+      settings.quietHours = undefined;
+    } else if (req.body.quietHours !== undefined) {
+      if (!req.body.quietHours.start || !req.body.quietHours.end) {
+        return res.status(400).json({ message: 'Quiet hours need a start and an end' });
+      }
+      settings.quietHours = { start: req.body.quietHours.start, end: req.body.quietHours.end };
+    }
+
+    if (settings.channels.includes('webhook') && !settings.webhookUrl) {
+      return res.status(400).json({ message: 'Set a webhook URL to use the webhook channel' });
+    }
+
+    await user.save();
+
+    res.json(user.notificationSettings);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/notifications/:id/read
+// @desc    Mark a notification as read
+// @access  Private
+router.put('/:id/read', async (req, res) => {
+  try {
+    const notification = await Notification.findOne({ _id: req.params.id, userId: req.user._id, inbox: true });
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.json(notification);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/notifications/:id/unread
+// @desc    Mark a notification as unread
+// @access  Private
+router.put('/:id/unread', async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user._id, inbox: true },
+      { $set: { readAt: null } },
+      { new: true }
+    );
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    res.json(notification);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/notifications/:id
+// @desc    Remove a notification from the inbox
+// @access  Private
+router.delete('/:id', async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user._id, inbox: true },
+      { $set: { inbox: false } }
+    );
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    res.json({ message: 'Notification removed' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,244 @@
+const express = require('express');
+const Task = require('../models/Task');
+const Productivity = require('../models/Productivity');
+const Category = require('../models/Category');
+const apiTokenAuth = require('../middleware/apiTokenAuth');
+const { workspaceScope } = require('../middleware/authorize');
+const { getCategories } = require('../utils/categories');
+const {
+  queryError,
+  parseFilter,
+  parseOrderBy,
+  parseSelect,
+  parseCount,
+  formatEntity,
+  metadataXML
+} = require('../utils/odata');
+
+const router = express.Router();
+
+// Entities per response page; clients can ask for fewer with Prefer: odata.maxpagesize
+const MAX_PAGE_SIZE = 1000;
+const SUPPORTED_OPTIONS = ['$filter', '$select', '$orderby', '$top', '$skip', '$count', '$skiptoken', '$format'];
+
+const id = (doc) => doc._id;
+
+// Entity sets of the feed. A recurring task is one entity for the whole series;
+// GET /api/analytics/export/tasks has a row per occurrence.
+const ENTITY_SETS = [
+  {
+    name: 'Tasks',
+    entityType: 'Task',
+    key: 'id',
+    model: Task,
+    // Everything the user can see: their personal tasks and the tasks of their workspaces
+    scope: (req) => req.taskScope,
+    properties: [
+      { name: 'id', type: 'Edm.String', path: '_id', objectId: true, value: id },
+      { name: 'title', type: 'Edm.String', path: 'title', value: (t) => t.title },
+      { name: 'description', type: 'Edm.String', path: 'description', value: (t) => t.description },
+      { name: 'category', type: 'Edm.String', path: 'category', value: (t) => t.category },
+      { name: 'projectId', type: 'Edm.String', path: 'projectId', objectId: true, value: (t) => t.projectId },
+      { name: 'priority', type: 'Edm.String', path: 'priority', value: (t) => t.priority },
+      { name: 'status', type: 'Edm.String', path: 'status', value: (t) => t.status },
+      { name: 'tags', type: 'Edm.String', collection: true, value: (t) => t.tags },
+      { name: 'scheduledDate', type: 'Edm.Date', path: 'scheduledDate', value: (t) => t.scheduledDate },
+      { name: 'scheduledTime', type: 'Edm.String', path: 'scheduledTime', value: (t) => t.scheduledTime },
+      { name: 'estimatedDuration', type: 'Edm.Int32', path: 'estimatedDuration', value: (t) => t.estimatedDuration },
+      { name: 'actualDuration', type: 'Edm.Int32', path: 'actualDuration', value: (t) => t.actualDuration },
+      { name: 'completedAt', type: 'Edm.DateTimeOffset', path: 'completedAt', value: (t) => t.completedAt },
+      { name: 'productivityScore', type: 'Edm.Double', path: 'productivityScore', value: (t) => t.productivityScore },
+      { name: 'recurring', type: 'Edm.Boolean', value: (t) => Boolean(t.recurrence) },
+      { name: 'parentId', type: 'Edm.String', path: 'parentId', objectId: true, value: (t) => t.parentId },
+      { name: 'workspaceId', type: 'Edm.String', path: 'workspaceId', objectId: true, value: (t) => t.workspaceId },
+      { name: 'assigneeId', type: 'Edm.String', path: 'assigneeId', objectId: true, value: (t) => t.assigneeId },
+      { name: 'userId', type: 'Edm.String', path: 'userId', objectId: true, value: (t) => t.userId },
+      { name: 'createdAt', type: 'Edm.DateTimeOffset', path: 'createdAt', value: (t) => t.createdAt },
+      { name: 'updatedAt', type: 'Edm.DateTimeOffset', path: 'updatedAt', value: (t) => t.updatedAt }
+    ]
+  },
+  {
+    name: 'DailyProductivity',
+    entityType: 'DailyProductivity',
+    key: 'id',
+    model: Productivity,
+    scope: (req) => ({ userId: req.user._id }),
+    properties: [
+      { name: 'id', type: 'Edm.String', path: '_id', objectId: true, value: id },
+      { name: 'date', type: 'Edm.Date', path: 'date', value: (p) => p.date },
+      { name: 'tasksCompleted', type: 'Edm.Int32', path: 'tasksCompleted', value: (p) => p.tasksCompleted },
+      { name: 'tasksPlanned', type: 'Edm.Int32', path: 'tasksPlanned', value: (p) => p.tasksPlanned },
+      {
+        name: 'completionRate',
+        type: 'Edm.Double',
+        value: (p) => (p.tasksPlanned > 0 ? (p.tasksCompleted / p.tasksPlanned) * 100 : 0)
+      },
+      { name: 'productivityScore', type: 'Edm.Double', path: 'productivityScore', value: (p) => p.productivityScore },
+      { name: 'totalWorkTime', type: 'Edm.Int32', path: 'totalWorkTime', value: (p) => p.totalWorkTime },
+      { name: 'focusTime', type: 'Edm.Int32', path: 'focusTime', value: (p) => p.focusTime },
+      { name: 'breaks', type: 'Edm.Int32', path: 'breaks', value: (p) => p.breaks },
+      // For incremental refresh: days are recomputed in place
+      { name: 'updatedAt', type: 'Edm.DateTimeOffset', path: 'updatedAt', value: (p) => p.updatedAt }
+    ]
+  },
+  {
+    name: 'Categories',
+    entityType: 'Category',
+    key: 'key',
+    model: Category,
+    scope: (req) => ({ userId: req.user._id }),
+    properties: [
+      { name: 'key', type: 'Edm.String', path: 'key', value: (c) => c.key },
+      { name: 'name', type: 'Edm.String', path: 'name', value: (c) => c.name },
+      { name: 'color', type: 'Edm.String', path: 'color', value: (c) => c.color },
+      { name: 'weeklyBudget', type: 'Edm.Int32', path: 'weeklyBudget', value: (c) => c.weeklyBudget },
+      { name: 'order', type: 'Edm.Int32', path: 'order', value: (c) => c.order },
+      { name: 'archived', type: 'Edm.Boolean', path: 'archived', value: (c) => c.archived },
+      { name: 'createdAt', type: 'Edm.DateTimeOffset', path: 'createdAt', value: (c) => c.createdAt },
+      { name: 'updatedAt', type: 'Edm.DateTimeOffset', path: 'updatedAt', value: (c) => c.updatedAt }
+    ]
+  }
+];
+
+const serviceRoot = (req) => `${req.protocol}://${req.get('host')}${req.baseUrl}`;
+
+// Error body in the OData JSON format
+const sendError = (res, status, message) =>
+  res.status(status).json({ error: { code: String(status), message } });
+
+// Validate the query options of an entity set request; returns the MongoDB filter and the
+// other options, or throws a query error
+function readQuery(req, entitySet) {
+  const unsupported = Object.keys(req.query).filter(key => key.startsWith('$') && !SUPPORTED_OPTIONS.includes(key));
+  if (unsupported.length > 0) {
+    throw queryError(`Query option ${unsupported.join(', ')} is not supported`, 501);
+  }
+  if (req.query.$format && !/^json|^application\/json/.test(req.query.$format)) {
+    throw queryError('Only the JSON format is supported', 406);
+  }
+  if (req.query.$count && !['true', 'false'].includes(req.query.$count)) {
+    throw queryError('$count must be true or false');
+  }
+
+  const filter = { ...entitySet.scope(req) };
+  if (req.query.$filter) {
+    // Kept apart so it can't override the scope
+    filter.$and = [parseFilter(req.query.$filter, entitySet.properties)];
+  }
+
+  return {
+    filter,
+    sort: parseOrderBy(req.query.$orderby, entitySet.properties),
+    select: parseSelect(req.query.$select, entitySet.properties),
+    top: parseCount(req.query.$top, '$top'),
+    skip: parseCount(req.query.$skip, '$skip') || 0,
+    skipToken: parseCount(req.query.$skiptoken, '$skiptoken') || 0,
+    count: req.query.$count === 'true'
+  };
+}
+
+const findEntitySet = (name) => ENTITY_SETS.find(set => set.name === name);
+
+// @route   GET /api/odata/$metadata
+// @desc    CSDL document describing the entity sets
+// @access  Public
+router.get(/^\/\$metadata$/, (req, res) => {
+  res.set('OData-Version', '4.0');
+  res.type('application/xml').send(metadataXML(ENTITY_SETS));
+});
+
+// All other routes require an API token, or a signed-in session
+router.use(apiTokenAuth, workspaceScope, (req, res, next) => {
+  res.set('OData-Version', '4.0');
+  res.type('application/json;odata.metadata=minimal');
+  next();
+});
+
+// @route   GET /api/odata
+// @desc    OData v4 service document listing the entity sets
+// @access  Private (API token as the Basic authentication password)
+router.get('/', (req, res) => {
+  res.json({
+    '@odata.context': `${serviceRoot(req)}/$metadata`,
+    value: ENTITY_SETS.map(set => ({ name: set.name, kind: 'EntitySet', url: set.name }))
+  });
+});
+
+// @route   GET /api/odata/:entitySet/$count
+// @desc    Number of entities matching $filter, as plain text
+// @access  Private (API token as the Basic authentication password)
+router.get(/^\/(\w+)\/\$count$/, async (req, res) => {
+  try {
+    const entitySet = findEntitySet(req.params[0]);
+    if (!entitySet) {
+      return sendError(res, 404, `Entity set ${req.params[0]} not found`);
+    }
+
+    const { filter } = readQuery(req, entitySet);
+    res.type('text/plain').send(String(await entitySet.model.countDocuments(filter)));
+  } catch (error) {
+    if (error.status) {
+      return sendError(res, error.status, error.message);
+    }
+    console.error(error);
+    sendError(res, 500, 'Server error');
+  }
+});
+
+// @route   GET /api/odata/:entitySet
+// @desc    Entities of Tasks, DailyProductivity or Categories. Supports $filter, $select,
+//          $orderby, $top, $skip and $count; long results are paged with @odata.nextLink
+// @access  Private (API token as the Basic authentication password)
+router.get('/:entitySet', async (req, res) => {
+  try {
+    const entitySet = findEntitySet(req.params.entitySet);
+    if (!entitySet) {
+      return sendError(res, 404, `Entity set ${req.params.entitySet} not found`);
+    }
+
+    const { filter, sort, select, top, skip, skipToken, count } = readQuery(req, entitySet);
+
+    // Categories are created on first use
+    if (entitySet.model === Category) {
+      await getCategories(req.user._id);
+    }
+
+    const preferred = /odata\.maxpagesize=(\d+)/.exec(req.get('Prefer') || '');
+    const maxPageSize = preferred ? Math.min(Math.max(parseInt(preferred[1], 10), 1), MAX_PAGE_SIZE) : MAX_PAGE_SIZE;
+    if (preferred) {
+      res.set('Preference-Applied', `odata.maxpagesize=${maxPageSize}`);
+    }
+
+    // The skip token counts the entities of the earlier pages
+    const remaining = top === undefined ? Infinity : Math.max(top - skipToken, 0);
+    const pageSize = Math.min(maxPageSize, remaining);
+    const docs = pageSize > 0
+      ? await entitySet.model.find(filter).sort(sort).skip(skip + skipToken).limit(pageSize + 1).lean()
+      : [];
+    const page = docs.slice(0, pageSize);
+
+    const root = serviceRoot(req);
+    const selected = req.query.$select ? `(${select.map(p => p.name).join(',')})` : '';
+    const body = { '@odata.context': `${root}/$metadata#${entitySet.name}${selected}` };
+    if (count) {
+      body['@odata.count'] = await entitySet.model.countDocuments(filter);
+    }
+    body.value = page.map(doc => formatEntity(doc, select));
+
+    if (docs.length > pageSize && pageSize < remaining) {
+      const params = new URLSearchParams(req.query);
+      params.set('$skiptoken', String(skipToken + pageSize));
+      body['@odata.nextLink'] = `${root}/${entitySet.name}?${params}`;
+    }
+
+    res.json(body);
+  } catch (error) {
+    if (error.status) {
+      return sendError(res, error.status, error.message);
+    }
+    console.error(error);
+    sendError(res, 500, 'Server error');
+  }
+});
+
+module.exports = router;
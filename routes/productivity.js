@@ -2,7 +2,8 @@ const express = require('express');
 const Productivity = require('../models/Productivity');
 const Task = require('../models/Task');
 const auth = require('../middleware/auth');
-const moment = require('moment');
+const { userTimeZone, parseDay, today: todayIn } = require('../utils/timezone');
+const { getCategories, emptyBreakdown, sumBreakdowns } = require('../utils/categories');
 
 const router = express.Router();
 
@@ -18,9 +19,10 @@ router.get('/', async (req, res) => {
     const query = { userId: req.user._id };
 
     if (startDate || endDate) {
+      const timeZone = userTimeZone(req.user);
       query.date = {};
-      if (startDate) query.date.$gte = moment(startDate).startOf('day').toDate();
-      if (endDate) query.date.$lte = moment(endDate).endOf('day').toDate();
+      if (startDate) query.date.$gte = parseDay(startDate, timeZone).startOf('day').toDate();
+      if (endDate) query.date.$lte = parseDay(endDate, timeZone).endOf('day').toDate();
     }
 
     const productivity = await Productivity.find(query)
@@ -39,8 +41,9 @@ router.get('/', async (req, res) => {
 // @access  Private
 router.get('/current', async (req, res) => {
   try {
-    const today = moment().startOf('day').toDate();
-    const tomorrow = moment().endOf('day').toDate();
+    // "Today" is the current day in the user's time zone
+    const today = todayIn(userTimeZone(req.user)).toDate();
+    const tomorrow = todayIn(userTimeZone(req.user)).endOf('day').toDate();
 
     let productivity = await Productivity.findOne({
       userId: req.user._id,
@@ -58,13 +61,7 @@ router.get('/current', async (req, res) => {
         productivityScore: 0,
         focusTime: 0,
         breaks: 0,
-        categoryBreakdown: {
-          work: 0,
-          personal: 0,
-          health: 0,
-          learning: 0,
-          other: 0
-        }
+        categoryBreakdown: emptyBreakdown(await getCategories(req.user._id))
       });
       await productivity.save();
     }
@@ -82,7 +79,7 @@ router.get('/current', async (req, res) => {
 router.get('/stats', async (req, res) => {
   try {
     const { days = 30 } = req.query;
-    const startDate = moment().subtract(parseInt(days), 'days').startOf('day').toDate();
+    const startDate = todayIn(userTimeZone(req.user)).subtract(parseInt(days), 'days').toDate();
 
     const productivity = await Productivity.find({
       userId: req.user._id,
@@ -99,13 +96,11 @@ router.get('/stats', async (req, res) => {
       averageTasksPerDay: productivity.length > 0
         ? productivity.reduce((sum, p) => sum + p.tasksCompleted, 0) / productivity.length
         : 0,
-      categoryBreakdown: {
-        work: 0,
-        personal: 0,
-        health: 0,
-        learning: 0,
-        other: 0
-      },
+      categoryBreakdown: sumBreakdowns(
+        productivity.map(p => p.categoryBreakdown),
+        emptyBreakdown(await getCategories(req.user._id))
+      ),
+      projectBreakdown: sumBreakdowns(productivity.map(p => p.projectBreakdown)),
       dailyData: productivity.map(p => ({
         date: p.date,
         tasksCompleted: p.tasksCompleted,
@@ -115,13 +110,6 @@ router.get('/stats', async (req, res) => {
       }))
     };
 
-    // Aggregate category breakdown
-    productivity.forEach(p => {
-      Object.keys(p.categoryBreakdown).forEach(category => {
-        stats.categoryBreakdown[category] += p.categoryBreakdown[category] || 0;
-      });
-    });
-
     res.json(stats);
   } catch (error) {
     console.error(error);
@@ -0,0 +1,126 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+const auth = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(auth);
+
+// @route   GET /api/projects
+// @desc    Get the user's projects
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const query = { userId: req.user._id };
+    if (req.query.includeArchived !== 'true') query.archived = false;
+
+    const projects = await Project.find(query).sort({ name: 1 });
+
+    res.json(projects);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/projects
+// @desc    Create a project
+// @access  Private
+router.post('/', [
+  body('name').trim().notEmpty().withMessage('Name is required'),
+  body('color').optional().matches(/^#[0-9a-fA-F]{6}$/).withMessage('Color must be a hex value like #3B82F6'),
+  body('weeklyBudget').optional({ nullable: true }).isInt({ min: 0 }).withMessage('Weekly budget must be a number of minutes')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const project = new Project({
+      userId: req.user._id,
+      name: req.body.name,
+      description: req.body.description,
+      color: req.body.color,
+      weeklyBudget: req.body.weeklyBudget
+    });
+    await project.save();
+
+    res.status(201).json(project);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/projects/:id
+// @desc    Update a project
+// @access  Private
+router.put('/:id', [
+  body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
+  body('color').optional().matches(/^#[0-9a-fA-F]{6}$/).withMessage('Color must be a hex value like #3B82F6'),
+  body('weeklyBudget').optional({ nullable: true }).isInt({ min: 0 }).withMessage('Weekly budget must be a number of minutes'),
+  body('archived').optional().isBoolean().withMessage('archived must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const project = await Project.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+
+    ['name', 'description', 'color', 'weeklyBudget', 'archived'].forEach(key => {
+      if (req.body[key] !== undefined) {
+        project[key] = req.body[key];
+      }
+    });
+
+    await project.save();
+    res.json(project);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/projects/:id
+// @desc    Delete a project, or archive it when tasks still use it
+// @access  Private
+router.delete('/:id', async (req, res) => {
+  try {
+    const project = await Project.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+
+    const inUse = await Task.exists({ userId: req.user._id, projectId: project._id });
+    if (inUse) {
+      project.archived = true;
+      await project.save();
+      return res.json({ message: 'Project is used by tasks and was archived instead', project });
+    }
+
+    await project.deleteOne();
+    res.json({ message: 'Project deleted successfully' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
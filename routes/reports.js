@@ -4,12 +4,36 @@ const Productivity = require('../models/Productivity');
 const Task = require('../models/Task');
 const User = require('../models/User');
 const auth = require('../middleware/auth');
-const moment = require('moment');
+const { workspaceScope } = require('../middleware/authorize');
+const moment = require('moment-timezone');
+const { personalTaskFilter } = require('../utils/productivity');
+const { userTimeZone, dateRange, calendarDay, today: todayIn } = require('../utils/timezone');
+const { getCategories, countTasksByCategory, categoryName } = require('../utils/categories');
+const { evaluateGoals } = require('../utils/goals');
 
 const router = express.Router();
 
+const GOAL_STATUS_LABELS = {
+  achieved: 'Achieved',
+  'on-track': 'On track',
+  behind: 'Behind',
+  missed: 'Missed',
+  upcoming: 'Upcoming'
+};
+
+// A goal's value in its unit: tasks, hours and minutes, or a score
+function formatGoalValue(metric, value) {
+  if (metric === 'completedTasks') return `${value} tasks`;
+  if (metric === 'productivityScore') return `${value}%`;
+  return `${Math.floor(value / 60)}h ${Math.round(value % 60)}m`;
+}
+
+// Goals in their periods containing the last day of the report, or today
+const reportGoals = (userId, end, timeZone) =>
+  evaluateGoals(userId, timeZone, moment.min(calendarDay(end), todayIn(timeZone)));
+
 // All routes require authentication
-router.use(auth);
+router.use(auth, workspaceScope);
 
 // @route   GET /api/reports/pdf
 // @desc    Generate and download productivity report as PDF
@@ -17,8 +41,8 @@ router.use(auth);
 router.get('/pdf', async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
-    const start = startDate ? moment(startDate).startOf('day').toDate() : moment().subtract(30, 'days').startOf('day').toDate();
-    const end = endDate ? moment(endDate).endOf('day').toDate() : moment().endOf('day').toDate();
+    const timeZone = userTimeZone(req.user);
+    const { start, end } = dateRange({ startDate, endDate }, timeZone);
 
     // Get user data
     const user = await User.findById(req.user._id);
@@ -31,10 +55,13 @@ router.get('/pdf', async (req, res) => {
 
     // Get task data
     const tasks = await Task.find({
-      userId: req.user._id,
+      ...personalTaskFilter(req.user._id),
       scheduledDate: { $gte: start, $lte: end }
     });
 
+    const categories = await getCategories(req.user._id);
+    const goals = await reportGoals(req.user._id, end, timeZone);
+
     // Calculate summary statistics
     const totalTasksCompleted = productivity.reduce((sum, p) => sum + p.tasksCompleted, 0);
     const totalTasksPlanned = productivity.reduce((sum, p) => sum + p.tasksPlanned, 0);
@@ -48,7 +75,7 @@ router.get('/pdf', async (req, res) => {
     
     // Set response headers
     res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', `attachment; filename=ProductivityX_Report_${moment().format('YYYY-MM-DD')}.pdf`);
+    res.setHeader('Content-Disposition', `attachment; filename=ProductivityX_Report_${todayIn(timeZone).format('YYYY-MM-DD')}.pdf`);
 
     // Pipe PDF to response
     doc.pipe(res);
@@ -61,7 +88,7 @@ router.get('/pdf', async (req, res) => {
     doc.fontSize(14).text(`Generated for: ${user.name}`, { align: 'left' });
     doc.text(`Email: ${user.email}`, { align: 'left' });
     doc.text(`Report Period: ${moment(start).format('MMMM DD, YYYY')} - ${moment(end).format('MMMM DD, YYYY')}`, { align: 'left' });
-    doc.text(`Generated on: ${moment().format('MMMM DD, YYYY [at] h:mm A')}`, { align: 'left' });
+    doc.text(`Generated on: ${moment().tz(timeZone).format('MMMM DD, YYYY [at] h:mm A z')}`, { align: 'left' });
     doc.moveDown(2);
 
     // Add summary section
@@ -120,16 +147,10 @@ router.get('/pdf', async (req, res) => {
     doc.moveDown();
     doc.fontSize(12);
 
-    const categoryCounts = {
-      work: tasks.filter(t => t.category === 'work').length,
-      personal: tasks.filter(t => t.category === 'personal').length,
-      health: tasks.filter(t => t.category === 'health').length,
-      learning: tasks.filter(t => t.category === 'learning').length,
-      other: tasks.filter(t => t.category === 'other').length
-    };
+    const categoryCounts = countTasksByCategory(tasks, categories);
 
     Object.keys(categoryCounts).forEach(category => {
-      doc.text(`${category.charAt(0).toUpperCase() + category.slice(1)}: ${categoryCounts[category]} tasks`, { indent: 20 });
+      doc.text(`${categoryName(categories, category)}: ${categoryCounts[category]} tasks`, { indent: 20 });
     });
 
     doc.moveDown(2);
@@ -153,6 +174,23 @@ router.get('/pdf', async (req, res) => {
 
     doc.moveDown(2);
 
+    // Add goal progress
+    if (goals.length > 0) {
+      doc.fontSize(18).text('Goals', { underline: true });
+      doc.moveDown();
+      doc.fontSize(12);
+
+      goals.forEach(goal => {
+        doc.text(`${goal.title} (${goal.start} - ${goal.end}): ${GOAL_STATUS_LABELS[goal.status]}`, { indent: 20 });
+        doc.text(
+          `${formatGoalValue(goal.metric, goal.current)} of ${formatGoalValue(goal.metric, goal.target)} (${goal.progress}%)`,
+          { indent: 40 }
+        );
+      });
+
+      doc.moveDown(2);
+    }
+
     // Add footer
     doc.fontSize(10)
        .text('This report was generated by ProductivityX - Your Personal Productivity Management System', 
@@ -172,8 +210,8 @@ router.get('/pdf', async (req, res) => {
 router.get('/summary', async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
-    const start = startDate ? moment(startDate).startOf('day').toDate() : moment().subtract(30, 'days').startOf('day').toDate();
-    const end = endDate ? moment(endDate).endOf('day').toDate() : moment().endOf('day').toDate();
+    const timeZone = userTimeZone(req.user);
+    const { start, end } = dateRange({ startDate, endDate }, timeZone);
 
     const productivity = await Productivity.find({
       userId: req.user._id,
@@ -181,7 +219,7 @@ router.get('/summary', async (req, res) => {
     }).sort({ date: 1 });
 
     const tasks = await Task.find({
-      userId: req.user._id,
+      ...personalTaskFilter(req.user._id),
       scheduledDate: { $gte: start, $lte: end }
     });
 
@@ -199,19 +237,14 @@ router.get('/summary', async (req, res) => {
       averageProductivityScore: productivity.length > 0
         ? productivity.reduce((sum, p) => sum + p.productivityScore, 0) / productivity.length
         : 0,
-      categoryBreakdown: {
-        work: tasks.filter(t => t.category === 'work').length,
-        personal: tasks.filter(t => t.category === 'personal').length,
-        health: tasks.filter(t => t.category === 'health').length,
-        learning: tasks.filter(t => t.category === 'learning').length,
-        other: tasks.filter(t => t.category === 'other').length
-      },
+      categoryBreakdown: countTasksByCategory(tasks, await getCategories(req.user._id)),
       statusBreakdown: {
         pending: tasks.filter(t => t.status === 'pending').length,
         inProgress: tasks.filter(t => t.status === 'in-progress').length,
         completed: tasks.filter(t => t.status === 'completed').length,
         cancelled: tasks.filter(t => t.status === 'cancelled').length
-      }
+      },
+      goals: await reportGoals(req.user._id, end, timeZone)
     };
 
     res.json(summary);
@@ -0,0 +1,330 @@
+const express = require('express');
+const moment = require('moment-timezone');
+const { body, query, validationResult } = require('express-validator');
+const Task = require('../models/Task');
+const auth = require('../middleware/auth');
+const { workspaceScope, canAccessTask } = require('../middleware/authorize');
+const { personalTaskFilter, metricsOwner, updateDaysMetrics } = require('../utils/productivity');
+const { getBusyBlocks, dayStartMinute, formatBlock } = require('../utils/conflicts');
+const {
+  userTimeZone,
+  parseDay,
+  today: todayIn,
+  clockMinutes,
+  formatClock,
+  MINUTES_PER_DAY,
+  DAY_FORMAT
+} = require('../utils/timezone');
+const { DEFAULT_WORKING_HOURS, freeIntervals, planSchedule } = require('../utils/scheduler');
+const { syncTaskReminders } = require('../utils/reminders');
+const { emitTaskEvent } = require('../utils/webhooks');
+const { recordTaskActivity } = require('../utils/activity');
+
+const router = express.Router();
+
+const DEFAULT_RANGE_DAYS = 7;
+const MAX_RANGE_DAYS = 62;
+const CLOCK_TIME = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// All routes require authentication
+router.use(auth, workspaceScope);
+
+// @route   POST /api/schedule/preview
+// @desc    Propose times for pending tasks that are overdue or have no clock time,
+//          fitting them around fixed tasks, blocked time and breaks within working hours.
+//          Nothing is saved; send the plan to /apply to accept it.
+// @access  Private
+router.post('/preview', [
+  body('startDate').optional().isISO8601().withMessage('Start date must be a valid date'),
+  body('endDate').optional().isISO8601().withMessage('End date must be a valid date'),
+  body('workingHours.start').optional().matches(CLOCK_TIME).withMessage('Working hours must be HH:mm times'),
+  body('workingHours.end').optional().matches(CLOCK_TIME).withMessage('Working hours must be HH:mm times'),
+  body('workingHours.days').optional().isArray({ min: 1 }).withMessage('Working days must be a list of weekdays'),
+  body('workingHours.days.*').isInt({ min: 0, max: 6 }).withMessage('Weekdays must be between 0 and 6'),
+  body('breakMinutes').optional().isInt({ min: 0, max: 240 }).withMessage('Break must be between 0 and 240 minutes'),
+  body('blocked').optional().isArray().withMessage('Blocked time must be a list'),
+  body('blocked.*.start').matches(CLOCK_TIME).withMessage('Blocked time must use HH:mm times'),
+  body('blocked.*.end').matches(CLOCK_TIME).withMessage('Blocked time must use HH:mm times'),
+  body('blocked.*.date').optional().isISO8601().withMessage('Blocked date must be a valid date'),
+  body('blocked.*.days').optional().isArray().withMessage('Blocked days must be a list of weekdays'),
+  body('fixedTaskIds').optional().isArray().withMessage('fixedTaskIds must be a list of task IDs'),
+  body('fixedTaskIds.*').isMongoId().withMessage('Invalid task ID'),
+  body('taskIds').optional().isArray().withMessage('taskIds must be a list of task IDs'),
+  body('taskIds.*').isMongoId().withMessage('Invalid task ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const timeZone = userTimeZone(req.user);
+    const today = todayIn(timeZone);
+    const start = req.body.startDate ? parseDay(req.body.startDate, timeZone) : today.clone();
+    const end = req.body.endDate
+      ? parseDay(req.body.endDate, timeZone)
+      : start.clone().add(DEFAULT_RANGE_DAYS - 1, 'days');
+
+    if (end.isBefore(start)) {
+      return res.status(400).json({ message: 'End date must not be before start date' });
+    }
+    if (end.diff(start, 'days') >= MAX_RANGE_DAYS) {
+      return res.status(400).json({ message: `The range can be at most ${MAX_RANGE_DAYS} days` });
+    }
+
+    const workingHours = { ...DEFAULT_WORKING_HOURS, ...req.body.workingHours };
+    workingHours.days = workingHours.days.map(Number);
+    if (clockMinutes(workingHours.end) <= clockMinutes(workingHours.start)) {
+      return res.status(400).json({ message: 'Working hours must end after they start' });
+    }
+    const breakMinutes = req.body.breakMinutes !== undefined
+      ? parseInt(req.body.breakMinutes, 10)
+      : req.user.focusSettings.shortBreakLength;
+
+    const fixedIds = new Set((req.body.fixedTaskIds || []).map(String));
+    const onlyIds = req.body.taskIds ? new Set(req.body.taskIds.map(String)) : null;
+    const rangeStart = start.toDate();
+    const rangeEnd = end.clone().endOf('day').toDate();
+
+    // Pending tasks that are overdue or have no clock time yet
+    const pending = await Task.find({
+      ...personalTaskFilter(req.user._id),
+      status: 'pending',
+      recurrence: null,
+      scheduledDate: { $lte: rangeEnd }
+    });
+    const candidates = pending.filter(task =>
+      !fixedIds.has(String(task._id)) &&
+      (!onlyIds || onlyIds.has(String(task._id))) &&
+      (task.scheduledDate < today.toDate() || clockMinutes(task.scheduledTime) === null));
+    const candidateIds = new Set(candidates.map(t => String(t._id)));
+
+    // Tasks waiting on open blockers that aren't being planned can't be placed
+    const blockerIds = candidates.reduce((acc, t) => acc.concat(t.blockedBy || []), []);
+    const openBlockers = blockerIds.length > 0
+      ? await Task.find({ _id: { $in: blockerIds }, status: { $nin: ['completed', 'cancelled'] } }).select('_id')
+      : [];
+    const externallyBlocked = new Set(openBlockers.map(t => String(t._id)).filter(id => !candidateIds.has(id)));
+    const isBlocked = (task) => (task.blockedBy || []).some(id => externallyBlocked.has(String(id)));
+
+    // Everything else with a time in the range keeps its place
+    const fixedBlocks = (await getBusyBlocks(req.user._id, rangeStart, rangeEnd))
+      .filter(block => !candidateIds.has(String(block.task._id)));
+
+    const days = [];
+    for (const day = start.clone(); !day.isAfter(end); day.add(1, 'day')) {
+      const key = day.format(DAY_FORMAT);
+      const weekday = day.day();
+      const dayStart = dayStartMinute(day);
+
+      // Relative to the day, so a task running past midnight also takes the next morning
+      const busy = fixedBlocks.map(block => ({ start: block.from - dayStart, end: block.to - dayStart }));
+      (req.body.blocked || [])
+        .filter(b => (b.date ? parseDay(b.date, timeZone).format(DAY_FORMAT) === key : true) &&
+          (b.days ? b.days.map(Number).includes(weekday) : true))
+        .forEach(b => busy.push({ start: clockMinutes(b.start), end: clockMinutes(b.end) }));
+
+      days.push({ key, weekday, busy });
+    }
+
+    const now = moment().tz(timeZone);
+    const plan = planSchedule(candidates.filter(t => !isBlocked(t)), {
+      days,
+      workingHours,
+      breakMinutes,
+      // Round up to the next five minutes
+      notBefore: { key: today.format(DAY_FORMAT), minutes: Math.ceil((now.hours() * 60 + now.minutes()) / 5) * 5 }
+    });
+
+    const summary = (task) => ({
+      taskId: task._id,
+      title: task.title,
+      priority: task.priority,
+      estimatedDuration: task.estimatedDuration,
+      previousDate: moment.utc(task.scheduledDate).format(DAY_FORMAT),
+      previousTime: task.scheduledTime
+    });
+
+    res.json({
+      range: { start: start.format(DAY_FORMAT), end: end.format(DAY_FORMAT) },
+      timeZone,
+      workingHours,
+      breakMinutes,
+      scheduled: plan.scheduled.map(p => ({
+        ...summary(p.task),
+        scheduledDate: p.scheduledDate,
+        scheduledTime: p.scheduledTime,
+        endTime: p.endTime
+      })),
+      unscheduled: plan.unscheduled
+        .map(u => ({ ...summary(u.task), reason: u.reason }))
+        .concat(candidates.filter(isBlocked).map(t => ({ ...summary(t), reason: 'Waiting on blocking tasks' })))
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/schedule/apply
+// @desc    Apply a reviewed plan: set scheduledDate and scheduledTime of each task
+//          and recompute the daily metrics of the days involved
+// @access  Private
+router.post('/apply', [
+  body('assignments').isArray({ min: 1 }).withMessage('Assignments must be a non-empty list'),
+  body('assignments.*.taskId').isMongoId().withMessage('Invalid task ID'),
+  body('assignments.*.scheduledDate').isISO8601().withMessage('Scheduled date must be a valid date'),
+  body('assignments.*.scheduledTime').matches(CLOCK_TIME).withMessage('Scheduled time must be HH:mm')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { assignments } = req.body;
+    const ids = assignments.map(a => String(a.taskId));
+    if (new Set(ids).size !== ids.length) {
+      return res.status(400).json({ message: 'Each task can only be scheduled once' });
+    }
+
+    const tasks = await Task.find({ _id: { $in: ids }, ...req.taskScope });
+    if (tasks.length !== ids.length) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+    const refused = tasks.find(task => task.recurrence || !canAccessTask(req, task, 'write'));
+    if (refused) {
+      return res.status(refused.recurrence ? 400 : 403).json({
+        message: refused.recurrence
+          ? 'Recurring tasks are rescheduled per occurrence'
+          : 'You are not allowed to write this task',
+        taskId: refused._id
+      });
+    }
+
+    const timeZone = userTimeZone(req.user);
+    const byId = new Map(tasks.map(t => [String(t._id), t]));
+    const affected = new Map();
+    const addDates = (owner, dates) => {
+      const key = String(owner);
+      affected.set(key, { owner, dates: (affected.has(key) ? affected.get(key).dates : []).concat(dates) });
+    };
+
+    const operations = assignments.map(assignment => {
+      const task = byId.get(String(assignment.taskId));
+      const scheduledDate = parseDay(assignment.scheduledDate, timeZone).toDate();
+      const startMinutes = clockMinutes(assignment.scheduledTime);
+      addDates(metricsOwner(task), [task.scheduledDate, scheduledDate]);
+
+      return {
+        updateOne: {
+          filter: { _id: task._id },
+          // bulkWrite skips the model hooks that derive the time range
+          update: {
+            $set: {
+              scheduledDate,
+              scheduledTime: assignment.scheduledTime,
+              startMinutes,
+              endMinutes: startMinutes + (task.estimatedDuration || 0)
+            }
+          }
+        }
+      };
+    });
+    await Task.bulkWrite(operations);
+
+    for (const { owner, dates } of affected.values()) {
+      await updateDaysMetrics(owner, dates);
+    }
+
+    const updated = await Task.find({ _id: { $in: ids } }).sort({ scheduledDate: 1, scheduledTime: 1 });
+    for (const task of updated) {
+      await syncTaskReminders(task);
+      await recordTaskActivity(task, {
+        action: 'updated',
+        actor: req.user._id,
+        source: 'scheduler',
+        before: byId.get(String(task._id))
+      });
+      await emitTaskEvent(task, 'task.updated');
+    }
+    res.json({ updated: updated.length, tasks: updated });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/schedule/freebusy
+// @desc    Busy blocks and free gaps of a day or week (view=day|week, date defaults to today).
+//          start and end (HH:mm) limit the window, e.g. to working hours.
+// @access  Private
+router.get('/freebusy', [
+  query('date').optional().isISO8601().withMessage('Date must be a valid date'),
+  query('view').optional().isIn(['day', 'week']).withMessage('View must be day or week'),
+  query('start').optional().matches(CLOCK_TIME).withMessage('Start must be an HH:mm time'),
+  query('end').optional().matches(CLOCK_TIME).withMessage('End must be an HH:mm time')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const timeZone = userTimeZone(req.user);
+    const view = req.query.view || 'day';
+    const date = req.query.date ? parseDay(req.query.date, timeZone) : todayIn(timeZone);
+    const start = view === 'week' ? date.clone().startOf('week') : date.clone();
+    const end = view === 'week' ? start.clone().add(6, 'days') : start.clone();
+
+    const window = {
+      start: req.query.start ? clockMinutes(req.query.start) : 0,
+      end: req.query.end ? clockMinutes(req.query.end) : MINUTES_PER_DAY
+    };
+    if (window.end <= window.start) {
+      return res.status(400).json({ message: 'End must be after start' });
+    }
+
+    const blocks = await getBusyBlocks(req.user._id, start.toDate(), end.toDate());
+
+    const days = [];
+    for (const day = start.clone(); !day.isAfter(end); day.add(1, 'day')) {
+      const dayStart = dayStartMinute(day);
+      const dayWindow = { start: dayStart + window.start, end: dayStart + window.end };
+
+      const dayBlocks = blocks.filter(b => b.to > dayWindow.start && b.from < dayWindow.end);
+      const busy = dayBlocks.map((block, i) => ({
+        ...formatBlock(block),
+        conflict: dayBlocks.some((other, j) => j !== i && other.from < block.to && other.to > block.from)
+      }));
+      const free = freeIntervals(dayWindow, dayBlocks.map(b => ({ start: b.from, end: b.to })))
+        .map(gap => ({
+          start: formatClock(gap.start - dayStart),
+          end: formatClock(gap.end - dayStart),
+          minutes: gap.end - gap.start
+        }));
+      const freeMinutes = free.reduce((sum, gap) => sum + gap.minutes, 0);
+
+      days.push({
+        date: day.format(DAY_FORMAT),
+        busy,
+        free,
+        busyMinutes: window.end - window.start - freeMinutes,
+        freeMinutes
+      });
+    }
+
+    res.json({
+      view,
+      range: { start: start.format(DAY_FORMAT), end: end.format(DAY_FORMAT) },
+      timeZone,
+      window: { start: formatClock(window.start), end: formatClock(window.end) },
+      days
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
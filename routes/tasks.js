@@ -1,57 +1,562 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
 const Task = require('../models/Task');
-const Productivity = require('../models/Productivity');
+const { MAX_DURATION_MINUTES } = require('../models/Task');
+const TimeEntry = require('../models/TimeEntry');
+const Reminder = require('../models/Reminder');
+const TaskActivity = require('../models/TaskActivity');
+const Project = require('../models/Project');
+const Workspace = require('../models/Workspace');
 const auth = require('../middleware/auth');
+const { workspaceScope, authorizeTask, canAccessTask, hasRole } = require('../middleware/authorize');
 const moment = require('moment');
+const { expandTask, isOccurrence, buildOccurrence, toDateKey } = require('../utils/recurrence');
+const {
+  updateProductivityMetrics,
+  updateDaysMetrics,
+  updateSeriesMetrics,
+  seriesMetricsDates,
+  metricsSnapshot,
+  changedMetricsDates,
+  metricsOwner
+} = require('../utils/productivity');
+const {
+  syncActualDuration,
+  entryOccurrence,
+  entryMetricsDay,
+  stopRunningTimer
+} = require('../utils/timeTracking');
+const {
+  wouldCreateBlockingCycle,
+  wouldCreateParentCycle,
+  getOpenBlockers,
+  getProgress
+} = require('../utils/dependencies');
+const { isActiveCategory } = require('../utils/categories');
+const { userTimeZone, parseDay, clockMinutes, calendarDay, dayOf, today: todayIn } = require('../utils/timezone');
+const { findConflicts } = require('../utils/conflicts');
+const { nextFiring, syncTaskReminders } = require('../utils/reminders');
+const { emitTaskEvent } = require('../utils/webhooks');
+const { recordTaskActivity, UNTRACKED_FIELDS } = require('../utils/activity');
+const { TRASH_RETENTION_DAYS, purgeDate, trashTask, restoreTask, purgeTask } = require('../utils/trash');
+const { suggestDuration, estimateFeedback } = require('../utils/estimation');
+const {
+  PRIORITY_RANK,
+  parseSort,
+  buildTaskFilter,
+  buildStatusFilter,
+  matchesStatusFilter,
+  sortFieldsStage,
+  sortStage,
+  encodeCursor,
+  decodeCursor,
+  cursorCondition,
+  compareTasks,
+  isAfterCursor
+} = require('../utils/taskQuery');
+
+// Fields PUT /api/tasks/:id never copies from the body: actualDuration is derived
+// from time entries, blockers are managed through /:id/blockers, completion and scores
+// follow status, occurrences change through /:id/occurrences and deletion goes through the trash
+const READ_ONLY_FIELDS = [
+  '_id',
+  '__v',
+  'userId',
+  'createdAt',
+  'updatedAt',
+  'startMinutes',
+  'endMinutes',
+  'actualDuration',
+  'completedAt',
+  'productivityScore',
+  'blockedBy',
+  'exceptions',
+  'deletedAt',
+  'deletedBy'
+];
+
+// Read-only fields a revert restores along with what PUT can change
+const REVERTED_STATE_FIELDS = ['completedAt', 'exceptions'];
+
+const REVERTIBLE_FIELDS = [...new Set(Object.keys(Task.schema.paths).map(path => path.split('.')[0]))]
+  .filter(field => !READ_ONLY_FIELDS.includes(field) || REVERTED_STATE_FIELDS.includes(field))
+  .filter(field => !UNTRACKED_FIELDS.includes(field));
+
+// Fields whose change can make a task overlap others
+const TIMING_FIELDS = ['scheduledDate', 'scheduledTime', 'estimatedDuration', 'recurrence', 'status', 'assigneeId'];
+
+const MAX_REMINDERS_PER_TASK = 10;
+const MAX_BULK_TASKS = 500;
+// Fields POST /api/tasks/bulk can set
+const BULK_FIELDS = ['status', 'category', 'priority', 'scheduledDate', 'scheduledTime'];
+const MAX_SHIFT_DAYS = 3650;
+const MAX_REMINDER_LEAD_MINUTES = 7 * 24 * 60;
+
+const isClockTime = (value) => clockMinutes(value) !== null;
+
+const recurrenceValidators = [
+  body('recurrence.frequency').optional().isIn(['daily', 'weekly', 'monthly']).withMessage('Invalid recurrence frequency'),
+  body('recurrence.interval').optional().isInt({ min: 1 }).withMessage('Recurrence interval must be a positive integer'),
+  body('recurrence.byWeekday.*').optional().isInt({ min: 0, max: 6 }).withMessage('Weekdays must be between 0 and 6'),
+  body('recurrence.byMonthDay.*').optional().isInt({ min: -31, max: 31 }).withMessage('Invalid day of month'),
+  body('recurrence.until').optional().isISO8601().withMessage('Recurrence end date must be a valid date'),
+  body('recurrence.count').optional().isInt({ min: 1 }).withMessage('Recurrence count must be a positive integer')
+];
+
+// With ?strict=true, creating or moving a task onto other tasks is refused instead of warned about
+const isStrict = (req) => req.query.strict === 'true';
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
 
 const router = express.Router();
 
-// All routes require authentication
-router.use(auth);
+// All routes require authentication and see the tasks of the user's workspaces
+router.use(auth, workspaceScope);
 
 // @route   GET /api/tasks
-// @desc    Get all tasks for the authenticated user
+// @desc    Get tasks for the authenticated user, filtered, searched, sorted and paginated
 // @access  Private
-router.get('/', async (req, res) => {
+router.get('/', [
+  query('limit').optional().isInt({ min: 1, max: MAX_PAGE_SIZE }).withMessage(`Limit must be between 1 and ${MAX_PAGE_SIZE}`),
+  query('startDate').optional().isISO8601().withMessage('Start date must be a valid date'),
+  query('endDate').optional().isISO8601().withMessage('End date must be a valid date'),
+  query('completedFrom').optional().isISO8601().withMessage('completedFrom must be a valid date'),
+  query('completedTo').optional().isISO8601().withMessage('completedTo must be a valid date'),
+  query('tagMode').optional().isIn(['all', 'any']).withMessage('tagMode must be all or any')
+], async (req, res) => {
   try {
-    const { status, category, startDate, endDate } = req.query;
-    const query = { userId: req.user._id };
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { startDate, endDate, cursor, q } = req.query;
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : DEFAULT_PAGE_SIZE;
+
+    let sort;
+    let after;
+    try {
+      sort = parseSort(req.query.sort, Boolean(q));
+      after = cursor ? decodeCursor(cursor, sort) : null;
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    const filter = buildTaskFilter(req.taskScope, req.query);
+
+    // Narrow down to personal tasks or to one workspace, and by assignee
+    if (req.query.workspaceId === 'personal') {
+      filter.workspaceId = null;
+    } else if (req.query.workspaceId) {
+      if (!req.memberships.has(String(req.query.workspaceId))) {
+        return res.status(404).json({ message: 'Workspace not found' });
+      }
+      filter.workspaceId = new mongoose.Types.ObjectId(req.query.workspaceId);
+    }
+    if (req.query.assigneeId === 'me') {
+      filter.assigneeId = req.user._id;
+    } else if (req.query.assigneeId) {
+      if (!mongoose.isValidObjectId(req.query.assigneeId)) {
+        return res.status(400).json({ message: 'Invalid assignee ID' });
+      }
+      filter.assigneeId = new mongoose.Types.ObjectId(req.query.assigneeId);
+    }
+    const statusFilter = buildStatusFilter(req.query);
+
+    // With a full date range, recurring series are expanded into their occurrences,
+    // which are sorted and paginated in memory
+    const timeZone = userTimeZone(req.user);
+    if (startDate && endDate) {
+      const start = parseDay(startDate, timeZone).startOf('day').toDate();
+      const end = parseDay(endDate, timeZone).endOf('day').toDate();
+      const projection = q ? { score: { $meta: 'textScore' } } : {};
 
-    if (status) query.status = status;
-    if (category) query.category = category;
+      const tasks = await Task.find({
+        ...filter,
+        ...statusFilter,
+        recurrence: null,
+        scheduledDate: { $gte: start, $lte: end }
+      }, projection).lean();
+
+      const series = await Task.find({
+        ...filter,
+        recurrence: { $ne: null },
+        scheduledDate: { $lte: end }
+      }, projection);
+
+      const occurrences = series
+        .reduce((acc, task) => acc.concat(
+          expandTask(task, start, end).map(o => ({ ...o, score: task.get('score') }))
+        ), [])
+        .filter(o => matchesStatusFilter(o, req.query));
+
+      const compare = compareTasks(sort);
+      const results = tasks.concat(occurrences).sort(compare);
+      const remaining = after
+        ? results.filter(t => isAfterCursor(t, sort, after))
+        : results;
+      const page = remaining.slice(0, limit);
+
+      return res.json({
+        tasks: page,
+        total: results.length,
+        limit,
+        nextCursor: remaining.length > limit ? encodeCursor(page[page.length - 1], sort) : null
+      });
+    }
+
+    const match = { ...filter, ...statusFilter };
     if (startDate || endDate) {
-      query.scheduledDate = {};
-      if (startDate) query.scheduledDate.$gte = new Date(startDate);
-      if (endDate) query.scheduledDate.$lte = new Date(endDate);
+      match.scheduledDate = {};
+      if (startDate) match.scheduledDate.$gte = parseDay(startDate, timeZone).startOf('day').toDate();
+      if (endDate) match.scheduledDate.$lte = parseDay(endDate, timeZone).endOf('day').toDate();
     }
 
-    const tasks = await Task.find(query)
-      .sort({ scheduledDate: 1, scheduledTime: 1 })
-      .populate('userId', 'name email');
+    const sortFields = sortFieldsStage(sort);
+    const pipeline = [
+      { $match: match },
+      { $addFields: sortFields }
+    ];
+    if (after) pipeline.push({ $match: cursorCondition(sort, after) });
+    pipeline.push(
+      { $sort: sortStage(sort) },
+      { $limit: limit + 1 }
+    );
+
+    const [tasks, total] = await Promise.all([
+      Task.aggregate(pipeline),
+      Task.countDocuments(match)
+    ]);
+
+    const page = tasks.slice(0, limit);
+    const nextCursor = tasks.length > limit ? encodeCursor(page[page.length - 1], sort) : null;
 
-    res.json(tasks);
+    // Drop the helper sort fields from the response
+    const sortKeys = Object.keys(sortFields);
+    page.forEach(task => sortKeys.forEach(key => delete task[key]));
+
+    res.json({ tasks: page, total, limit, nextCursor });
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// @route   GET /api/tasks/:id
-// @desc    Get a single task by ID
+// @route   GET /api/tasks/tags
+// @desc    Get the tags used on the user's tasks with their counts
 // @access  Private
-router.get('/:id', async (req, res) => {
+router.get('/tags', async (req, res) => {
   try {
-    const task = await Task.findOne({
-      _id: req.params.id,
-      userId: req.user._id
+    const tags = await Task.aggregate([
+      { $match: req.taskScope },
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } }
+    ]);
+
+    res.json(tags.map(t => ({ tag: t._id, count: t.count })));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/tasks/suggested-duration
+// @desc    Suggest an estimatedDuration for a new task (title, category, priority, projectId)
+//          from the time spent on similar completed tasks
+// @access  Private
+router.get('/suggested-duration', async (req, res) => {
+  try {
+    const { title, category = 'other', priority = 'medium', projectId } = req.query;
+    const suggestion = await suggestDuration(req.user._id, { title, category, priority, projectId });
+
+    res.json({ suggestion });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/tasks/timer/current
+// @desc    Get the user's running timer, if any
+// @access  Private
+router.get('/timer/current', async (req, res) => {
+  try {
+    const entry = await TimeEntry.findOne({ userId: req.user._id, running: true })
+      .populate('taskId', 'title category');
+
+    if (!entry) {
+      return res.status(404).json({ message: 'No timer is running' });
+    }
+
+    res.json(entry);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/tasks/trash
+// @desc    Get the tasks in the trash, most recently deleted first, with when they will be purged
+// @access  Private
+router.get('/trash', async (req, res) => {
+  try {
+    const tasks = await Task.find({ ...req.taskScope, deletedAt: { $ne: null } })
+      .populate('deletedBy', 'name email')
+      .sort({ deletedAt: -1 });
+
+    res.json({
+      retentionDays: TRASH_RETENTION_DAYS,
+      tasks: tasks.map(task => ({ ...task.toObject(), purgeAt: purgeDate(task) }))
     });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/tasks/trash
+// @desc    Empty the trash: delete for good the trashed tasks the user may delete
+// @access  Private
+router.delete('/trash', async (req, res) => {
+  try {
+    const tasks = await Task.find({ ...req.taskScope, deletedAt: { $ne: null } });
+    const deletable = tasks.filter(task => canAccessTask(req, task, 'delete'));
 
-    if (!task) {
-      return res.status(404).json({ message: 'Task not found' });
+    for (const task of deletable) {
+      await purgeTask(task);
     }
 
-    res.json(task);
+    res.json({ deleted: deletable.length });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/tasks/bulk
+// @desc    Update, shift by a number of days or delete many tasks at once, chosen by taskIds
+//          or by a filter with the task list parameters. Every task succeeds or fails on its
+//          own; metrics are recomputed once per affected day.
+// @access  Private
+router.post('/bulk', [
+  body('action').isIn(['update', 'shift', 'delete']).withMessage('Action must be update, shift or delete'),
+  body('taskIds').optional().isArray({ min: 1, max: MAX_BULK_TASKS })
+    .withMessage(`taskIds must be a list of 1 to ${MAX_BULK_TASKS} task IDs`),
+  body('taskIds.*').isMongoId().withMessage('Invalid task ID'),
+  body('filter').optional().isObject().withMessage('Filter must be an object'),
+  body('filter.startDate').optional().isISO8601().withMessage('Start date must be a valid date'),
+  body('filter.endDate').optional().isISO8601().withMessage('End date must be a valid date'),
+  body('changes').optional().isObject().withMessage('Changes must be an object'),
+  body('changes.status').optional().isIn(['pending', 'in-progress', 'completed', 'cancelled']).withMessage('Invalid status'),
+  body('changes.priority').optional().isIn(Object.keys(PRIORITY_RANK)).withMessage('Invalid priority'),
+  body('changes.scheduledDate').optional().isISO8601().withMessage('Scheduled date must be a valid date'),
+  body('changes.scheduledTime').optional().custom(isClockTime)
+    .withMessage('Scheduled time must be a time like 09:30 or 2:30 PM'),
+  body('days').optional().isInt({ min: -MAX_SHIFT_DAYS, max: MAX_SHIFT_DAYS }).withMessage('Days must be a whole number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { action, taskIds, filter } = req.body;
+    if (Boolean(taskIds) === Boolean(filter)) {
+      return res.status(400).json({ message: 'Choose the tasks with either taskIds or filter' });
+    }
+
+    const changes = {};
+    BULK_FIELDS.forEach(key => {
+      if (req.body.changes && req.body.changes[key] !== undefined) changes[key] = req.body.changes[key];
+    });
+    const days = parseInt(req.body.days, 10) || 0;
+    if (action === 'update' && Object.keys(changes).length === 0) {
+      return res.status(400).json({ message: `Changes must set at least one of ${BULK_FIELDS.join(', ')}` });
+    }
+    if (action === 'shift' && days === 0) {
+      return res.status(400).json({ message: 'Days must be a non-zero number' });
+    }
+    if (changes.category !== undefined && !(await isActiveCategory(req.user._id, changes.category))) {
+      return res.status(400).json({ message: 'Unknown category' });
+    }
+
+    const timeZone = userTimeZone(req.user);
+    if (changes.scheduledDate) changes.scheduledDate = parseDay(changes.scheduledDate, timeZone).toDate();
+
+    let tasks;
+    if (taskIds) {
+      tasks = await Task.find({ _id: { $in: taskIds }, ...req.taskScope });
+    } else {
+      const match = { ...buildTaskFilter(req.taskScope, filter), ...buildStatusFilter(filter) };
+      if (filter.startDate || filter.endDate) {
+        match.scheduledDate = {};
+        if (filter.startDate) match.scheduledDate.$gte = parseDay(filter.startDate, timeZone).startOf('day').toDate();
+        if (filter.endDate) match.scheduledDate.$lte = parseDay(filter.endDate, timeZone).endOf('day').toDate();
+      }
+      tasks = await Task.find(match).sort({ scheduledDate: 1, scheduledTime: 1 }).limit(MAX_BULK_TASKS + 1);
+      if (tasks.length > MAX_BULK_TASKS) {
+        return res.status(400).json({ message: `The filter matches more than ${MAX_BULK_TASKS} tasks; narrow it down` });
+      }
+    }
+
+    const found = new Map(tasks.map(task => [String(task._id), task]));
+    const ids = taskIds ? [...new Set(taskIds.map(String))] : [...found.keys()];
+    const affected = new Map();
+    const addDates = (task, dates) => {
+      const owner = metricsOwner(task);
+      const key = String(owner);
+      affected.set(key, { owner, dates: (affected.has(key) ? affected.get(key).dates : []).concat(dates) });
+    };
+
+    const results = [];
+    for (const id of ids) {
+      const task = found.get(id);
+      const fail = (error) => results.push({ taskId: id, success: false, error });
+
+      if (!task) {
+        fail('Task not found');
+        continue;
+      }
+      if (!canAccessTask(req, task, action === 'delete' ? 'delete' : 'write')) {
+        fail(`You are not allowed to ${action === 'delete' ? 'delete' : 'write'} this task`);
+        continue;
+      }
+      if (task.recurrence && (action === 'shift' || changes.scheduledDate || changes.scheduledTime)) {
+        fail('Recurring tasks are rescheduled per occurrence');
+        continue;
+      }
+      if (task.recurrence && changes.status !== undefined) {
+        fail('Recurring tasks are completed per occurrence');
+        continue;
+      }
+
+      try {
+        const before = task.toObject();
+        const wasCompleted = task.status === 'completed';
+        const previousMetrics = metricsSnapshot(task);
+
+        if (action === 'delete') {
+          addDates(task, task.recurrence ? seriesMetricsDates(task) : [task.scheduledDate]);
+          await trashTask(task, req.user._id);
+          await recordTaskActivity(task, { action: 'deleted', actor: req.user._id });
+          await emitTaskEvent(task, 'task.deleted');
+          results.push({ taskId: id, success: true });
+          continue;
+        }
+
+        if (action === 'shift') {
+          task.scheduledDate = calendarDay(task.scheduledDate).add(days, 'days').toDate();
+        } else {
+          Object.assign(task, changes);
+        }
+
+        const completing = task.status === 'completed' && !wasCompleted;
+        if (completing) {
+          const openBlockers = await getOpenBlockers(task);
+          if (openBlockers.length > 0) {
+            fail('Task is blocked by open tasks');
+            continue;
+          }
+          task.completedAt = new Date();
+
+          const runningEntry = await TimeEntry.findOne({ userId: req.user._id, taskId: task._id, running: true });
+          if (runningEntry) {
+            await stopRunningTimer(req.user._id, task.completedAt);
+          }
+          await syncActualDuration(task);
+        } else {
+          await task.save();
+        }
+
+        addDates(task, changedMetricsDates(previousMetrics, metricsSnapshot(task)));
+        await syncTaskReminders(task);
+        await recordTaskActivity(task, { action: 'updated', actor: req.user._id, before });
+        await emitTaskEvent(task, 'task.updated');
+        if (completing) {
+          await emitTaskEvent(task, 'task.completed');
+        }
+        results.push({ taskId: id, success: true, task });
+      } catch (error) {
+        console.error(error);
+        fail(error.name === 'ValidationError' ? error.message : 'Server error');
+      }
+    }
+
+    for (const { owner, dates } of affected.values()) {
+      await updateDaysMetrics(owner, dates);
+    }
+
+    const succeeded = results.filter(r => r.success).length;
+    res.json({
+      action,
+      matched: ids.length,
+      succeeded,
+      failed: results.length - succeeded,
+      results
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/tasks/history
+// @desc    Get the changes made by the user and to their tasks, newest first
+//          (filter by taskId, action and source; before=<id> for the next page)
+// @access  Private
+router.get('/history', [
+  query('taskId').optional().isMongoId().withMessage('Invalid task ID'),
+  query('action').optional().isIn(TaskActivity.ACTIONS).withMessage('Invalid action'),
+  query('source').optional().isIn(TaskActivity.SOURCES).withMessage('Invalid source'),
+  query('before').optional().isMongoId().withMessage('Invalid activity ID'),
+  query('limit').optional().isInt({ min: 1, max: MAX_PAGE_SIZE }).withMessage(`Limit must be between 1 and ${MAX_PAGE_SIZE}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : DEFAULT_PAGE_SIZE;
+    const filter = {
+      $or: [{ actorId: req.user._id }, { ownerId: req.user._id }, { assigneeId: req.user._id }]
+    };
+    ['taskId', 'action', 'source'].forEach(key => {
+      if (req.query[key]) filter[key] = req.query[key];
+    });
+    if (req.query.before) filter._id = { $lt: req.query.before };
+
+    const activity = await TaskActivity.find(filter)
+      .select('-snapshot')
+      .populate('actorId', 'name email')
+      .sort({ _id: -1 })
+      .limit(limit + 1);
+    const page = activity.slice(0, limit);
+
+    res.json({
+      activity: page,
+      nextBefore: activity.length > limit ? page[page.length - 1]._id : null
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/tasks/:id
+// @desc    Get a single task by ID
+// @access  Private
+router.get('/:id', authorizeTask('read'), async (req, res) => {
+  try {
+    const task = req.task;
+
+    const progress = await getProgress(task);
+    const openBlockers = await getOpenBlockers(task);
+
+    res.json({ ...task.toObject(), progress, openBlockers });
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: 'Server error' });
@@ -65,6 +570,18 @@ router.post('/', [
   body('title').trim().notEmpty().withMessage('Title is required'),
   body('scheduledDate').notEmpty().withMessage('Scheduled date is required'),
   body('scheduledTime').notEmpty().withMessage('Scheduled time is required')
+    .custom(isClockTime).withMessage('Scheduled time must be a time like 09:30 or 2:30 PM'),
+  body('estimatedDuration').optional().isInt({ min: 0, max: MAX_DURATION_MINUTES })
+    .withMessage(`Estimated duration must be between 0 and ${MAX_DURATION_MINUTES} minutes`),
+  ...recurrenceValidators,
+  body('workspaceId').optional({ nullable: true }).isMongoId().withMessage('Invalid workspace ID'),
+  body('assigneeId').optional({ nullable: true }).isMongoId().withMessage('Invalid assignee ID'),
+  body('projectId').optional().isMongoId().withMessage('Invalid project ID'),
+  body('tags').optional().isArray().withMessage('Tags must be a list'),
+  body('tags.*').isString().trim().notEmpty().withMessage('Tags must be non-empty strings'),
+  body('parentId').optional().isMongoId().withMessage('Invalid parent task ID'),
+  body('blockedBy').optional().isArray().withMessage('blockedBy must be a list of task IDs'),
+  body('blockedBy.*').isMongoId().withMessage('Invalid blocking task ID')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -72,18 +589,71 @@ router.post('/', [
       return res.status(400).json({ errors: errors.array() });
     }
 
+    normalizeBodyDays(req);
+
+    const assignmentError = await checkAssignment(req, req.body.workspaceId, req.body.assigneeId);
+    if (assignmentError) {
+      return res.status(assignmentError.status).json({ message: assignmentError.message });
+    }
+
+    if (req.body.category !== undefined && !(await isActiveCategory(req.user._id, req.body.category))) {
+      return res.status(400).json({ message: 'Unknown category' });
+    }
+
+    if (req.body.projectId) {
+      const project = await Project.findOne({ _id: req.body.projectId, userId: req.user._id, archived: false });
+      if (!project) {
+        return res.status(404).json({ message: 'Project not found' });
+      }
+    }
+
+    if (req.body.parentId) {
+      const parent = await Task.findOne({ _id: req.body.parentId, ...req.taskScope });
+      if (!parent) {
+        return res.status(404).json({ message: 'Parent task not found' });
+      }
+    }
+
+    if (req.body.blockedBy && req.body.blockedBy.length > 0) {
+      const blockers = await Task.countDocuments({ _id: { $in: req.body.blockedBy }, ...req.taskScope });
+      if (blockers !== new Set(req.body.blockedBy.map(String)).size) {
+        return res.status(404).json({ message: 'Blocking task not found' });
+      }
+    }
+
+    // actualDuration is derived from time entries
+    const { actualDuration, ...fields } = req.body;
     const taskData = {
-      ...req.body,
+      ...fields,
       userId: req.user._id
     };
 
     const task = new Task(taskData);
+
+    const conflicts = await findConflicts(task);
+    if (conflicts.length > 0 && isStrict(req)) {
+      return res.status(409).json({ message: 'Task overlaps other tasks', conflicts });
+    }
+
     await task.save();
+    await recordTaskActivity(task, { action: 'created', actor: req.user._id });
 
     // Update productivity metrics
-    await updateProductivityMetrics(req.user._id, task.scheduledDate);
+    if (task.recurrence) {
+      await updateSeriesMetrics(metricsOwner(task), task);
+    } else {
+      await updateProductivityMetrics(metricsOwner(task), task.scheduledDate);
+    }
+
+    await emitTaskEvent(task, 'task.created');
 
-    res.status(201).json(task);
+    // Without an estimate, offer one learned from similar tasks; it isn't applied, so
+    // estimation analytics only reflect the user's own estimates
+    const suggestedDuration = req.body.estimatedDuration === undefined
+      ? await suggestDuration(metricsOwner(task), task)
+      : undefined;
+
+    res.status(201).json({ ...task.toJSON(), conflicts, suggestedDuration });
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: 'Server error' });
@@ -93,42 +663,129 @@ router.post('/', [
 // @route   PUT /api/tasks/:id
 // @desc    Update a task
 // @access  Private
-router.put('/:id', async (req, res) => {
+router.put('/:id', authorizeTask('write'), [
+  body('scheduledTime').optional().custom(isClockTime)
+    .withMessage('Scheduled time must be a time like 09:30 or 2:30 PM'),
+  body('estimatedDuration').optional().isInt({ min: 0, max: MAX_DURATION_MINUTES })
+    .withMessage(`Estimated duration must be between 0 and ${MAX_DURATION_MINUTES} minutes`),
+  ...recurrenceValidators,
+  body('workspaceId').optional({ nullable: true }).isMongoId().withMessage('Invalid workspace ID'),
+  body('assigneeId').optional({ nullable: true }).isMongoId().withMessage('Invalid assignee ID')
+], async (req, res) => {
   try {
-    const task = await Task.findOne({
-      _id: req.params.id,
-      userId: req.user._id
-    });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    normalizeBodyDays(req);
+
+    const task = req.task;
+    const before = task.toObject();
+
+    // Remember the days the series covered and whose metrics it counted towards before the change
+    const previousDates = task.recurrence ? seriesMetricsDates(task) : [task.scheduledDate];
+    const previousMetrics = metricsSnapshot(task);
+    const previousOwner = metricsOwner(task);
+
+    const wasCompleted = task.status === 'completed';
+
+    // A series has no status of its own to change; its occurrences are completed one by one
+    const recurrence = req.body.recurrence !== undefined ? req.body.recurrence : task.recurrence;
+    if (recurrence && req.body.status !== undefined && req.body.status !== task.status) {
+      return res.status(400).json({ message: 'Recurring tasks are completed per occurrence' });
+    }
+
+    if (req.body.status === 'completed' && !wasCompleted) {
+      const openBlockers = await getOpenBlockers(task);
+      if (openBlockers.length > 0) {
+        return res.status(400).json({ message: 'Task is blocked by open tasks', openBlockers });
+      }
+    }
+
+    if (req.body.workspaceId !== undefined || req.body.assigneeId !== undefined) {
+      const workspaceId = req.body.workspaceId !== undefined ? req.body.workspaceId : task.workspaceId;
+      const assigneeId = req.body.assigneeId !== undefined ? req.body.assigneeId : task.assigneeId;
+      const assignmentError = await checkAssignment(req, workspaceId, assigneeId, task);
+      if (assignmentError) {
+        return res.status(assignmentError.status).json({ message: assignmentError.message });
+      }
+    }
+
+    if (req.body.category !== undefined && !(await isActiveCategory(req.user._id, req.body.category))) {
+      return res.status(400).json({ message: 'Unknown category' });
+    }
 
-    if (!task) {
-      return res.status(404).json({ message: 'Task not found' });
+    if (req.body.projectId) {
+      const project = await Project.findOne({ _id: req.body.projectId, userId: req.user._id, archived: false });
+      if (!project) {
+        return res.status(404).json({ message: 'Project not found' });
+      }
+    }
+
+    if (req.body.parentId) {
+      const parent = await Task.findOne({ _id: req.body.parentId, ...req.taskScope });
+      if (!parent) {
+        return res.status(404).json({ message: 'Parent task not found' });
+      }
+      if (await wouldCreateParentCycle(req.taskScope, task._id, parent._id)) {
+        return res.status(400).json({ message: 'A task cannot be a subtask of itself or its subtasks' });
+      }
     }
 
     // Update task fields
     Object.keys(req.body).forEach(key => {
-      if (req.body[key] !== undefined) {
+      if (!READ_ONLY_FIELDS.includes(key) && req.body[key] !== undefined) {
         task[key] = req.body[key];
       }
     });
 
+    // Only changes to when, how long or for whom a task is can create overlaps
+    const conflicts = TIMING_FIELDS.some(key => req.body[key] !== undefined)
+      ? await findConflicts(task)
+      : [];
+    if (conflicts.length > 0 && isStrict(req)) {
+      return res.status(409).json({ message: 'Task overlaps other tasks', conflicts });
+    }
+
     // If task is being marked as completed, set completedAt and calculate productivity score
-    if (req.body.status === 'completed' && task.status !== 'completed') {
+    if (req.body.status === 'completed' && !wasCompleted) {
       task.completedAt = new Date();
-      if (task.actualDuration && task.estimatedDuration) {
-        // Calculate productivity score based on time efficiency
-        const timeEfficiency = (task.estimatedDuration / task.actualDuration) * 100;
-        task.productivityScore = Math.min(100, Math.max(0, timeEfficiency));
+
+      // A timer still running on this task counts towards its actual duration
+      const runningEntry = await TimeEntry.findOne({ userId: req.user._id, taskId: task._id, running: true });
+      if (runningEntry) {
+        await stopRunningTimer(req.user._id, task.completedAt);
       }
+
+      // Saves the task and scores it from the time entries
+      await syncActualDuration(task);
+    } else {
+      await task.save();
     }
 
-    await task.save();
+    // Update productivity metrics; a new owner gets every day of the series
+    if (task.recurrence) {
+      await updateSeriesMetrics(metricsOwner(task), task,
+        metricsOwner(task).equals(previousOwner) ? previousMetrics : undefined);
+    } else {
+      await updateDaysMetrics(metricsOwner(task), previousDates.concat(task.scheduledDate));
+    }
+    if (!metricsOwner(task).equals(previousOwner)) {
+      await updateDaysMetrics(previousOwner, previousDates);
+    }
 
-    // Update productivity metrics
-    if (task.scheduledDate) {
-      await updateProductivityMetrics(req.user._id, task.scheduledDate);
+    await syncTaskReminders(task);
+    await recordTaskActivity(task, { action: 'updated', actor: req.user._id, before });
+
+    await emitTaskEvent(task, 'task.updated');
+    let feedback;
+    if (req.body.status === 'completed' && !wasCompleted) {
+      await emitTaskEvent(task, 'task.completed');
+      feedback = await estimateFeedback(metricsOwner(task), task);
     }
 
-    res.json(task);
+    res.json({ ...task.toJSON(), conflicts, estimateFeedback: feedback });
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: 'Server error' });
@@ -136,78 +793,806 @@ router.put('/:id', async (req, res) => {
 });
 
 // @route   DELETE /api/tasks/:id
-// @desc    Delete a task
+// @desc    Move a task to the trash
 // @access  Private
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', authorizeTask('delete'), async (req, res) => {
   try {
-    const task = await Task.findOneAndDelete({
-      _id: req.params.id,
-      userId: req.user._id
-    });
-
-    if (!task) {
-      return res.status(404).json({ message: 'Task not found' });
-    }
+    const task = req.task;
+    await trashTask(task, req.user._id);
+    await recordTaskActivity(task, { action: 'deleted', actor: req.user._id });
 
     // Update productivity metrics
-    if (task.scheduledDate) {
-      await updateProductivityMetrics(req.user._id, task.scheduledDate);
-    }
+    await updateTaskDaysMetrics(task);
+
+    await emitTaskEvent(task, 'task.deleted');
 
-    res.json({ message: 'Task deleted successfully' });
+    res.json({ message: 'Task moved to the trash', purgeAt: purgeDate(task) });
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Helper function to update productivity metrics
-async function updateProductivityMetrics(userId, date) {
-  const dateStart = moment(date).startOf('day').toDate();
-  const dateEnd = moment(date).endOf('day').toDate();
+// @route   POST /api/tasks/trash/:id/restore
+// @desc    Restore a task from the trash
+// @access  Private
+router.post('/trash/:id/restore', authorizeTask('delete', { trashed: true }), async (req, res) => {
+  try {
+    const task = req.task;
+    await restoreTask(task);
+    await recordTaskActivity(task, { action: 'restored', actor: req.user._id });
+
+    await updateTaskDaysMetrics(task);
 
-  const tasks = await Task.find({
-    userId,
-    scheduledDate: { $gte: dateStart, $lte: dateEnd }
-  });
+    await emitTaskEvent(task, 'task.updated');
 
-  const tasksPlanned = tasks.length;
-  const tasksCompleted = tasks.filter(t => t.status === 'completed').length;
-  const totalWorkTime = tasks
-    .filter(t => t.status === 'completed')
-    .reduce((sum, t) => sum + (t.actualDuration || 0), 0);
+    res.json(task);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-  const categoryBreakdown = {
-    work: 0,
-    personal: 0,
-    health: 0,
-    learning: 0,
-    other: 0
-  };
+// @route   DELETE /api/tasks/trash/:id
+// @desc    Delete a task in the trash for good, with its time entries and history
+// @access  Private
+router.delete('/trash/:id', authorizeTask('delete', { trashed: true }), async (req, res) => {
+  try {
+    await purgeTask(req.task);
+
+    res.json({ message: 'Task deleted permanently' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/tasks/:id/occurrences/:date
+// @desc    Complete, reschedule or edit a single occurrence of a recurring task
+// @access  Private
+router.put('/:id/occurrences/:date', authorizeTask('write'), async (req, res) => {
+  try {
+    const task = req.task;
+    const before = task.toObject();
+
+    if (!task.recurrence) {
+      return res.status(404).json({ message: 'Recurring task not found' });
+    }
+
+    const occurrenceDay = moment(req.params.date, 'YYYY-MM-DD', true);
+    if (!occurrenceDay.isValid() || !isOccurrence(task, occurrenceDay)) {
+      return res.status(404).json({ message: 'Occurrence not found' });
+    }
+
+    normalizeBodyDays(req);
+    const occurrenceDate = toDateKey(occurrenceDay);
+    if (!task.exceptions) task.exceptions = [];
+    let exception = task.exceptions.find(e => e.date === occurrenceDate);
+    if (!exception) {
+      task.exceptions.push({ date: occurrenceDate });
+      exception = task.exceptions[task.exceptions.length - 1];
+    }
+
+    const previousDate = exception.scheduledDate || occurrenceDay.toDate();
+    const wasCompleted = exception.status === 'completed';
+
+    if (req.body.status === 'completed' && !wasCompleted) {
+      const openBlockers = await getOpenBlockers(task);
+      if (openBlockers.length > 0) {
+        return res.status(400).json({ message: 'Task is blocked by open tasks', openBlockers });
+      }
+    }
+
+    // actualDuration comes from the time entries tracked on the occurrence
+    ['status', 'scheduledDate', 'scheduledTime', 'notes'].forEach(key => {
+      if (req.body[key] !== undefined) {
+        exception[key] = req.body[key];
+      }
+    });
+
+    // Completing an occurrence mirrors completing a regular task
+    if (req.body.status === 'completed' && !wasCompleted) {
+      exception.completedAt = new Date();
+
+      const runningEntry = await TimeEntry.findOne({
+        userId: req.user._id,
+        taskId: task._id,
+        occurrenceDate,
+        running: true
+      });
+      if (runningEntry) {
+        await stopRunningTimer(req.user._id, exception.completedAt);
+      }
+
+      // Saves the task and scores the occurrence from its time entries
+      await syncActualDuration(task, occurrenceDate);
+    } else {
+      await task.save();
+    }
+    await recordTaskActivity(task, { action: 'updated', actor: req.user._id, before });
+
+    await updateDaysMetrics(metricsOwner(task), [previousDate, exception.scheduledDate || occurrenceDay.toDate()]);
+    await syncTaskReminders(task);
+
+    const occurrence = expandTask(task, occurrenceDay, occurrenceDay)[0] || exception;
+    await emitTaskEvent(task, 'task.updated', occurrence);
+    if (req.body.status === 'completed' && !wasCompleted) {
+      await emitTaskEvent(task, 'task.completed', occurrence);
+    }
+
+    res.json(occurrence);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/tasks/:id/occurrences/:date
+// @desc    Cancel a single occurrence of a recurring task
+// @access  Private
+router.delete('/:id/occurrences/:date', authorizeTask('write'), async (req, res) => {
+  try {
+    const task = req.task;
+    const before = task.toObject();
+
+    if (!task.recurrence) {
+      return res.status(404).json({ message: 'Recurring task not found' });
+    }
+
+    const occurrenceDay = moment(req.params.date, 'YYYY-MM-DD', true);
+    if (!occurrenceDay.isValid() || !isOccurrence(task, occurrenceDay)) {
+      return res.status(404).json({ message: 'Occurrence not found' });
+    }
+
+    normalizeBodyDays(req);
+    const occurrenceDate = toDateKey(occurrenceDay);
+    if (!task.exceptions) task.exceptions = [];
+    let exception = task.exceptions.find(e => e.date === occurrenceDate);
+    if (!exception) {
+      task.exceptions.push({ date: occurrenceDate });
+      exception = task.exceptions[task.exceptions.length - 1];
+    }
+    exception.status = 'cancelled';
+
+    await task.save();
+    await recordTaskActivity(task, { action: 'updated', actor: req.user._id, before });
+
+    await updateProductivityMetrics(metricsOwner(task), exception.scheduledDate || occurrenceDay.toDate());
+    await syncTaskReminders(task);
+
+    await emitTaskEvent(task, 'task.updated', buildOccurrence(task, occurrenceDay));
+
+    res.json({ message: 'Occurrence cancelled successfully' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/tasks/:id/history
+// @desc    Get the change history of a task, newest version first
+// @access  Private
+router.get('/:id/history', authorizeTask('read'), async (req, res) => {
+  try {
+    const activity = await TaskActivity.find({ taskId: req.task._id })
+      .select('-snapshot')
+      .populate('actorId', 'name email')
+      .sort({ version: -1 });
+
+    res.json(activity);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/tasks/:id/history/:version
+// @desc    Get a version of a task: the change and the task as it was afterwards
+// @access  Private
+router.get('/:id/history/:version', authorizeTask('read'), async (req, res) => {
+  try {
+    const entry = await TaskActivity.findOne({ taskId: req.task._id, version: parseInt(req.params.version, 10) || 0 })
+      .populate('actorId', 'name email');
+    if (!entry) {
+      return res.status(404).json({ message: 'Version not found' });
+    }
+
+    res.json(entry);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/tasks/:id/revert
+// @desc    Restore the task as it was at a version of its history. Blockers, time
+//          tracking and the owner are left as they are; the revert is a new version.
+// @access  Private
+router.post('/:id/revert', authorizeTask('write'), [
+  body('version').isInt({ min: 1 }).withMessage('Version must be a positive integer')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const task = req.task;
+    const before = task.toObject();
+
+    const entry = await TaskActivity.findOne({ taskId: task._id, version: parseInt(req.body.version, 10) });
+    if (!entry) {
+      return res.status(404).json({ message: 'Version not found' });
+    }
+    if (entry.action === 'deleted') {
+      return res.status(400).json({ message: 'Cannot revert to the deletion of a task' });
+    }
+
+    const { snapshot } = entry;
+    const assignmentError = await checkAssignment(req, snapshot.workspaceId, snapshot.assigneeId, task);
+    if (assignmentError) {
+      return res.status(assignmentError.status).json({ message: assignmentError.message });
+    }
+
+    if (snapshot.parentId && String(snapshot.parentId) !== String(task.parentId)) {
+      const parent = await Task.findOne({ _id: snapshot.parentId, ...req.taskScope });
+      if (!parent) {
+        return res.status(409).json({ message: 'The parent task of that version no longer exists' });
+      }
+      if (await wouldCreateParentCycle(req.taskScope, task._id, parent._id)) {
+        return res.status(409).json({ message: 'A task cannot be a subtask of itself or its subtasks' });
+      }
+    }
+
+    // Completing the task or any of its occurrences by reverting needs its blockers done
+    const isCompleted = (exceptions, date) =>
+      (exceptions || []).some(e => e.date === date && e.status === 'completed');
+    const completes = (snapshot.status === 'completed' && task.status !== 'completed') ||
+      (snapshot.exceptions || []).some(e => e.status === 'completed' && !isCompleted(task.exceptions, e.date));
+    if (completes) {
+      const openBlockers = await getOpenBlockers(task);
+      if (openBlockers.length > 0) {
+        return res.status(400).json({ message: 'Task is blocked by open tasks', openBlockers });
+      }
+    }
+
+    const previousDates = task.recurrence ? seriesMetricsDates(task) : [task.scheduledDate];
+    const previousMetrics = metricsSnapshot(task);
+    const previousOwner = metricsOwner(task);
+
+    REVERTIBLE_FIELDS.forEach(field => task.set(field, snapshot[field]));
+    await task.save();
+
+    if (task.recurrence) {
+      await updateSeriesMetrics(metricsOwner(task), task,
+        metricsOwner(task).equals(previousOwner) ? previousMetrics : undefined);
+    } else {
+      await updateDaysMetrics(metricsOwner(task), previousDates.concat(task.scheduledDate));
+    }
+    if (!metricsOwner(task).equals(previousOwner)) {
+      await updateDaysMetrics(previousOwner, previousDates);
+    }
+
+    await syncTaskReminders(task);
+    await recordTaskActivity(task, { action: 'reverted', actor: req.user._id, before, revertedTo: entry.version });
+    await emitTaskEvent(task, 'task.updated');
+
+    res.json(task);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/tasks/:id/subtasks
+// @desc    Get the subtasks of a task
+// @access  Private
+router.get('/:id/subtasks', authorizeTask('read'), async (req, res) => {
+  try {
+    const task = req.task;
+
+    const subtasks = await Task.find({ parentId: task._id, ...req.taskScope })
+      .sort({ scheduledDate: 1, scheduledTime: 1 });
+
+    res.json(subtasks);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/tasks/:id/checklist
+// @desc    Add a checklist item, at the end or at a given position
+// @access  Private
+router.post('/:id/checklist', authorizeTask('write'), [
+  body('text').trim().notEmpty().withMessage('Text is required'),
+  body('position').optional().isInt({ min: 0 }).withMessage('Position must be a non-negative integer')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const task = req.task;
+    const before = task.toObject();
+
+    const position = req.body.position !== undefined
+      ? Math.min(parseInt(req.body.position, 10), task.checklist.length)
+      : task.checklist.length;
+    task.checklist.splice(position, 0, { text: req.body.text });
+    await task.save();
+    await recordTaskActivity(task, { action: 'updated', actor: req.user._id, before });
+
+    res.status(201).json(task.checklist);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/tasks/:id/checklist/:itemId
+// @desc    Edit, tick off or move a checklist item
+// @access  Private
+router.put('/:id/checklist/:itemId', authorizeTask('write'), [
+  body('text').optional().trim().notEmpty().withMessage('Text cannot be empty'),
+  body('done').optional().isBoolean().withMessage('done must be a boolean'),
+  body('position').optional().isInt({ min: 0 }).withMessage('Position must be a non-negative integer')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const task = req.task;
+    const before = task.toObject();
+
+    const item = task.checklist.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({ message: 'Checklist item not found' });
+    }
+
+    if (req.body.text !== undefined) item.text = req.body.text;
+    if (req.body.done !== undefined) {
+      const done = req.body.done === true || req.body.done === 'true';
+      if (done && !item.done) item.completedAt = new Date();
+      if (!done) item.completedAt = undefined;
+      item.done = done;
+    }
+
+    if (req.body.position !== undefined) {
+      const moved = item.toObject();
+      task.checklist.pull(item._id);
+      task.checklist.splice(Math.min(parseInt(req.body.position, 10), task.checklist.length), 0, moved);
+    }
+
+    await task.save();
+    await recordTaskActivity(task, { action: 'updated', actor: req.user._id, before });
+
+    res.json(task.checklist);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/tasks/:id/checklist/:itemId
+// @desc    Remove a checklist item
+// @access  Private
+router.delete('/:id/checklist/:itemId', authorizeTask('write'), async (req, res) => {
+  try {
+    const task = req.task;
+    const before = task.toObject();
+
+    if (!task.checklist.id(req.params.itemId)) {
+      return res.status(404).json({ message: 'Checklist item not found' });
+    }
+
+    task.checklist.pull(req.params.itemId);
+    await task.save();
+    await recordTaskActivity(task, { action: 'updated', actor: req.user._id, before });
+
+    res.json(task.checklist);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/tasks/:id/blockers
+// @desc    Mark a task as blocked by another task
+// @access  Private
+router.post('/:id/blockers', authorizeTask('write'), [
+  body('blockerId').isMongoId().withMessage('Invalid blocking task ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const task = req.task;
+    const before = task.toObject();
+
+    const blocker = await Task.findOne({ _id: req.body.blockerId, ...req.taskScope });
+    if (!blocker) {
+      return res.status(404).json({ message: 'Blocking task not found' });
+    }
+
+    if (await wouldCreateBlockingCycle(req.taskScope, task._id, blocker._id)) {
+      return res.status(400).json({ message: 'Blocking dependency would create a cycle' });
+    }
+
+    task.blockedBy.addToSet(blocker._id);
+    await task.save();
+    await recordTaskActivity(task, { action: 'updated', actor: req.user._id, before });
+
+    res.json(task);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/tasks/:id/blockers/:blockerId
+// @desc    Remove a blocking dependency
+// @access  Private
+router.delete('/:id/blockers/:blockerId', authorizeTask('write'), async (req, res) => {
+  try {
+    const task = req.task;
+    const before = task.toObject();
+
+    task.blockedBy.pull(req.params.blockerId);
+    await task.save();
+    await recordTaskActivity(task, { action: 'updated', actor: req.user._id, before });
+
+    res.json(task);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/tasks/:id/reminders
+// @desc    Get the user's reminders on a task
+// @access  Private
+router.get('/:id/reminders', authorizeTask('read'), async (req, res) => {
+  try {
+    const reminders = await Reminder.find({ taskId: req.task._id, userId: req.user._id }).sort({ createdAt: 1 });
+    res.json(reminders);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/tasks/:id/reminders
+// @desc    Remind the user minutesBefore the task (every occurrence of a recurring task)
+//          starts, or once at an absolute time `at`
+// @access  Private
+router.post('/:id/reminders', authorizeTask('read'), [
+  body('minutesBefore').optional().isInt({ min: 0, max: MAX_REMINDER_LEAD_MINUTES })
+    .withMessage(`minutesBefore must be between 0 and ${MAX_REMINDER_LEAD_MINUTES}`),
+  body('at').optional().isISO8601({ strict: true }).withMessage('at must be a date and time'),
+  body('channels').optional().isArray().withMessage('Channels must be a list'),
+  body('channels.*').isIn(Reminder.CHANNELS).withMessage(`Channels must be one of ${Reminder.CHANNELS.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { minutesBefore, at, channels } = req.body;
+    if ((minutesBefore === undefined) === (at === undefined)) {
+      return res.status(400).json({ message: 'Set either minutesBefore or at' });
+    }
+
+    const count = await Reminder.countDocuments({ taskId: req.task._id, userId: req.user._id });
+    if (count >= MAX_REMINDERS_PER_TASK) {
+      return res.status(400).json({ message: `A task can have at most ${MAX_REMINDERS_PER_TASK} reminders` });
+    }
+
+    const reminder = new Reminder({
+      userId: req.user._id,
+      taskId: req.task._id,
+      minutesBefore,
+      at,
+      channels: channels ? [...new Set(channels)] : []
+    });
+
+    const next = nextFiring(reminder, req.task, userTimeZone(req.user));
+    if (!next) {
+      return res.status(400).json({ message: 'The reminder time has already passed' });
+    }
+    reminder.nextFireAt = next.fireAt;
+    reminder.occurrenceDate = next.occurrenceDate;
+    await reminder.save();
+
+    res.status(201).json(reminder);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/tasks/:id/reminders/:reminderId
+// @desc    Remove a reminder
+// @access  Private
+router.delete('/:id/reminders/:reminderId', authorizeTask('read'), async (req, res) => {
+  try {
+    const reminder = await Reminder.findOneAndDelete({
+      _id: req.params.reminderId,
+      taskId: req.task._id,
+      userId: req.user._id
+    });
+    if (!reminder) {
+      return res.status(404).json({ message: 'Reminder not found' });
+    }
+
+    res.json({ message: 'Reminder removed' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/tasks/:id/timer/start
+// @desc    Start a timer on a task
+// @access  Private
+router.post('/:id/timer/start', authorizeTask('write'), async (req, res) => {
+  try {
+    const task = req.task;
+
+    const running = await TimeEntry.findOne({ userId: req.user._id, running: true });
+    if (running) {
+      return res.status(400).json({ message: 'A timer is already running', entry: running });
+    }
+
+    // Timers on a recurring task run on one occurrence, today's by default
+    const occurrenceDate = entryOccurrence(task, req.body.occurrenceDate
+      ? moment.utc(req.body.occurrenceDate, 'YYYY-MM-DD', true)
+      : todayIn(userTimeZone(req.user)));
+    if (occurrenceDate === null) {
+      return res.status(400).json({ message: 'The task has no occurrence on that day' });
+    }
+
+    const entry = new TimeEntry({
+      userId: req.user._id,
+      taskId: task._id,
+      occurrenceDate,
+      startedAt: new Date(),
+      running: true,
+      source: 'timer',
+      note: req.body.note
+    });
+    await entry.save();
+
+    if (task.status === 'pending') {
+      task.status = 'in-progress';
+      await task.save();
+    }
+
+    res.status(201).json(entry);
+  } catch (error) {
+    // The unique index catches two timers started at the same moment
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A timer is already running' });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/tasks/:id/timer/stop
+// @desc    Stop the timer running on a task
+// @access  Private
+router.post('/:id/timer/stop', authorizeTask('write'), async (req, res) => {
+  try {
+    const task = req.task;
+
+    const running = await TimeEntry.findOne({ userId: req.user._id, taskId: task._id, running: true });
+    if (!running) {
+      return res.status(400).json({ message: 'No timer is running on this task' });
+    }
+
+    const entry = await stopRunningTimer(req.user._id);
+    await syncActualDuration(task, entry.occurrenceDate);
+    await updateProductivityMetrics(metricsOwner(task), entryMetricsDay(task, entry.occurrenceDate));
+
+    res.json({ entry, actualDuration: entry.occurrenceDate ? entry.duration : task.actualDuration });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/tasks/:id/entries
+// @desc    Get the time entries of a task
+// @access  Private
+router.get('/:id/entries', authorizeTask('read'), async (req, res) => {
+  try {
+    const task = req.task;
+
+    const entries = await TimeEntry.find({ taskId: task._id }).sort({ startedAt: -1 });
+
+    res.json(entries);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/tasks/:id/entries
+// @desc    Add a manual time entry to a task
+// @access  Private
+router.post('/:id/entries', authorizeTask('write'), [
+  body('startedAt').isISO8601().withMessage('Start time must be a valid date'),
+  body('endedAt').isISO8601().withMessage('End time must be a valid date'),
+  body('endedAt').custom((value, { req }) => new Date(value) > new Date(req.body.startedAt))
+    .withMessage('End time must be after start time')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const task = req.task;
+
+    // Entries on a recurring task belong to one occurrence, the day they started on by default
+    const occurrenceDate = entryOccurrence(task, req.body.occurrenceDate
+      ? moment.utc(req.body.occurrenceDate, 'YYYY-MM-DD', true)
+      : dayOf(req.body.startedAt, userTimeZone(req.user)));
+    if (occurrenceDate === null) {
+      return res.status(400).json({ message: 'The task has no occurrence on that day' });
+    }
+
+    const entry = new TimeEntry({
+      userId: req.user._id,
+      taskId: task._id,
+      occurrenceDate,
+      startedAt: req.body.startedAt,
+      endedAt: req.body.endedAt,
+      source: 'manual',
+      note: req.body.note
+    });
+    await entry.save();
+
+    await syncActualDuration(task, entry.occurrenceDate);
+    await updateProductivityMetrics(metricsOwner(task), entryMetricsDay(task, entry.occurrenceDate));
+
+    res.status(201).json(entry);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/tasks/:id/entries/:entryId
+// @desc    Edit a finished time entry
+// @access  Private
+router.put('/:id/entries/:entryId', authorizeTask('write'), [
+  body('startedAt').optional().isISO8601().withMessage('Start time must be a valid date'),
+  body('endedAt').optional().isISO8601().withMessage('End time must be a valid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const task = req.task;
+
+    const entry = await TimeEntry.findOne({ _id: req.params.entryId, taskId: task._id, userId: req.user._id });
+    if (!entry) {
+      return res.status(404).json({ message: 'Time entry not found' });
+    }
+    if (entry.running) {
+      return res.status(400).json({ message: 'Stop the timer before editing this entry' });
+    }
+
+    ['startedAt', 'endedAt', 'note'].forEach(key => {
+      if (req.body[key] !== undefined) {
+        entry[key] = req.body[key];
+      }
+    });
+
+    if (entry.endedAt <= entry.startedAt) {
+      return res.status(400).json({ message: 'End time must be after start time' });
+    }
+
+    await entry.save();
+
+    await syncActualDuration(task, entry.occurrenceDate);
+    await updateProductivityMetrics(metricsOwner(task), entryMetricsDay(task, entry.occurrenceDate));
+
+    res.json(entry);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/tasks/:id/entries/:entryId
+// @desc    Delete a time entry
+// @access  Private
+router.delete('/:id/entries/:entryId', authorizeTask('write'), async (req, res) => {
+  try {
+    const task = req.task;
+
+    const entry = await TimeEntry.findOneAndDelete({ _id: req.params.entryId, taskId: task._id, userId: req.user._id });
+    if (!entry) {
+      return res.status(404).json({ message: 'Time entry not found' });
+    }
+
+    await syncActualDuration(task, entry.occurrenceDate);
+    await updateProductivityMetrics(metricsOwner(task), entryMetricsDay(task, entry.occurrenceDate));
+
+    res.json({ message: 'Time entry deleted successfully' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Recompute the daily metrics of the days a task or series counts towards
+async function updateTaskDaysMetrics(task) {
+  if (task.recurrence) {
+    await updateDaysMetrics(metricsOwner(task), seriesMetricsDates(task));
+  } else if (task.scheduledDate) {
+    await updateProductivityMetrics(metricsOwner(task), task.scheduledDate);
+  }
+}
+
+// Store the days sent in the body as calendar days, reading timestamps in the user's time zone
+function normalizeBodyDays(req) {
+  const timeZone = userTimeZone(req.user);
+  const toDay = (value) => {
+    const day = parseDay(value, timeZone);
+    return day.isValid() ? day.toDate() : value;
+  };
+
+  if (req.body.scheduledDate) req.body.scheduledDate = toDay(req.body.scheduledDate);
+  if (req.body.recurrence && req.body.recurrence.until) {
+    req.body.recurrence.until = toDay(req.body.recurrence.until);
+  }
+}
+
+// Check that a task can be placed in a workspace and assigned to someone,
+// returning the error status and message when it can't. Moving an existing task out of
+// its workspace takes it away from the team, so it needs the role that deleting it does.
+async function checkAssignment(req, workspaceId, assigneeId, task = null) {
+  const moved = task && task.workspaceId && String(workspaceId || '') !== String(task.workspaceId);
+  if (moved && !canAccessTask(req, task, 'delete')) {
+    return { status: 403, message: 'You are not allowed to move this task out of its workspace' };
+  }
+
+  if (workspaceId) {
+    const role = req.memberships.get(String(workspaceId));
+    if (!role) {
+      return { status: 404, message: 'Workspace not found' };
+    }
+    if (!hasRole(role, 'member')) {
+      return { status: 403, message: 'Viewers cannot add tasks to this workspace' };
+    }
+  }
+
+  if (assigneeId) {
+    if (!workspaceId) {
+      if (String(assigneeId) !== String(req.user._id)) {
+        return { status: 400, message: 'Personal tasks can only be assigned to yourself' };
+      }
+    } else {
+      const workspace = await Workspace.findById(workspaceId);
+      if (!hasRole(workspace.roleOf(assigneeId), 'member')) {
+        return { status: 400, message: 'Tasks can only be assigned to workspace members who can edit them' };
+      }
+    }
+  }
 
-  tasks.forEach(task => {
-    if (task.status === 'completed' && task.category) {
-      categoryBreakdown[task.category] = (categoryBreakdown[task.category] || 0) + (task.actualDuration || 0);
-    }
-  });
-
-  const productivityScore = tasksPlanned > 0 
-    ? Math.round((tasksCompleted / tasksPlanned) * 100)
-    : 0;
-
-  await Productivity.findOneAndUpdate(
-    { userId, date: { $gte: dateStart, $lte: dateEnd } },
-    {
-      userId,
-      date: dateStart,
-      tasksPlanned,
-      tasksCompleted,
-      totalWorkTime,
-      productivityScore,
-      categoryBreakdown
-    },
-    { upsert: true, new: true }
-  );
+  return null;
 }
 
 module.exports = router;
@@ -0,0 +1,258 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const auth = require('../middleware/auth');
+const { generateSecret, queueEvent, replayDelivery } = require('../utils/webhooks');
+const { checkOutboundUrl } = require('../utils/outbound');
+
+const router = express.Router();
+
+const MAX_WEBHOOKS = 20;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+const urlValidator = (field) => body(field)
+  .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: process.env.NODE_ENV === 'production' })
+  .withMessage('URL must be an http(s) URL')
+  .bail()
+  .custom(async (value) => {
+    const problem = await checkOutboundUrl(value);
+    if (problem) throw new Error(problem);
+  });
+
+const eventsValidators = (optional) => [
+  (optional ? body('events').optional() : body('events'))
+    .isArray({ min: 1 }).withMessage('Events must be a non-empty list'),
+  body('events.*').isIn(Webhook.EVENTS).withMessage(`Events must be among ${Webhook.EVENTS.join(', ')}`)
+];
+
+// Load a webhook of the user, or answer 404
+async function findWebhook(req, res) {
+  const webhook = await Webhook.findOne({ _id: req.params.id, userId: req.user._id });
+  if (!webhook) {
+    res.status(404).json({ message: 'Webhook not found' });
+  }
+  return webhook;
+}
+
+// All routes require authentication
+router.use(auth);
+
+// @route   GET /api/webhooks
+// @desc    Get the user's webhooks and the events they can subscribe to
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const webhooks = await Webhook.find({ userId: req.user._id }).sort({ createdAt: 1 });
+    res.json({ webhooks, events: Webhook.EVENTS });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/webhooks
+// @desc    Register a webhook. The signing secret is only returned here and when rotated.
+// @access  Private
+router.post('/', [
+  urlValidator('url'),
+  ...eventsValidators(false),
+  body('description').optional().isString().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (await Webhook.countDocuments({ userId: req.user._id }) >= MAX_WEBHOOKS) {
+      return res.status(400).json({ message: `You can register at most ${MAX_WEBHOOKS} webhooks` });
+    }
+
+    const webhook = new Webhook({
+      userId: req.user._id,
+      url: req.body.url,
+      description: req.body.description,
+      events: [...new Set(req.body.events)],
+      secret: generateSecret()
+    });
+    await webhook.save();
+
+    res.status(201).json({ ...webhook.toJSON(), secret: webhook.secret });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/webhooks/:id
+// @desc    Update a webhook's URL, events, description or active flag
+// @access  Private
+router.put('/:id', [
+  urlValidator('url').optional(),
+  ...eventsValidators(true),
+  body('description').optional().isString().trim(),
+  body('active').optional().isBoolean().withMessage('active must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+
+    if (req.body.url !== undefined) webhook.url = req.body.url;
+    if (req.body.events !== undefined) webhook.events = [...new Set(req.body.events)];
+    if (req.body.description !== undefined) webhook.description = req.body.description;
+    if (req.body.active !== undefined) webhook.active = req.body.active;
+    await webhook.save();
+
+    res.json(webhook);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/webhooks/:id
+// @desc    Remove a webhook and its delivery log
+// @access  Private
+router.delete('/:id', async (req, res) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+
+    await webhook.deleteOne();
+    await WebhookDelivery.deleteMany({ webhookId: webhook._id });
+
+    res.json({ message: 'Webhook deleted successfully' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/webhooks/:id/secret
+// @desc    Replace the signing secret; deliveries are signed with the new one from now on
+// @access  Private
+router.post('/:id/secret', async (req, res) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+
+    webhook.secret = generateSecret();
+    await webhook.save();
+
+    res.json({ secret: webhook.secret });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/webhooks/:id/ping
+// @desc    Send a ping event to check the endpoint and its signature verification
+// @access  Private
+router.post('/:id/ping', async (req, res) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+
+    const [delivery] = await queueEvent([webhook], 'ping', { webhookId: webhook._id });
+
+    res.status(202).json(delivery);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/webhooks/:id/deliveries
+// @desc    Get the delivery log of a webhook, newest first (status to filter, before=<id> for the next page)
+// @access  Private
+router.get('/:id/deliveries', [
+  query('status').optional().isIn(['pending', 'succeeded', 'failed']).withMessage('Invalid status'),
+  query('before').optional().isMongoId().withMessage('Invalid delivery ID'),
+  query('limit').optional().isInt({ min: 1, max: MAX_PAGE_SIZE }).withMessage(`Limit must be between 1 and ${MAX_PAGE_SIZE}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : DEFAULT_PAGE_SIZE;
+    const filter = { webhookId: webhook._id };
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.before) filter._id = { $lt: req.query.before };
+
+    const deliveries = await WebhookDelivery.find(filter)
+      .select('-payload -lockedUntil -responseBody')
+      .sort({ _id: -1 })
+      .limit(limit + 1);
+    const page = deliveries.slice(0, limit);
+
+    res.json({
+      deliveries: page,
+      nextBefore: deliveries.length > limit ? page[page.length - 1]._id : null
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/webhooks/:id/deliveries/:deliveryId
+// @desc    Get a delivery with its payload and the status of the endpoint's last response
+// @access  Private
+router.get('/:id/deliveries/:deliveryId', async (req, res) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+
+    const delivery = await WebhookDelivery.findOne({ _id: req.params.deliveryId, webhookId: webhook._id })
+      .select('-lockedUntil -responseBody');
+    if (!delivery) {
+      return res.status(404).json({ message: 'Delivery not found' });
+    }
+
+    res.json({ ...delivery.toJSON(), payload: JSON.parse(delivery.payload) });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/webhooks/:id/deliveries/:deliveryId/replay
+// @desc    Send a logged delivery again with the same payload, as a new delivery
+// @access  Private
+router.post('/:id/deliveries/:deliveryId/replay', async (req, res) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+
+    if (!webhook.active) {
+      return res.status(400).json({ message: 'Webhook is disabled' });
+    }
+
+    const delivery = await WebhookDelivery.findOne({ _id: req.params.deliveryId, webhookId: webhook._id });
+    if (!delivery) {
+      return res.status(404).json({ message: 'Delivery not found' });
+    }
+
+    const replay = await replayDelivery(delivery);
+
+    res.status(201).json({ ...replay.toJSON(), payload: undefined, lockedUntil: undefined });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
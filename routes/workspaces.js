@@ -0,0 +1,318 @@
+const express = require('express');
+const crypto = require('crypto');
+const moment = require('moment');
+const { body, validationResult } = require('express-validator');
+const Workspace = require('../models/Workspace');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const Reminder = require('../models/Reminder');
+const auth = require('../middleware/auth');
+const { ROLE_RANK, requireWorkspaceRole } = require('../middleware/authorize');
+const { updateDaysMetrics, seriesMetricsDates } = require('../utils/productivity');
+
+const router = express.Router();
+
+const INVITATION_TTL_DAYS = 7;
+
+// All routes require authentication
+router.use(auth);
+
+// Recompute the daily metrics of the assignees tasks counted towards and of the creators
+// they count towards once their assignee is cleared
+async function updateUnassignedMetrics(tasks) {
+  const affected = new Map();
+  const addDates = (owner, dates) => {
+    const key = String(owner);
+    affected.set(key, { owner, dates: (affected.has(key) ? affected.get(key).dates : []).concat(dates) });
+  };
+
+  tasks.filter(task => task.assigneeId && !task.assigneeId.equals(task.userId)).forEach(task => {
+    const dates = task.recurrence ? seriesMetricsDates(task) : [task.scheduledDate];
+    addDates(task.assigneeId, dates);
+    addDates(task.userId, dates);
+  });
+
+  for (const { owner, dates } of affected.values()) {
+    await updateDaysMetrics(owner, dates);
+  }
+}
+
+// @route   GET /api/workspaces
+// @desc    Get the workspaces the user belongs to, with their role
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const workspaces = await Workspace.find({ 'members.userId': req.user._id })
+      .select('-invitations')
+      .sort({ name: 1 });
+
+    res.json(workspaces.map(w => ({ ...w.toObject(), role: w.roleOf(req.user._id) })));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/workspaces
+// @desc    Create a workspace owned by the user
+// @access  Private
+router.post('/', [
+  body('name').trim().notEmpty().withMessage('Name is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const workspace = new Workspace({
+      name: req.body.name,
+      members: [{ userId: req.user._id, role: 'owner' }]
+    });
+    await workspace.save();
+
+    res.status(201).json(workspace);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/workspaces/invitations/:token/accept
+// @desc    Join a workspace through an invitation sent to the user's email
+// @access  Private
+router.post('/invitations/:token/accept', async (req, res) => {
+  try {
+    const workspace = await Workspace.findOne({ 'invitations.token': req.params.token });
+    const invitation = workspace && workspace.invitations.find(i => i.token === req.params.token);
+
+    if (!invitation || invitation.expiresAt < new Date()) {
+      return res.status(404).json({ message: 'Invitation not found or expired' });
+    }
+    if (invitation.email !== req.user.email) {
+      return res.status(403).json({ message: 'This invitation was sent to a different email address' });
+    }
+    if (!req.user.emailVerified) {
+      return res.status(403).json({ message: 'Verify your email address before accepting invitations' });
+    }
+
+    if (!workspace.roleOf(req.user._id)) {
+      workspace.members.push({ userId: req.user._id, role: invitation.role });
+    }
+    invitation.deleteOne();
+    await workspace.save();
+
+    res.json(workspace);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/workspaces/:workspaceId
+// @desc    Get a workspace with its members; admins also see pending invitations
+// @access  Private (viewer)
+router.get('/:workspaceId', requireWorkspaceRole('viewer'), async (req, res) => {
+  try {
+    await req.workspace.populate('members.userId', 'name email');
+
+    const workspace = req.workspace.toObject();
+    if (ROLE_RANK[req.workspaceRole] < ROLE_RANK.admin) {
+      delete workspace.invitations;
+    }
+
+    res.json({ ...workspace, role: req.workspaceRole });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/workspaces/:workspaceId
+// @desc    Rename a workspace
+// @access  Private (admin)
+router.put('/:workspaceId', requireWorkspaceRole('admin'), [
+  body('name').trim().notEmpty().withMessage('Name is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    req.workspace.name = req.body.name;
+    await req.workspace.save();
+
+    res.json(req.workspace);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/workspaces/:workspaceId
+// @desc    Delete a workspace; its tasks go back to their creators as personal tasks
+// @access  Private (owner)
+router.delete('/:workspaceId', requireWorkspaceRole('owner'), async (req, res) => {
+  try {
+    const assigned = await Task.find({ workspaceId: req.workspace._id, assigneeId: { $ne: null } });
+
+    // Tasks in the trash too, so they can still be restored
+    for (const deletedAt of [null, { $ne: null }]) {
+      await Task.updateMany(
+        { workspaceId: req.workspace._id, deletedAt },
+        { $unset: { workspaceId: 1, assigneeId: 1 } }
+      );
+    }
+    await req.workspace.deleteOne();
+
+    await updateUnassignedMetrics(assigned);
+
+    res.json({ message: 'Workspace deleted successfully' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/workspaces/:workspaceId/invitations
+// @desc    Invite someone to the workspace by email
+// @access  Private (admin)
+router.post('/:workspaceId/invitations', requireWorkspaceRole('admin'), [
+  body('email').isEmail().normalizeEmail().withMessage('Please enter a valid email'),
+  body('role').optional().isIn(Workspace.ROLES.filter(role => role !== 'owner')).withMessage('Invalid role')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const role = req.body.role || 'member';
+    if (ROLE_RANK[role] > ROLE_RANK[req.workspaceRole]) {
+      return res.status(403).json({ message: 'You cannot invite someone with a higher role than your own' });
+    }
+
+    const invitee = await User.findOne({ email: req.body.email });
+    if (invitee && req.workspace.roleOf(invitee._id)) {
+      return res.status(400).json({ message: 'This user is already a member of the workspace' });
+    }
+
+    // A new invitation to the same address replaces the previous one
+    req.workspace.invitations = req.workspace.invitations.filter(i => i.email !== req.body.email);
+    req.workspace.invitations.push({
+      email: req.body.email,
+      role,
+      token: crypto.randomBytes(24).toString('hex'),
+      invitedBy: req.user._id,
+      expiresAt: moment().add(INVITATION_TTL_DAYS, 'days').toDate()
+    });
+    await req.workspace.save();
+
+    res.status(201).json(req.workspace.invitations[req.workspace.invitations.length - 1]);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/workspaces/:workspaceId/invitations/:invitationId
+// @desc    Cancel a pending invitation
+// @access  Private (admin)
+router.delete('/:workspaceId/invitations/:invitationId', requireWorkspaceRole('admin'), async (req, res) => {
+  try {
+    const invitation = req.workspace.invitations.id(req.params.invitationId);
+    if (!invitation) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+
+    invitation.deleteOne();
+    await req.workspace.save();
+
+    res.json({ message: 'Invitation cancelled' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/workspaces/:workspaceId/members/:userId
+// @desc    Change a member's role. Admins manage members below them; only the
+//          owner can hand over ownership, becoming an admin themselves.
+// @access  Private (admin)
+router.put('/:workspaceId/members/:userId', requireWorkspaceRole('admin'), [
+  body('role').isIn(Workspace.ROLES).withMessage('Invalid role')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const member = req.workspace.members.find(m => String(m.userId) === req.params.userId);
+    if (!member) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+
+    const { role } = req.body;
+    if (req.workspaceRole !== 'owner' && (ROLE_RANK[member.role] >= ROLE_RANK.admin || ROLE_RANK[role] >= ROLE_RANK.admin)) {
+      return res.status(403).json({ message: 'Only the owner can change admin roles' });
+    }
+    if (member.role === 'owner') {
+      return res.status(400).json({ message: 'Transfer ownership to another member instead' });
+    }
+
+    if (role === 'owner') {
+      req.workspace.members.find(m => m.userId.equals(req.user._id)).role = 'admin';
+    }
+    member.role = role;
+    await req.workspace.save();
+
+    res.json(req.workspace);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/workspaces/:workspaceId/members/:userId
+// @desc    Remove a member, or leave the workspace when removing yourself.
+//          Their open assignments and their reminders in the workspace are cleared.
+// @access  Private (admin, or any member for themselves)
+router.delete('/:workspaceId/members/:userId', requireWorkspaceRole('viewer'), async (req, res) => {
+  try {
+    const member = req.workspace.members.find(m => String(m.userId) === req.params.userId);
+    if (!member) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+
+    const isSelf = member.userId.equals(req.user._id);
+    if (member.role === 'owner') {
+      return res.status(400).json({ message: 'The owner cannot leave; transfer ownership or delete the workspace' });
+    }
+    if (!isSelf && (ROLE_RANK[req.workspaceRole] < ROLE_RANK.admin || ROLE_RANK[member.role] >= ROLE_RANK[req.workspaceRole])) {
+      return res.status(403).json({ message: 'You are not allowed to remove this member' });
+    }
+
+    req.workspace.members = req.workspace.members.filter(m => !m.userId.equals(member.userId));
+    await req.workspace.save();
+
+    const openAssignments = { workspaceId: req.workspace._id, assigneeId: member.userId, status: { $in: ['pending', 'in-progress'] } };
+    const unassigned = await Task.find(openAssignments);
+    await Task.updateMany(openAssignments, { $unset: { assigneeId: 1 } });
+    await updateUnassignedMetrics(unassigned);
+
+    // They can no longer see the workspace's tasks, so their reminders on them would leak updates
+    for (const deletedAt of [null, { $ne: null }]) {
+      const taskIds = await Task.distinct('_id', { workspaceId: req.workspace._id, deletedAt });
+      await Reminder.deleteMany({ userId: member.userId, taskId: { $in: taskIds } });
+    }
+
+    res.json({ message: isSelf ? 'You left the workspace' : 'Member removed' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
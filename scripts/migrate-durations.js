@@ -0,0 +1,80 @@
+// Turn actualDuration values recorded before time tracking into manual time entries.
+//
+// Usage: node scripts/migrate-durations.js [--user <id>]
+//
+// actualDuration is the sum of a task's time entries, so tasks and occurrences of recurring
+// tasks that only have a stored duration would lose it on their next sync. Each one gets a
+// manual entry of that length, ending when it was completed. Safe to run more than once:
+// tasks and occurrences that already have entries are left alone.
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+// Same pinning as server.js: calendar days are midnight UTC
+process.env.TZ = 'UTC';
+
+const Task = require('../models/Task');
+const TimeEntry = require('../models/TimeEntry');
+
+function readOption(name) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index >= 0 ? process.argv[index + 1] : undefined;
+}
+
+// A finished manual entry of `minutes` ending at `endedAt`
+const legacyEntry = (task, minutes, endedAt, occurrenceDate) => ({
+  userId: task.assigneeId || task.userId,
+  taskId: task._id,
+  occurrenceDate,
+  startedAt: new Date(endedAt.getTime() - minutes * 60000),
+  endedAt,
+  source: 'manual',
+  note: 'Recorded before time tracking'
+});
+
+async function migrateTask(task) {
+  const tracked = new Set((await TimeEntry.find({ taskId: task._id }).select('occurrenceDate').lean())
+    .map(entry => entry.occurrenceDate || null));
+  const entries = [];
+
+  if (!task.recurrence && task.actualDuration > 0 && !tracked.has(null)) {
+    entries.push(legacyEntry(task, task.actualDuration, task.completedAt || task.updatedAt));
+  }
+  (task.exceptions || []).forEach(exception => {
+    if (exception.actualDuration > 0 && !tracked.has(exception.date)) {
+      entries.push(legacyEntry(task, exception.actualDuration, exception.completedAt || task.updatedAt, exception.date));
+    }
+  });
+
+  // create() runs the save hooks that derive each entry's duration
+  if (entries.length > 0) await TimeEntry.create(entries);
+  return entries.length;
+}
+
+async function main() {
+  const userId = readOption('user');
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/productivityx');
+
+  let migrated = 0;
+  // Tasks in the trash too, so they keep their time when restored
+  for (const deletedAt of [null, { $ne: null }]) {
+    const cursor = Task.find({
+      ...(userId ? { $or: [{ userId }, { assigneeId: userId }] } : {}),
+      deletedAt,
+      $and: [{ $or: [{ actualDuration: { $gt: 0 } }, { 'exceptions.actualDuration': { $gt: 0 } }] }]
+    }).cursor();
+
+    for await (const task of cursor) {
+      migrated += await migrateTask(task);
+    }
+  }
+
+  console.log(`Created ${migrated} time entr${migrated === 1 ? 'y' : 'ies'} from recorded durations`);
+  await mongoose.disconnect();
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,46 @@
+// Re-bucket existing daily Productivity rows into each user's time zone.
+//
+// Usage: node scripts/rebucket-productivity.js [--user <id>] [--server-zone <zone>]
+//
+// --server-zone is the time zone of the server that wrote the existing rows
+// (UTC on Vercel, the default). Run it once after deploying time zone support,
+// after setting time zones on users in bulk, or for a single user with --user.
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+// Same pinning as server.js: calendar days are midnight UTC
+process.env.TZ = 'UTC';
+
+const User = require('../models/User');
+const { rebuildProductivity } = require('../utils/productivity');
+const { isValidTimeZone } = require('../utils/timezone');
+
+function readOption(name) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index >= 0 ? process.argv[index + 1] : undefined;
+}
+
+async function main() {
+  const userId = readOption('user');
+  const serverZone = readOption('server-zone') || 'UTC';
+
+  if (!isValidTimeZone(serverZone)) {
+    throw new Error(`Unknown time zone: ${serverZone}`);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/productivityx');
+
+  const users = await User.find(userId ? { _id: userId } : {}).select('email timeZone');
+  for (const user of users) {
+    const days = await rebuildProductivity(user._id, serverZone);
+    console.log(`${user.email}: rebuilt ${days} day(s) in ${user.timeZone || 'the default time zone'}`);
+  }
+
+  await mongoose.disconnect();
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -5,11 +5,26 @@ const dotenv = require('dotenv');
 
 dotenv.config();
 
+// Calendar days are stored as midnight UTC; run in UTC so date arithmetic on them
+// doesn't depend on where the server is. User time zones are applied explicitly.
+process.env.TZ = 'UTC';
+
+// Tokens signed with a guessable fallback secret could be forged by anyone
+if (!process.env.JWT_SECRET) {
+  throw new Error('JWT_SECRET is not set; refusing to start');
+}
+
+// Check the mail transport now rather than when the first email is sent
+require('./utils/mailer').getTransport();
+
 const app = express();
 
+// Behind the hosting proxy; needed for the client IP recorded on sessions
+app.set('trust proxy', 1);
+
 // Middleware
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: '5mb' }));
 app.use(express.urlencoded({ extended: true }));
 
 // Routes
@@ -18,6 +33,24 @@ app.use('/api/tasks', require('./routes/tasks'));
 app.use('/api/productivity', require('./routes/productivity'));
 app.use('/api/analytics', require('./routes/analytics'));
 app.use('/api/reports', require('./routes/reports'));
+app.use('/api/focus', require('./routes/focus'));
+app.use('/api/calendar', require('./routes/calendar'));
+app.use('/api/import', require('./routes/import'));
+app.use('/api/categories', require('./routes/categories'));
+app.use('/api/projects', require('./routes/projects'));
+app.use('/api/goals', require('./routes/goals'));
+app.use('/api/habits', require('./routes/habits'));
+app.use('/api/workspaces', require('./routes/workspaces'));
+app.use('/api/schedule', require('./routes/schedule'));
+app.use('/api/notifications', require('./routes/notifications'));
+app.use('/api/webhooks', require('./routes/webhooks'));
+app.use('/api/odata', require('./routes/odata'));
+
+// Run reminders, deliveries and trash purging from this process on long-running
+// deployments; serverless deployments have Vercel Cron call /api/notifications/dispatch instead
+if (process.env.DISPATCHER_INTERVAL_SECONDS) {
+  require('./utils/jobs').startJobs(parseInt(process.env.DISPATCHER_INTERVAL_SECONDS, 10));
+}
 
 // MongoDB Connection
 // mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/productivityx', {
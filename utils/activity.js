@@ -0,0 +1,88 @@
+const TaskActivity = require('../models/TaskActivity');
+
+// Derived and bookkeeping fields, left out of diffs
+const UNTRACKED_FIELDS = [
+  '_id',
+  '__v',
+  'createdAt',
+  'updatedAt',
+  'startMinutes',
+  'endMinutes',
+  'actualDuration',
+  'productivityScore',
+  'deletedAt',
+  'deletedBy'
+];
+
+const toPlain = (task) => (typeof task.toObject === 'function' ? task.toObject({ depopulate: true }) : task);
+
+// Stored form of a value: ObjectIds as strings, dates as ISO strings
+const normalize = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+// Field-level differences between two versions of a task
+function diffTask(before, after) {
+  const from = before ? normalize(toPlain(before)) : {};
+  const to = after ? normalize(toPlain(after)) : {};
+
+  return [...new Set(Object.keys(from).concat(Object.keys(to)))]
+    .filter(field => !UNTRACKED_FIELDS.includes(field))
+    .filter(field => JSON.stringify(from[field] ?? null) !== JSON.stringify(to[field] ?? null))
+    .sort()
+    .map(field => ({ field, from: from[field] ?? null, to: to[field] ?? null }));
+}
+
+const activityFields = (task) => ({
+  taskId: task._id,
+  ownerId: task.userId,
+  assigneeId: task.assigneeId,
+  workspaceId: task.workspaceId,
+  title: task.title
+});
+
+// Record a change of a task made by `actor`. Updates that change no tracked field
+// aren't recorded. `before` is the task before an update or revert.
+async function recordTaskActivity(task, { action, actor, source = 'api', before, revertedTo }) {
+  const changes = action === 'deleted' ? [] : diffTask(action === 'created' ? null : before, task);
+  if ((action === 'updated' || action === 'reverted') && changes.length === 0) return null;
+
+  // Versions are numbered per task; retry when a concurrent change took the number
+  for (let attempt = 0; ; attempt++) {
+    const last = await TaskActivity.findOne({ taskId: task._id }).sort({ version: -1 }).select('version');
+    try {
+      return await TaskActivity.create({
+        ...activityFields(task),
+        version: last ? last.version + 1 : 1,
+        action,
+        source,
+        actorId: actor,
+        changes,
+        snapshot: normalize(toPlain(task)),
+        revertedTo
+      });
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= 2) throw error;
+    }
+  }
+}
+
+// Record the creation of many new tasks at once, e.g. from an import
+async function recordCreatedTasks(tasks, { actor, source }) {
+  if (tasks.length === 0) return;
+
+  await TaskActivity.insertMany(tasks.map(task => ({
+    ...activityFields(task),
+    version: 1,
+    action: 'created',
+    source,
+    actorId: actor,
+    changes: diffTask(null, task),
+    snapshot: normalize(toPlain(task))
+  })));
+}
+
+module.exports = {
+  UNTRACKED_FIELDS,
+  diffTask,
+  recordTaskActivity,
+  recordCreatedTasks
+};
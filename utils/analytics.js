@@ -0,0 +1,175 @@
+const moment = require('moment-timezone');
+const Task = require('../models/Task');
+const Productivity = require('../models/Productivity');
+const { personalTaskFilter } = require('./productivity');
+const { sumBreakdowns, emptyBreakdown } = require('./categories');
+const { calendarDay, dayBounds, dayOf, today, DAY_FORMAT } = require('./timezone');
+
+const ROLLUP_GRANULARITIES = ['week', 'month', 'quarter'];
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+// Longest stretch of work spread back from a completion
+const MAX_SPREAD_MINUTES = 24 * 60;
+
+// Completion times and actual durations of the user's tasks and of the completed occurrences
+// of their recurring series, optionally only those completed within [from, to]
+async function findCompletions(userId, from, to) {
+  const completedAt = from ? { $gte: from, $lte: to } : { $ne: null };
+  const inRange = (e) => e.completedAt && (!from || (e.completedAt >= from && e.completedAt <= to));
+
+  const completions = (await Task.find({
+    ...personalTaskFilter(userId),
+    recurrence: null,
+    status: 'completed',
+    completedAt
+  }).select('completedAt actualDuration').lean())
+    .map(task => ({ completedAt: task.completedAt, actualDuration: task.actualDuration }));
+
+  // Completed occurrences of recurring series are recorded as exceptions
+  const series = await Task.find({
+    ...personalTaskFilter(userId),
+    recurrence: { $ne: null },
+    exceptions: { $elemMatch: { status: 'completed', completedAt } }
+  }).select('exceptions').lean();
+  series.forEach(task => task.exceptions
+    .filter(e => e.status === 'completed' && inRange(e))
+    .forEach(e => completions.push({ completedAt: e.completedAt, actualDuration: e.actualDuration })));
+
+  return completions;
+}
+
+// Runs of consecutive days with at least one completed task, by the day tasks and
+// occurrences were completed on in the user's time zone. The current streak is still
+// alive when nothing has been completed yet today.
+async function completionStreaks(userId, timeZone) {
+  const days = [...new Set((await findCompletions(userId))
+    .map(({ completedAt }) => dayOf(completedAt, timeZone).format(DAY_FORMAT)))]
+    .sort()
+    .map(date => calendarDay(date));
+
+  const runs = [];
+  days.forEach(day => {
+    const run = runs[runs.length - 1];
+    if (run && day.diff(run.end, 'days') === 1) {
+      run.end = day;
+      run.days++;
+    } else {
+      runs.push({ start: day, end: day, days: 1 });
+    }
+  });
+
+  const formatRun = (run) => (run
+    ? { days: run.days, start: run.start.format(DAY_FORMAT), end: run.end.format(DAY_FORMAT) }
+    : { days: 0, start: null, end: null });
+
+  const last = runs[runs.length - 1];
+  const sinceLast = last ? today(timeZone).diff(last.end, 'days') : null;
+  const longest = runs.reduce((best, run) => (!best || run.days > best.days ? run : best), null);
+
+  return {
+    current: formatRun(sinceLast !== null && sinceLast <= 1 ? last : null),
+    longest: formatRun(longest),
+    completedToday: sinceLast === 0
+  };
+}
+
+// Completed work per weekday and hour in the user's time zone over [start, end] (calendar
+// days). A task's actual duration, up to a day, is spread over the hours before its
+// completion; tasks without tracked time count towards the hour they were completed in.
+async function completionHeatmap(userId, start, end, timeZone) {
+  const from = dayBounds(start, timeZone).start;
+  const to = dayBounds(end, timeZone).end;
+
+  const completions = await findCompletions(userId, from, to);
+
+  const cells = WEEKDAYS.map(() => Array.from({ length: 24 }, () => ({ minutes: 0, tasks: 0 })));
+  const zone = moment.tz.zone(timeZone);
+  const offsetChanges = zone ? zone.untils : [];
+  completions.forEach(({ completedAt, actualDuration }) => {
+    const finish = moment.tz(completedAt, timeZone);
+    cells[finish.day()][finish.hour()].tasks++;
+
+    // Walk back from the completion in absolute time, adding to each local hour the part of
+    // the work it holds. A slice ends at the start of the local hour or at an offset change,
+    // whichever comes first, so every step moves back and no hour is skipped or merged.
+    let remaining = Math.min(actualDuration || 0, MAX_SPREAD_MINUTES) * 60000;
+    let cursor = finish.valueOf();
+    while (remaining > 0) {
+      const local = moment.tz(cursor - 1, timeZone);
+      const intoHour = (local.minutes() * 60 + local.seconds()) * 1000 + local.milliseconds() + 1;
+      const change = offsetChanges.findLast(instant => instant < cursor && instant > cursor - intoHour);
+      const slice = Math.min(remaining, change ? cursor - change : intoHour);
+      cells[local.day()][local.hour()].minutes += slice / 60000;
+      remaining -= slice;
+      cursor -= slice;
+    }
+  });
+
+  const flat = [];
+  cells.forEach((hours, weekday) => hours.forEach((cell, hour) => flat.push({
+    weekday,
+    weekdayName: WEEKDAYS[weekday],
+    hour,
+    minutes: Math.round(cell.minutes),
+    tasks: cell.tasks
+  })));
+  const peak = flat.reduce((best, cell) => (!best || cell.minutes > best.minutes ? cell : best), null);
+
+  return {
+    timeZone,
+    cells: flat,
+    totalMinutes: flat.reduce((sum, cell) => sum + cell.minutes, 0),
+    totalTasks: completions.length,
+    peak: peak && peak.minutes > 0 ? peak : null
+  };
+}
+
+// Daily metrics over [start, end] summed per week, month or quarter. Periods are clipped
+// to the range, so the first and last ones can be partial.
+async function productivityRollups(userId, start, end, granularity, categories) {
+  const productivity = await Productivity.find({
+    userId,
+    date: { $gte: start, $lte: end }
+  }).sort({ date: 1 });
+
+  const rangeStart = calendarDay(start);
+  const rangeEnd = calendarDay(end);
+  const periods = [];
+
+  for (let periodStart = rangeStart.clone().startOf(granularity); periodStart.isSameOrBefore(rangeEnd);
+    periodStart = periodStart.clone().add(1, granularity)) {
+    const periodEnd = periodStart.clone().endOf(granularity).startOf('day');
+    const from = moment.max(periodStart, rangeStart);
+    const to = moment.min(periodEnd, rangeEnd);
+    const days = productivity.filter(p => calendarDay(p.date).isBetween(from, to, 'day', '[]'));
+
+    const tasksCompleted = days.reduce((sum, p) => sum + p.tasksCompleted, 0);
+    const tasksPlanned = days.reduce((sum, p) => sum + p.tasksPlanned, 0);
+    periods.push({
+      period: periodStart.format(DAY_FORMAT),
+      start: from.format(DAY_FORMAT),
+      end: to.format(DAY_FORMAT),
+      activeDays: days.length,
+      tasksCompleted,
+      tasksPlanned,
+      completionRate: tasksPlanned > 0 ? (tasksCompleted / tasksPlanned) * 100 : 0,
+      averageProductivityScore: days.length > 0
+        ? days.reduce((sum, p) => sum + p.productivityScore, 0) / days.length
+        : 0,
+      totalWorkTime: days.reduce((sum, p) => sum + p.totalWorkTime, 0),
+      focusTime: days.reduce((sum, p) => sum + p.focusTime, 0),
+      breaks: days.reduce((sum, p) => sum + p.breaks, 0),
+      categoryBreakdown: sumBreakdowns(days.map(p => p.categoryBreakdown), emptyBreakdown(categories)),
+      projectBreakdown: sumBreakdowns(days.map(p => p.projectBreakdown))
+    });
+  }
+
+  return periods;
+}
+
+module.exports = {
+  ROLLUP_GRANULARITIES,
+  WEEKDAYS,
+  completionStreaks,
+  completionHeatmap,
+  productivityRollups
+};
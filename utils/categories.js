@@ -0,0 +1,120 @@
+const moment = require('moment');
+const Category = require('../models/Category');
+const Project = require('../models/Project');
+const Productivity = require('../models/Productivity');
+
+// The categories every user started with; seeded so existing history keeps working
+const DEFAULT_CATEGORIES = [
+  { key: 'work', name: 'Work', color: '#3B82F6' },
+  { key: 'personal', name: 'Personal', color: '#8B5CF6' },
+  { key: 'health', name: 'Health', color: '#10B981' },
+  { key: 'learning', name: 'Learning', color: '#F59E0B' },
+  { key: 'other', name: 'Other', color: '#6B7280' }
+];
+
+// Create the default categories for a user who has none yet
+async function seedDefaultCategories(userId) {
+  try {
+    await Category.insertMany(
+      DEFAULT_CATEGORIES.map((category, index) => ({ ...category, userId, order: index })),
+      { ordered: false }
+    );
+  } catch (error) {
+    // A concurrent request seeded them first
+    if (error.code !== 11000) throw error;
+  }
+  return Category.find({ userId }).sort({ order: 1, createdAt: 1 });
+}
+
+// Get the user's categories, seeding the defaults on first use.
+// Archived categories are included by default so history keeps its labels.
+async function getCategories(userId, { includeArchived = true } = {}) {
+  let categories = await Category.find({ userId }).sort({ order: 1, createdAt: 1 });
+  if (categories.length === 0) {
+    categories = await seedDefaultCategories(userId);
+  }
+  return includeArchived ? categories : categories.filter(c => !c.archived);
+}
+
+// Check that a category key can be used on a new or updated task
+async function isActiveCategory(userId, key) {
+  const categories = await getCategories(userId, { includeArchived: false });
+  return categories.some(c => c.key === String(key).toLowerCase());
+}
+
+// Convert a stored breakdown (Mongoose Map or plain object) to a plain object
+function breakdownToObject(breakdown) {
+  if (!breakdown) return {};
+  if (breakdown instanceof Map) return Object.fromEntries(breakdown);
+  return { ...breakdown };
+}
+
+// A breakdown with every category key set to zero
+const emptyBreakdown = (categories) => categories.reduce((acc, c) => {
+  acc[c.key] = 0;
+  return acc;
+}, {});
+
+// Sum several breakdowns into one plain object, starting from `initial`
+const sumBreakdowns = (breakdowns, initial = {}) => breakdowns.reduce((acc, breakdown) => {
+  Object.entries(breakdownToObject(breakdown)).forEach(([key, minutes]) => {
+    acc[key] = (acc[key] || 0) + (minutes || 0);
+  });
+  return acc;
+}, { ...initial });
+
+// Count tasks per category key, listing every category even when it has no tasks
+const countTasksByCategory = (tasks, categories) => tasks.reduce((acc, task) => {
+  if (task.category) acc[task.category] = (acc[task.category] || 0) + 1;
+  return acc;
+}, emptyBreakdown(categories));
+
+// Display name of a category key, falling back to the capitalised key
+function categoryName(categories, key) {
+  const category = categories.find(c => c.key === key);
+  return category ? category.name : key.charAt(0).toUpperCase() + key.slice(1);
+}
+
+// Time spent this week against the weekly budget of each category and project
+async function getBudgetUsage(userId, date = new Date()) {
+  const weekStart = moment(date).startOf('week').toDate();
+  const weekEnd = moment(date).endOf('week').toDate();
+
+  const productivity = await Productivity.find({
+    userId,
+    date: { $gte: weekStart, $lte: weekEnd }
+  });
+
+  const categoryTime = sumBreakdowns(productivity.map(p => p.categoryBreakdown));
+  const projectTime = sumBreakdowns(productivity.map(p => p.projectBreakdown));
+
+  const usage = (budget, spent) => ({
+    weeklyBudget: budget,
+    spent,
+    remaining: budget !== undefined && budget !== null ? budget - spent : null,
+    overBudget: budget !== undefined && budget !== null ? spent > budget : false
+  });
+
+  const categories = await getCategories(userId, { includeArchived: false });
+  const projects = await Project.find({ userId, archived: false });
+
+  return {
+    weekStart,
+    weekEnd,
+    categories: categories.map(c => ({ key: c.key, name: c.name, ...usage(c.weeklyBudget, categoryTime[c.key] || 0) })),
+    projects: projects.map(p => ({ id: p._id, name: p.name, ...usage(p.weeklyBudget, projectTime[String(p._id)] || 0) }))
+  };
+}
+
+module.exports = {
+  DEFAULT_CATEGORIES,
+  seedDefaultCategories,
+  getCategories,
+  isActiveCategory,
+  breakdownToObject,
+  emptyBreakdown,
+  sumBreakdowns,
+  countTasksByCategory,
+  categoryName,
+  getBudgetUsage
+};
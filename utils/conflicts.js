@@ -0,0 +1,113 @@
+const moment = require('moment');
+const Task = require('../models/Task');
+const { expandTask } = require('./recurrence');
+const { personalTaskFilter, metricsOwner } = require('./productivity');
+const { MINUTES_PER_DAY, DAY_FORMAT, clockMinutes, formatClock, calendarDay } = require('./timezone');
+
+// How far ahead the occurrences of a recurring task are checked for conflicts
+const CONFLICT_WINDOW_DAYS = 14;
+
+const DONE_STATUSES = ['completed', 'cancelled'];
+
+// Times are compared on a wall-clock timeline: minutes since 1970-01-01 00:00,
+// so that tasks running past midnight overlap the next day's tasks
+const dayStartMinute = (date) => Math.round(calendarDay(date).valueOf() / 60000);
+
+// The { from, to } a task or occurrence occupies on the timeline, or null without a clock time
+function taskInterval(task) {
+  const start = clockMinutes(task.scheduledTime);
+  if (start === null) return null;
+
+  const from = dayStartMinute(task.scheduledDate) + start;
+  return { from, to: from + (task.estimatedDuration || 0) };
+}
+
+// A busy block as returned by the API, relative to the day it starts on
+function formatBlock({ task, from, to }) {
+  const day = Math.floor(from / MINUTES_PER_DAY);
+  return {
+    taskId: task.seriesId || task._id,
+    occurrenceDate: task.occurrenceDate,
+    title: task.title,
+    status: task.status,
+    date: moment.utc(day * MINUTES_PER_DAY * 60000).format(DAY_FORMAT),
+    start: formatClock(from - day * MINUTES_PER_DAY),
+    end: formatClock(to - day * MINUTES_PER_DAY)
+  };
+}
+
+// Time taken by a person's tasks and occurrences between two calendar days,
+// as [{ task, from, to }] sorted by start. Cancelled tasks don't take time.
+async function getBusyBlocks(userId, start, end, { excludeTaskId } = {}) {
+  // Tasks of the day before can run past midnight
+  const rangeStart = calendarDay(start).subtract(1, 'day').toDate();
+  const rangeEnd = calendarDay(end).endOf('day').toDate();
+  const exclude = excludeTaskId ? { _id: { $ne: excludeTaskId } } : {};
+
+  const singleTasks = await Task.find({
+    ...personalTaskFilter(userId),
+    ...exclude,
+    recurrence: null,
+    status: { $ne: 'cancelled' },
+    // Intervals come from scheduledTime, which older tasks have without startMinutes
+    scheduledTime: { $nin: [null, ''] },
+    scheduledDate: { $gte: rangeStart, $lte: rangeEnd }
+  });
+  const series = await Task.find({
+    ...personalTaskFilter(userId),
+    ...exclude,
+    recurrence: { $ne: null },
+    scheduledDate: { $lte: rangeEnd }
+  });
+  const occurrences = series
+    .reduce((acc, task) => acc.concat(expandTask(task, rangeStart, rangeEnd)), [])
+    .filter(o => o.status !== 'cancelled');
+
+  const windowStart = dayStartMinute(start);
+  const windowEnd = dayStartMinute(end) + MINUTES_PER_DAY;
+
+  return singleTasks.concat(occurrences)
+    .map(task => ({ task, ...taskInterval(task) }))
+    .filter(block => block.from !== undefined && block.to > block.from)
+    .filter(block => block.to > windowStart && block.from < windowEnd)
+    .sort((a, b) => a.from - b.from);
+}
+
+// Other tasks of the task's owner that overlap it. Recurring tasks are checked
+// over their occurrences in the next CONFLICT_WINDOW_DAYS days.
+async function findConflicts(task) {
+  if (DONE_STATUSES.includes(task.status)) return [];
+
+  let own = [task];
+  if (task.recurrence) {
+    const start = moment.max(calendarDay(task.scheduledDate), calendarDay(new Date()));
+    own = expandTask(task, start.toDate(), start.clone().add(CONFLICT_WINDOW_DAYS - 1, 'days').toDate())
+      .filter(o => !DONE_STATUSES.includes(o.status));
+  }
+
+  const intervals = own.map(taskInterval).filter(i => i && i.to > i.from);
+  if (intervals.length === 0) return [];
+
+  const from = Math.min(...intervals.map(i => i.from));
+  const to = Math.max(...intervals.map(i => i.to));
+  const blocks = await getBusyBlocks(
+    metricsOwner(task),
+    new Date(from * 60000),
+    new Date((to - 1) * 60000),
+    { excludeTaskId: task._id }
+  );
+
+  return blocks
+    .filter(block => !DONE_STATUSES.includes(block.task.status))
+    .filter(block => intervals.some(i => block.from < i.to && block.to > i.from))
+    .map(formatBlock);
+}
+
+module.exports = {
+  CONFLICT_WINDOW_DAYS,
+  dayStartMinute,
+  taskInterval,
+  formatBlock,
+  getBusyBlocks,
+  findConflicts
+};
@@ -0,0 +1,69 @@
+// Parse CSV text (RFC 4180: quoted fields, escaped quotes, newlines inside quotes)
+// into an array of rows, each an array of strings
+function parseCSV(text, delimiter = ',') {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = String(text).replace(/^﻿/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+// Quote a field when it contains the delimiter, a quote or a line break
+function escapeCSV(value, delimiter = ',') {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Prefix text that spreadsheets would read as a formula with a quote, so cells taken from
+// user input (=HYPERLINK(...), +cmd|...) open as plain text
+const neutralizeFormula = (text) => (/^[=+\-@\t\r]/.test(text) ? `'${text}` : text);
+
+// One CSV line (RFC 4180) of the given values. Text that could start a formula is
+// neutralized, since exports carry user-defined names and titles.
+const formatCSVRow = (values, delimiter = ',') => values
+  .map(value => escapeCSV(typeof value === 'string' ? neutralizeFormula(value) : value, delimiter))
+  .join(delimiter) + '\r\n';
+
+module.exports = {
+  parseCSV,
+  escapeCSV,
+  neutralizeFormula,
+  formatCSVRow
+};
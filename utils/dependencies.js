@@ -0,0 +1,87 @@
+const Task = require('../models/Task');
+
+const DONE_STATUSES = ['completed', 'cancelled'];
+
+const isOpen = (task) => !DONE_STATUSES.includes(task.status);
+
+// Check whether following `edge` (blockedBy or parentId) from startId leads back to targetId,
+// looking only at the tasks within `scope`
+async function reachesTask(scope, startId, targetId, edge) {
+  const target = String(targetId);
+  const visited = new Set();
+  let frontier = [String(startId)];
+
+  while (frontier.length > 0) {
+    if (frontier.includes(target)) return true;
+    frontier.forEach(id => visited.add(id));
+
+    const tasks = await Task.find({ _id: { $in: frontier }, ...scope }).select(edge);
+    frontier = tasks
+      .reduce((acc, t) => acc.concat(edge === 'parentId' ? [t.parentId] : t.blockedBy), [])
+      .filter(Boolean)
+      .map(String)
+      .filter(id => !visited.has(id));
+  }
+
+  return false;
+}
+
+// Would making blockerId block taskId create a cycle of blocking tasks?
+const wouldCreateBlockingCycle = (scope, taskId, blockerId) =>
+  reachesTask(scope, blockerId, taskId, 'blockedBy');
+
+// Would making parentId the parent of taskId create a cycle of subtasks?
+const wouldCreateParentCycle = (scope, taskId, parentId) =>
+  reachesTask(scope, parentId, taskId, 'parentId');
+
+// Get the blockers of a task that are not completed or cancelled yet
+async function getOpenBlockers(task) {
+  if (!task.blockedBy || task.blockedBy.length === 0) return [];
+
+  const blockers = await Task.find({ _id: { $in: task.blockedBy } })
+    .select('title status');
+  return blockers.filter(isOpen);
+}
+
+// Progress of a task from its checklist items and subtasks
+async function getProgress(task) {
+  const subtasks = await Task.find({ parentId: task._id }).select('status');
+  const checklist = task.checklist || [];
+
+  const checklistDone = checklist.filter(item => item.done).length;
+  const subtasksDone = subtasks.filter(t => t.status === 'completed').length;
+  const done = checklistDone + subtasksDone;
+  const total = checklist.length + subtasks.length;
+
+  return {
+    checklist: { done: checklistDone, total: checklist.length },
+    subtasks: { done: subtasksDone, total: subtasks.length },
+    done,
+    total,
+    percent: total > 0 ? Math.round((done / total) * 100) : (task.status === 'completed' ? 100 : 0)
+  };
+}
+
+// Count the open tasks in a list that are waiting on at least one open blocker
+async function countBlocked(tasks) {
+  const blockerIds = tasks
+    .filter(isOpen)
+    .reduce((acc, t) => acc.concat(t.blockedBy || []), []);
+  if (blockerIds.length === 0) return 0;
+
+  const openBlockers = await Task.find({
+    _id: { $in: blockerIds },
+    status: { $nin: DONE_STATUSES }
+  }).select('_id');
+  const openIds = new Set(openBlockers.map(t => String(t._id)));
+
+  return tasks.filter(t => isOpen(t) && (t.blockedBy || []).some(id => openIds.has(String(id)))).length;
+}
+
+module.exports = {
+  wouldCreateBlockingCycle,
+  wouldCreateParentCycle,
+  getOpenBlockers,
+  getProgress,
+  countBlocked
+};
@@ -0,0 +1,215 @@
+const moment = require('moment');
+const Task = require('../models/Task');
+const { personalTaskFilter } = require('./productivity');
+const { WEEKDAYS } = require('./analytics');
+const { calendarDay } = require('./timezone');
+
+// Estimates within this share of the actual duration count as accurate
+const ACCURATE_MARGIN = 0.1;
+// How far back and how many completed tasks duration suggestions learn from
+const SUGGESTION_HISTORY_DAYS = 365;
+const SUGGESTION_HISTORY_LIMIT = 500;
+const MIN_SUGGESTION_SAMPLES = 3;
+const SUGGESTION_STEP_MINUTES = 5;
+// Share of title words two tasks need in common to count as similar
+const SIMILAR_TITLE_THRESHOLD = 0.5;
+
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+// Value at quantile q of sorted numbers, interpolating between neighbours
+function quantile(sorted, q) {
+  if (sorted.length === 0) return null;
+  const index = (sorted.length - 1) * q;
+  const lower = Math.floor(index);
+  const upper = Math.ceil(index);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+}
+
+const sortedValues = (values) => values.slice().sort((a, b) => a - b);
+
+// Completed tasks and completed occurrences of recurring tasks with tracked time, as
+// { title, category, priority, projectId, scheduledDate, estimatedDuration, actualDuration }.
+// `start` and `end` bound the scheduled day; `since` the completion.
+async function completedSamples(userId, { start, end, since, limit } = {}) {
+  const scheduled = {};
+  if (start) scheduled.$gte = start;
+  if (end) scheduled.$lte = end;
+  const fields = 'title category priority projectId scheduledDate estimatedDuration actualDuration completedAt';
+
+  let singles = Task.find({
+    ...personalTaskFilter(userId),
+    recurrence: null,
+    status: 'completed',
+    actualDuration: { $gt: 0 },
+    ...(start || end ? { scheduledDate: scheduled } : {}),
+    ...(since ? { completedAt: { $gte: since } } : {})
+  }).select(fields).sort({ completedAt: -1 });
+  if (limit) singles = singles.limit(limit);
+  const samples = await singles.lean();
+
+  // Completed occurrences are recorded as exceptions of their series
+  const series = await Task.find({
+    ...personalTaskFilter(userId),
+    recurrence: { $ne: null },
+    exceptions: { $elemMatch: { status: 'completed', actualDuration: { $gt: 0 } } }
+  }).select(`${fields} exceptions`).lean();
+
+  series.forEach(task => task.exceptions.forEach(exception => {
+    const scheduledDate = exception.scheduledDate || moment.utc(exception.date).toDate();
+    if (exception.status !== 'completed' || !(exception.actualDuration > 0)) return;
+    if ((start && scheduledDate < start) || (end && scheduledDate > end)) return;
+    if (since && !(exception.completedAt >= since)) return;
+
+    samples.push({
+      title: task.title,
+      category: task.category,
+      priority: task.priority,
+      projectId: task.projectId,
+      scheduledDate,
+      estimatedDuration: task.estimatedDuration,
+      actualDuration: exception.actualDuration,
+      completedAt: exception.completedAt
+    });
+  }));
+
+  return samples;
+}
+
+// Estimation bias of completed tasks with an estimate: the median ratio of actual to
+// estimated time (above 1 means tasks overran), the median overrun in minutes and the
+// spread of the ratio between the 25th and 75th percentiles
+function estimationStats(samples) {
+  const estimated = samples.filter(s => s.estimatedDuration > 0 && s.actualDuration > 0);
+  if (estimated.length === 0) {
+    return { tasks: 0, medianRatio: null, medianOverrunMinutes: null, medianOverrunPercent: null, spread: null, accurateShare: null, tendency: null };
+  }
+
+  const ratios = sortedValues(estimated.map(s => s.actualDuration / s.estimatedDuration));
+  const overruns = sortedValues(estimated.map(s => s.actualDuration - s.estimatedDuration));
+  const medianRatio = quantile(ratios, 0.5);
+  const accurate = ratios.filter(ratio => Math.abs(ratio - 1) <= ACCURATE_MARGIN).length;
+
+  let tendency = 'accurate';
+  if (medianRatio > 1 + ACCURATE_MARGIN) tendency = 'underestimates';
+  else if (medianRatio < 1 - ACCURATE_MARGIN) tendency = 'overestimates';
+
+  return {
+    tasks: estimated.length,
+    medianRatio: round(medianRatio),
+    medianOverrunMinutes: round(quantile(overruns, 0.5), 1),
+    medianOverrunPercent: round((medianRatio - 1) * 100, 1),
+    spread: {
+      p25Ratio: round(quantile(ratios, 0.25)),
+      p75Ratio: round(quantile(ratios, 0.75)),
+      interquartileRange: round(quantile(ratios, 0.75) - quantile(ratios, 0.25))
+    },
+    accurateShare: round((accurate / estimated.length) * 100, 1),
+    tendency
+  };
+}
+
+const groupBy = (samples, keyOf) => samples.reduce((groups, sample) => {
+  const key = keyOf(sample);
+  (groups[key] = groups[key] || []).push(sample);
+  return groups;
+}, {});
+
+const statsBy = (samples, keyOf) => Object.fromEntries(
+  Object.entries(groupBy(samples, keyOf)).map(([key, group]) => [key, estimationStats(group)])
+);
+
+// Estimation accuracy of the user's tasks scheduled in [start, end], overall and per
+// category, priority and weekday of the scheduled day
+async function estimationAccuracy(userId, start, end) {
+  const samples = (await completedSamples(userId, { start, end })).filter(s => s.estimatedDuration > 0);
+  const byWeekday = groupBy(samples, s => calendarDay(s.scheduledDate).day());
+
+  return {
+    overall: estimationStats(samples),
+    byCategory: statsBy(samples, s => s.category),
+    byPriority: statsBy(samples, s => s.priority),
+    byWeekday: WEEKDAYS.map((weekdayName, weekday) => ({
+      weekday,
+      weekdayName,
+      ...estimationStats(byWeekday[weekday] || [])
+    }))
+  };
+}
+
+const titleWords = (title) => new Set(
+  String(title || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(word => word.length > 2)
+);
+
+// Share of the words of two titles they have in common
+function titleSimilarity(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  const shared = [...a].filter(word => b.has(word)).length;
+  return shared / (a.size + b.size - shared);
+}
+
+// Suggest an estimatedDuration for a task from the time the user actually spent on similar
+// completed tasks, trying the closest matches first: similar titles in the same category,
+// the same project, the same category and priority, then the same category. Returns null
+// without enough history.
+async function suggestDuration(userId, { title, category, priority, projectId }) {
+  const history = await completedSamples(userId, {
+    since: moment().subtract(SUGGESTION_HISTORY_DAYS, 'days').toDate(),
+    limit: SUGGESTION_HISTORY_LIMIT
+  });
+  const words = titleWords(title);
+
+  const tiers = [
+    {
+      basis: 'similar titles',
+      matches: (s) => s.category === category && titleSimilarity(words, titleWords(s.title)) >= SIMILAR_TITLE_THRESHOLD
+    },
+    { basis: 'project', matches: (s) => projectId && s.projectId && String(s.projectId) === String(projectId) },
+    { basis: 'category and priority', matches: (s) => s.category === category && s.priority === priority },
+    { basis: 'category', matches: (s) => s.category === category }
+  ];
+
+  for (const { basis, matches } of tiers) {
+    const similar = history.filter(matches);
+    if (similar.length < MIN_SUGGESTION_SAMPLES) continue;
+
+    const actuals = sortedValues(similar.map(s => s.actualDuration));
+    const toStep = (minutes) => Math.max(SUGGESTION_STEP_MINUTES,
+      Math.round(minutes / SUGGESTION_STEP_MINUTES) * SUGGESTION_STEP_MINUTES);
+
+    return {
+      estimatedDuration: toStep(quantile(actuals, 0.5)),
+      range: { low: toStep(quantile(actuals, 0.25)), high: toStep(quantile(actuals, 0.75)) },
+      basedOn: { tasks: similar.length, match: basis }
+    };
+  }
+
+  return null;
+}
+
+// How a completed task's estimate held up, next to the user's usual bias for its category.
+// Null when the task has no estimate or no tracked time.
+async function estimateFeedback(userId, task) {
+  if (!(task.estimatedDuration > 0) || !(task.actualDuration > 0)) return null;
+
+  const ratio = task.actualDuration / task.estimatedDuration;
+  const history = await completedSamples(userId, {
+    since: moment().subtract(SUGGESTION_HISTORY_DAYS, 'days').toDate(),
+    limit: SUGGESTION_HISTORY_LIMIT
+  });
+
+  return {
+    estimatedDuration: task.estimatedDuration,
+    actualDuration: task.actualDuration,
+    overrunMinutes: task.actualDuration - task.estimatedDuration,
+    overrunPercent: round((ratio - 1) * 100, 1),
+    accurate: Math.abs(ratio - 1) <= ACCURATE_MARGIN,
+    category: estimationStats(history.filter(s => s.category === task.category))
+  };
+}
+
+module.exports = {
+  estimationStats,
+  estimationAccuracy,
+  suggestDuration,
+  estimateFeedback
+};
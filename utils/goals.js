@@ -0,0 +1,140 @@
+const Goal = require('../models/Goal');
+const Task = require('../models/Task');
+const Productivity = require('../models/Productivity');
+const { personalTaskFilter } = require('./productivity');
+const { breakdownToObject } = require('./categories');
+const { calendarDay, dayBounds, today, DAY_FORMAT } = require('./timezone');
+
+// Metrics that add up over a period; the productivity score is an average instead
+const CUMULATIVE_METRICS = ['completedTasks', 'categoryTime', 'focusTime'];
+
+const round = (value, decimals = 1) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+// First and last calendar day of the goal's period containing `day`
+function goalPeriod(goal, day) {
+  if (goal.period === 'custom') {
+    return { start: calendarDay(goal.startDate), end: calendarDay(goal.endDate) };
+  }
+  const start = calendarDay(day).startOf(goal.period);
+  return { start, end: start.clone().endOf(goal.period).startOf('day') };
+}
+
+// Tasks matching the goal completed within the days, counting occurrences of recurring tasks
+async function countCompletedTasks(goal, start, end, timeZone) {
+  const from = dayBounds(start, timeZone).start;
+  const to = dayBounds(end, timeZone).end;
+  const filter = {
+    ...personalTaskFilter(goal.userId),
+    ...(goal.category ? { category: goal.category } : {}),
+    ...(goal.priority ? { priority: goal.priority } : {})
+  };
+
+  const single = await Task.countDocuments({
+    ...filter,
+    recurrence: null,
+    status: 'completed',
+    completedAt: { $gte: from, $lte: to }
+  });
+
+  const series = await Task.find({
+    ...filter,
+    recurrence: { $ne: null },
+    exceptions: { $elemMatch: { status: 'completed', completedAt: { $gte: from, $lte: to } } }
+  }).select('exceptions').lean();
+
+  return single + series.reduce((count, task) => count + task.exceptions
+    .filter(e => e.status === 'completed' && e.completedAt >= from && e.completedAt <= to).length, 0);
+}
+
+// Value of the goal's metric over the calendar days [start, end]
+async function measureGoal(goal, start, end, timeZone) {
+  if (goal.metric === 'completedTasks') {
+    return countCompletedTasks(goal, start, end, timeZone);
+  }
+
+  const days = await Productivity.find({
+    userId: goal.userId,
+    date: { $gte: start.toDate(), $lte: end.clone().endOf('day').toDate() }
+  }).lean();
+
+  switch (goal.metric) {
+    case 'categoryTime':
+      return days.reduce((sum, p) => sum + (breakdownToObject(p.categoryBreakdown)[goal.category] || 0), 0);
+    case 'focusTime':
+      return days.reduce((sum, p) => sum + p.focusTime, 0);
+    default: {
+      // Average over the days that had tasks planned
+      const planned = days.filter(p => p.tasksPlanned > 0);
+      return planned.length > 0 ? round(planned.reduce((sum, p) => sum + p.productivityScore, 0) / planned.length) : 0;
+    }
+  }
+}
+
+// Progress of a goal in its period containing `day` (today by default). Cumulative goals are
+// on track when they are at least as far along as the elapsed share of the period; score goals
+// when the average so far meets the target. Finished periods are achieved or missed.
+async function evaluateGoal(goal, timeZone, day = today(timeZone)) {
+  const { start, end } = goalPeriod(goal, day);
+  const current = await measureGoal(goal, start, end, timeZone);
+
+  const now = today(timeZone);
+  const totalDays = end.diff(start, 'days') + 1;
+  const elapsedDays = Math.min(Math.max(now.diff(start, 'days') + 1, 0), totalDays);
+  const cumulative = CUMULATIVE_METRICS.includes(goal.metric);
+  const reached = current >= goal.target;
+  const expected = cumulative ? goal.target * (elapsedDays / totalDays) : goal.target;
+
+  let status;
+  if (elapsedDays === 0) status = 'upcoming';
+  else if (now.isAfter(end)) status = reached ? 'achieved' : 'missed';
+  else if (cumulative && reached) status = 'achieved';
+  else status = current >= expected ? 'on-track' : 'behind';
+
+  return {
+    goalId: goal._id,
+    title: goal.title,
+    metric: goal.metric,
+    category: goal.category,
+    priority: goal.priority,
+    period: goal.period,
+    start: start.format(DAY_FORMAT),
+    end: end.format(DAY_FORMAT),
+    target: goal.target,
+    current,
+    progress: goal.target > 0 ? round((current / goal.target) * 100) : 100,
+    expected: round(expected),
+    remaining: cumulative ? Math.max(goal.target - current, 0) : null,
+    daysLeft: totalDays - elapsedDays,
+    status
+  };
+}
+
+// Progress of the user's active goals in their periods containing `day`
+async function evaluateGoals(userId, timeZone, day = today(timeZone)) {
+  const goals = await Goal.find({ userId, archived: false }).sort({ createdAt: 1 });
+  const results = [];
+  for (const goal of goals) {
+    results.push(await evaluateGoal(goal, timeZone, day));
+  }
+  return results;
+}
+
+// Progress of a repeating goal in its last `count` periods, oldest first
+async function goalHistory(goal, timeZone, count) {
+  if (goal.period === 'custom') {
+    return [await evaluateGoal(goal, timeZone)];
+  }
+
+  const history = [];
+  for (let i = count - 1; i >= 0; i--) {
+    history.push(await evaluateGoal(goal, timeZone, today(timeZone).subtract(i, goal.period)));
+  }
+  return history;
+}
+
+module.exports = {
+  goalPeriod,
+  evaluateGoal,
+  evaluateGoals,
+  goalHistory
+};
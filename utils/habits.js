@@ -0,0 +1,164 @@
+const HabitCheckIn = require('../models/HabitCheckIn');
+const { calendarDay, dayOf, today, DAY_FORMAT } = require('./timezone');
+
+// Range consistency covers by default
+const DEFAULT_CONSISTENCY_DAYS = 30;
+
+const round = (value, decimals = 1) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+// Daily habits are tracked per day, weekly ones per week
+const periodUnit = (habit) => (habit.frequency === 'weekly' ? 'week' : 'day');
+
+// Check-ins a period needs for the habit to count as kept
+const periodTarget = (habit) => (habit.frequency === 'weekly' ? habit.timesPerWeek : 1);
+
+// The calendar day a habit was created on, before which it has no expectations
+const habitStart = (habit, timeZone) => dayOf(habit.createdAt || new Date(), timeZone);
+
+// Check-in days of habits, oldest first, optionally within [start, end]
+async function checkInDays(habitIds, start, end) {
+  const date = {};
+  if (start) date.$gte = calendarDay(start).toDate();
+  if (end) date.$lte = calendarDay(end).endOf('day').toDate();
+
+  return HabitCheckIn.find({
+    habitId: { $in: habitIds },
+    ...(start || end ? { date } : {})
+  }).select('habitId date').sort({ date: 1 }).lean();
+}
+
+// Runs of consecutive days (daily habits) or weeks (weekly habits) in which the habit was
+// kept. The current streak is still alive while today's day or week is not over.
+function habitStreaks(habit, checkIns, timeZone) {
+  const unit = periodUnit(habit);
+  const counts = new Map();
+  checkIns.forEach(checkIn => {
+    const period = calendarDay(checkIn.date).startOf(unit).format(DAY_FORMAT);
+    counts.set(period, (counts.get(period) || 0) + 1);
+  });
+
+  const runs = [];
+  [...counts.keys()].sort().filter(period => counts.get(period) >= periodTarget(habit)).forEach(period => {
+    const start = calendarDay(period);
+    const run = runs[runs.length - 1];
+    if (run && start.diff(run.end, unit) === 1) {
+      run.end = start;
+      run.length++;
+    } else {
+      runs.push({ start, end: start, length: 1 });
+    }
+  });
+
+  const formatRun = (run) => (run
+    ? { length: run.length, start: run.start.format(DAY_FORMAT), end: run.end.clone().endOf(unit).format(DAY_FORMAT) }
+    : { length: 0, start: null, end: null });
+
+  const now = today(timeZone);
+  const current = now.clone().startOf(unit);
+  const last = runs[runs.length - 1];
+  const longest = runs.reduce((best, run) => (!best || run.length > best.length ? run : best), null);
+
+  return {
+    unit,
+    current: formatRun(last && current.diff(last.end, unit) <= 1 ? last : null),
+    longest: formatRun(longest),
+    checkedInToday: checkIns.some(checkIn => calendarDay(checkIn.date).isSame(now)),
+    checkInsThisPeriod: counts.get(current.format(DAY_FORMAT)) || 0,
+    target: periodTarget(habit)
+  };
+}
+
+// Share of the expected check-ins done over the calendar days [start, end], counted from the
+// day the habit was created up to today. Each day of a daily habit expects one check-in; a
+// weekly habit expects its times per week, prorated for weeks cut off by the range, and
+// extra check-ins in a week don't make up for other weeks.
+function habitConsistency(habit, checkIns, start, end, timeZone) {
+  const from = calendarDay(start).isBefore(habitStart(habit, timeZone)) ? habitStart(habit, timeZone) : calendarDay(start);
+  const to = calendarDay(end).isAfter(today(timeZone)) ? today(timeZone) : calendarDay(end);
+  if (to.isBefore(from)) {
+    return { start: null, end: null, checkIns: 0, expected: 0, percent: null };
+  }
+
+  const unit = periodUnit(habit);
+  let done = 0;
+  let kept = 0;
+  let expected = 0;
+
+  for (let periodStart = from.clone().startOf(unit); periodStart.isSameOrBefore(to);
+    periodStart = periodStart.clone().add(1, unit)) {
+    const clipStart = periodStart.isBefore(from) ? from : periodStart;
+    const periodEnd = periodStart.clone().endOf(unit).startOf('day');
+    const clipEnd = periodEnd.isAfter(to) ? to : periodEnd;
+    const days = clipEnd.diff(clipStart, 'days') + 1;
+
+    const count = checkIns.filter(c => calendarDay(c.date).isBetween(clipStart, clipEnd, 'day', '[]')).length;
+    const target = unit === 'week' ? periodTarget(habit) * (days / 7) : 1;
+    done += count;
+    kept += Math.min(count, target);
+    expected += target;
+  }
+
+  return {
+    start: from.format(DAY_FORMAT),
+    end: to.format(DAY_FORMAT),
+    checkIns: done,
+    expected: round(expected),
+    percent: round((kept / expected) * 100)
+  };
+}
+
+// A habit with its streaks and its consistency over the calendar days [start, end],
+// the last 30 days by default
+async function habitSummary(habit, timeZone, { start, end } = {}) {
+  const checkIns = await checkInDays([habit._id]);
+  const rangeEnd = end || today(timeZone);
+  const rangeStart = start || calendarDay(rangeEnd).subtract(DEFAULT_CONSISTENCY_DAYS - 1, 'days');
+
+  return {
+    ...habit.toJSON(),
+    streaks: habitStreaks(habit, checkIns, timeZone),
+    consistency: habitConsistency(habit, checkIns, rangeStart, rangeEnd, timeZone)
+  };
+}
+
+// Check-ins of habits as a grid: one row per habit with a cell for every calendar day in
+// [start, end]
+async function habitCalendar(habits, start, end, timeZone) {
+  const from = calendarDay(start);
+  const to = calendarDay(end);
+  const checkIns = await checkInDays(habits.map(h => h._id), from, to);
+
+  const days = [];
+  for (let day = from.clone(); day.isSameOrBefore(to); day = day.clone().add(1, 'day')) {
+    days.push(day.format(DAY_FORMAT));
+  }
+
+  return {
+    start: from.format(DAY_FORMAT),
+    end: to.format(DAY_FORMAT),
+    days,
+    habits: habits.map(habit => {
+      const checkedIn = new Set(checkIns
+        .filter(c => habit._id.equals(c.habitId))
+        .map(c => calendarDay(c.date).format(DAY_FORMAT)));
+
+      return {
+        habitId: habit._id,
+        name: habit.name,
+        frequency: habit.frequency,
+        timesPerWeek: habit.timesPerWeek,
+        checkIns: checkedIn.size,
+        cells: days.map(date => ({ date, checkedIn: checkedIn.has(date) })),
+        consistency: habitConsistency(habit, checkIns.filter(c => habit._id.equals(c.habitId)), from, to, timeZone)
+      };
+    })
+  };
+}
+
+module.exports = {
+  checkInDays,
+  habitStreaks,
+  habitConsistency,
+  habitSummary,
+  habitCalendar
+};
@@ -0,0 +1,304 @@
+const moment = require('moment-timezone');
+
+const PRODUCT_ID = '-//ProductivityX//Tasks//EN';
+
+const PRIORITY_MAP = {
+  urgent: 1,
+  high: 3,
+  medium: 5,
+  low: 9
+};
+
+const STATUS_MAP = {
+  pending: 'TENTATIVE',
+  'in-progress': 'CONFIRMED',
+  completed: 'CONFIRMED',
+  cancelled: 'CANCELLED'
+};
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const TIME_FORMATS = ['HH:mm', 'H:mm', 'h:mm A', 'h:mmA', 'h A', 'hA', 'HH:mm:ss'];
+
+// Escape a value for use in an iCalendar TEXT property
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Fold content lines longer than 75 octets, as required by RFC 5545
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    if (currentBytes + bytes > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += bytes;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+// Map an iCalendar PRIORITY (1 highest - 9 lowest, 0 undefined) to a task priority
+function priorityFromICal(value) {
+  const priority = parseInt(value, 10);
+  if (!priority) return undefined;
+  if (priority <= 2) return 'urgent';
+  if (priority <= 4) return 'high';
+  if (priority === 5) return 'medium';
+  return 'low';
+}
+
+const formatDateTime = (date) => moment(date).utc().format('YYYYMMDD[T]HHmmss[Z]');
+const formatDate = (date) => moment.utc(date).format('YYYYMMDD');
+
+// Combine scheduledDate and the free-form scheduledTime into a start moment in the
+// given time zone, or null when the time cannot be parsed
+function parseStart(scheduledDate, scheduledTime, timeZone = 'UTC') {
+  const day = moment.utc(scheduledDate).format('YYYY-MM-DD');
+  const start = moment.tz(`${day} ${String(scheduledTime || '').trim()}`, TIME_FORMATS.map(f => `YYYY-MM-DD ${f}`), true, timeZone);
+  return start.isValid() ? start : null;
+}
+
+// Build the RRULE value for a task recurrence
+function buildRRule(recurrence, timeZone = 'UTC') {
+  const parts = [`FREQ=${recurrence.frequency.toUpperCase()}`];
+
+  if (recurrence.interval && recurrence.interval > 1) parts.push(`INTERVAL=${recurrence.interval}`);
+  if (recurrence.frequency === 'weekly' && recurrence.byWeekday && recurrence.byWeekday.length > 0) {
+    parts.push(`BYDAY=${recurrence.byWeekday.map(d => WEEKDAYS[d]).join(',')}`);
+  }
+  if (recurrence.frequency === 'monthly' && recurrence.byMonthDay && recurrence.byMonthDay.length > 0) {
+    parts.push(`BYMONTHDAY=${recurrence.byMonthDay.join(',')}`);
+  }
+  if (recurrence.until) {
+    parts.push(`UNTIL=${formatDateTime(moment.tz(moment.utc(recurrence.until).format('YYYY-MM-DD'), timeZone).endOf('day'))}`);
+  }
+  if (recurrence.count) parts.push(`COUNT=${recurrence.count}`);
+
+  return parts.join(';');
+}
+
+// Lines for the start and end of an event, timed or all-day
+function timingLines(scheduledDate, scheduledTime, estimatedDuration, timeZone) {
+  const start = parseStart(scheduledDate, scheduledTime, timeZone);
+
+  if (!start) {
+    return [
+      `DTSTART;VALUE=DATE:${formatDate(scheduledDate)}`,
+      `DTEND;VALUE=DATE:${formatDate(moment.utc(scheduledDate).add(1, 'day'))}`
+    ];
+  }
+
+  const end = start.clone().add(estimatedDuration || 60, 'minutes');
+  return [
+    `DTSTART:${formatDateTime(start)}`,
+    `DTEND:${formatDateTime(end)}`
+  ];
+}
+
+// Render a single task (or a single occurrence override) as VEVENT lines
+function eventLines(task, overrides = {}, timeZone) {
+  const item = { ...task, ...overrides };
+  const description = [item.description, item.notes].filter(Boolean).join('\n\n');
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${task._id}@productivityx`,
+    `DTSTAMP:${formatDateTime(task.updatedAt || new Date())}`,
+    ...timingLines(item.scheduledDate, item.scheduledTime, item.estimatedDuration, timeZone),
+    `SUMMARY:${escapeText(item.title)}`
+  ];
+
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  if (item.category) lines.push(`CATEGORIES:${escapeText(item.category)}`);
+  if (PRIORITY_MAP[item.priority]) lines.push(`PRIORITY:${PRIORITY_MAP[item.priority]}`);
+  if (STATUS_MAP[item.status]) lines.push(`STATUS:${STATUS_MAP[item.status]}`);
+  if (item.status) lines.push(`X-PRODUCTIVITYX-STATUS:${item.status}`);
+
+  return lines;
+}
+
+// Render a task as VEVENTs: one for a plain task, or a recurring master event
+// plus one event per changed occurrence. Times are read in the owner's time zone.
+function taskToEvents(task, timeZone = 'UTC') {
+  const data = typeof task.toObject === 'function' ? task.toObject() : task;
+
+  if (!data.recurrence) {
+    return eventLines(data, {}, timeZone).concat('END:VEVENT');
+  }
+
+  const exceptions = data.exceptions || [];
+  const master = eventLines({ ...data, status: 'pending' }, {}, timeZone);
+  master.push(`RRULE:${buildRRule(data.recurrence, timeZone)}`);
+
+  const originalStart = (date) => {
+    const start = parseStart(moment.utc(date, 'YYYY-MM-DD'), data.scheduledTime, timeZone);
+    return start ? formatDateTime(start) : formatDate(moment.utc(date, 'YYYY-MM-DD'));
+  };
+  const recurrenceIdLine = (date) => parseStart(moment.utc(date, 'YYYY-MM-DD'), data.scheduledTime, timeZone)
+    ? `RECURRENCE-ID:${originalStart(date)}`
+    : `RECURRENCE-ID;VALUE=DATE:${originalStart(date)}`;
+
+  exceptions
+    .filter(e => e.status === 'cancelled')
+    .forEach(e => {
+      master.push(recurrenceIdLine(e.date).replace('RECURRENCE-ID', 'EXDATE'));
+    });
+  master.push('END:VEVENT');
+
+  const overrides = exceptions
+    .filter(e => e.status !== 'cancelled')
+    .reduce((acc, e) => {
+      const changes = { status: e.status || 'pending' };
+      changes.scheduledDate = e.scheduledDate || moment.utc(e.date, 'YYYY-MM-DD').toDate();
+      if (e.scheduledTime) changes.scheduledTime = e.scheduledTime;
+      if (e.notes) changes.notes = e.notes;
+
+      const lines = eventLines(data, changes, timeZone);
+      lines.splice(2, 0, recurrenceIdLine(e.date));
+      return acc.concat(lines, 'END:VEVENT');
+    }, []);
+
+  return master.concat(overrides);
+}
+
+// Render tasks as a complete VCALENDAR document
+function buildCalendar(tasks, calendarName, timeZone = 'UTC') {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+
+  if (calendarName) lines.push(`X-WR-CALNAME:${escapeText(calendarName)}`);
+  lines.push(`X-WR-TIMEZONE:${timeZone}`);
+
+  tasks.forEach(task => {
+    lines.push(...taskToEvents(task, timeZone));
+  });
+
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// Reverse escapeText for values read from an iCalendar file
+const unescapeText = (value) => String(value)
+  .replace(/\\([nN,;\\])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+
+// Parse an iCalendar date or date-time value. UTC times are converted to `timeZone`;
+// TZID times use their zone when it is known, and floating times are read as written.
+function parseDateValue(value, params = {}, timeZone = 'UTC') {
+  if (params.VALUE === 'DATE' || /^\d{8}$/.test(value)) {
+    return { date: moment.utc(value, 'YYYYMMDD', true), allDay: true };
+  }
+  let date;
+  if (value.endsWith('Z')) {
+    date = moment.utc(value, 'YYYYMMDD[T]HHmmss[Z]', true).tz(timeZone);
+  } else if (params.TZID && moment.tz.zone(params.TZID)) {
+    date = moment.tz(value, 'YYYYMMDD[T]HHmmss', true, params.TZID).tz(timeZone);
+  } else {
+    date = moment.tz(value, 'YYYYMMDD[T]HHmmss', true, timeZone);
+  }
+  return { date, allDay: false };
+}
+
+// The calendar day of a parsed moment, stored as midnight UTC like Task.scheduledDate
+const toCalendarDate = (date) => moment.utc(date.format('YYYY-MM-DD'), 'YYYY-MM-DD').toDate();
+
+// Parse an RRULE value back into a task recurrence, or null when it can't be represented
+function parseRRule(value, timeZone = 'UTC') {
+  const rule = value.split(';').reduce((acc, part) => {
+    const [key, val] = part.split('=');
+    if (key && val !== undefined) acc[key.toUpperCase()] = val;
+    return acc;
+  }, {});
+
+  const frequency = (rule.FREQ || '').toLowerCase();
+  if (!['daily', 'weekly', 'monthly'].includes(frequency)) return null;
+
+  const recurrence = { frequency };
+  if (rule.INTERVAL) recurrence.interval = parseInt(rule.INTERVAL, 10);
+  if (rule.BYDAY) {
+    recurrence.byWeekday = rule.BYDAY.split(',')
+      .map(day => WEEKDAYS.indexOf(day.replace(/^[+-]?\d+/, '')))
+      .filter(day => day >= 0);
+  }
+  if (rule.BYMONTHDAY) recurrence.byMonthDay = rule.BYMONTHDAY.split(',').map(d => parseInt(d, 10));
+  if (rule.UNTIL) recurrence.until = toCalendarDate(parseDateValue(rule.UNTIL, {}, timeZone).date);
+  if (rule.COUNT) recurrence.count = parseInt(rule.COUNT, 10);
+
+  return recurrence;
+}
+
+// Parse the VEVENTs of an iCalendar document into a list of property maps.
+// Each property keeps its value and parameters; repeated properties are collected in arrays.
+function parseEvents(text) {
+  const lines = String(text)
+    .replace(/\r?\n[ \t]/g, '')
+    .split(/\r?\n/);
+
+  const events = [];
+  let current = null;
+
+  lines.forEach(line => {
+    if (line === 'BEGIN:VEVENT') {
+      current = {};
+      return;
+    }
+    if (line === 'END:VEVENT') {
+      if (current) events.push(current);
+      current = null;
+      return;
+    }
+    if (!current) return;
+
+    const separator = line.indexOf(':');
+    if (separator < 0) return;
+
+    const [name, ...paramParts] = line.slice(0, separator).split(';');
+    const params = paramParts.reduce((acc, part) => {
+      const [key, val] = part.split('=');
+      acc[key.toUpperCase()] = val;
+      return acc;
+    }, {});
+    const property = { value: line.slice(separator + 1), params };
+    const key = name.toUpperCase();
+
+    if (key === 'EXDATE') {
+      current.EXDATE = (current.EXDATE || []).concat(
+        property.value.split(',').map(value => ({ value, params }))
+      );
+    } else {
+      current[key] = property;
+    }
+  });
+
+  return events;
+}
+
+module.exports = {
+  escapeText,
+  unescapeText,
+  parseDateValue,
+  toCalendarDate,
+  parseRRule,
+  parseEvents,
+  priorityFromICal,
+  parseStart,
+  buildRRule,
+  taskToEvents,
+  buildCalendar
+};
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+const { dispatchNotifications } = require('./notifier');
+const { purgeExpiredTrash } = require('./trash');
+const { rebuildQueuedProductivity } = require('./productivity');
+
+// One run of the background work: reminders, notification and webhook deliveries,
+// purging the trash and rebuilding histories after time zone changes
+async function runJobs(now = new Date()) {
+  const dispatched = await dispatchNotifications(now);
+  const purged = await purgeExpiredTrash(now);
+  const rebuilt = await rebuildQueuedProductivity();
+  return { ...dispatched, purged, rebuilt };
+}
+
+let timer = null;
+let running = false;
+
+// Run the background work every `intervalSeconds` in this process. Several instances
+// can run it side by side; each firing and delivery still happens once.
+function startJobs(intervalSeconds = 60) {
+  if (timer) return;
+
+  timer = setInterval(async () => {
+    if (running || mongoose.connection.readyState !== 1) return;
+    running = true;
+    try {
+      await runJobs();
+    } catch (error) {
+      console.error(error);
+    } finally {
+      running = false;
+    }
+  }, intervalSeconds * 1000);
+  timer.unref();
+}
+
+module.exports = {
+  runJobs,
+  startJobs
+};
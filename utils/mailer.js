@@ -0,0 +1,112 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+const FROM_ADDRESS = process.env.MAIL_FROM || 'ProductivityX <no-reply@productivityx.app>';
+const RESEND_API_URL = 'https://api.resend.com/emails';
+const SEND_TIMEOUT_MS = 10000;
+
+// A transport is an object with `send(message)` returning a promise.
+// Messages are { from, to, subject, text }.
+const transports = {
+  // Deliver through the Resend HTTP API with the key in RESEND_API_KEY
+  resend: ({ apiKey = process.env.RESEND_API_KEY } = {}) => {
+    if (!apiKey) {
+      throw new Error('RESEND_API_KEY is not set for the resend mail transport');
+    }
+    return {
+      async send(message) {
+        const response = await fetch(RESEND_API_URL, {
+          method: 'POST',
+          headers: { Authorization: `Bearer ${apiKey}`, 'Content-Type': 'application/json' },
+          body: JSON.stringify({ from: message.from, to: [message.to], subject: message.subject, text: message.text }),
+          signal: AbortSignal.timeout(SEND_TIMEOUT_MS)
+        });
+        if (!response.ok) {
+          throw new Error(`Resend responded with ${response.status}`);
+        }
+      }
+    };
+  },
+
+  // Drop messages, logging only who they were for; used when no transport is configured
+  none: () => ({
+    async send(message) {
+      console.warn(`[mail] Not sent to ${message.to}: no mail transport is configured`);
+    }
+  }),
+
+  // Print messages to the server log
+  console: () => ({
+    async send(message) {
+      console.log(`[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text}`);
+    }
+  }),
+
+  // Write each message as a .eml file, so flows can be followed offline
+  file: ({ directory = process.env.MAIL_DIR || path.join(os.tmpdir(), 'productivityx-mail') } = {}) => ({
+    async send(message) {
+      await fs.mkdir(directory, { recursive: true });
+      const name = `${new Date().toISOString().replace(/[:.]/g, '-')}-${Math.random().toString(36).slice(2, 8)}.eml`;
+      const content = [
+        `From: ${message.from}`,
+        `To: ${message.to}`,
+        `Subject: ${message.subject}`,
+        `Date: ${new Date().toUTCString()}`,
+        'Content-Type: text/plain; charset=utf-8',
+        '',
+        message.text
+      ].join('\r\n');
+      await fs.writeFile(path.join(directory, name), content);
+    }
+  })
+};
+
+let transport = null;
+
+// Make a transport available under a name for MAIL_TRANSPORT
+function registerTransport(name, factory) {
+  transports[name] = factory;
+}
+
+// Use a transport instance directly, e.g. one that records messages
+function setTransport(instance) {
+  transport = instance;
+}
+
+// The transport named by MAIL_TRANSPORT, console by default outside production. The console
+// transport would print live reset and verification tokens to the server log, so production
+// falls back to sending nothing instead.
+function transportName() {
+  const production = process.env.NODE_ENV === 'production';
+  const name = process.env.MAIL_TRANSPORT || (production ? 'none' : 'console');
+  return production && name === 'console' ? 'none' : name;
+}
+
+// The configured transport. Called at startup, so an unknown name or missing settings
+// stop the server instead of failing the first email.
+function getTransport() {
+  if (!transport) {
+    const name = transportName();
+    if (!transports[name]) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    if (name === 'none' && process.env.MAIL_TRANSPORT !== 'none') {
+      console.warn('[mail] No mail transport is usable in production (set MAIL_TRANSPORT, e.g. to resend); emails will not be sent');
+    }
+    transport = transports[name]();
+  }
+  return transport;
+}
+
+async function sendMail({ to, subject, text }) {
+  await getTransport().send({ from: FROM_ADDRESS, to, subject, text });
+}
+
+module.exports = {
+  transportName,
+  getTransport,
+  registerTransport,
+  setTransport,
+  sendMail
+};
@@ -0,0 +1,213 @@
+const moment = require('moment-timezone');
+const Reminder = require('../models/Reminder');
+const Notification = require('../models/Notification');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const { sendMail } = require('./mailer');
+const { deliverPendingWebhooks } = require('./webhooks');
+const { postOutbound, isSuccessStatus } = require('./outbound');
+const { nextFiring, firingTarget, startInstant } = require('./reminders');
+const { userTimeZone, clockMinutes, formatClock, DAY_FORMAT } = require('./timezone');
+
+// Reminders found more than this late (e.g. the dispatcher was down) are skipped
+const MAX_LATENESS_MINUTES = 60;
+const MAX_DELIVERY_ATTEMPTS = 5;
+// First retry of a failed delivery; doubles with each attempt
+const RETRY_MINUTES = 1;
+// How long a dispatcher instance may hold a notification it is delivering
+const LOCK_SECONDS = 60;
+const BATCH_SIZE = 100;
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+// A channel is an object with `send(notification, user)` returning a promise that
+// rejects when delivery failed. The in-app inbox is the notification itself.
+const channels = {
+  email: {
+    async send(notification, user) {
+      await sendMail({ to: user.email, subject: notification.title, text: notification.message });
+    }
+  },
+
+  webhook: {
+    async send(notification, user) {
+      const url = user.notificationSettings && user.notificationSettings.webhookUrl;
+      if (!url) {
+        throw new Error('No webhook URL configured');
+      }
+
+      const status = await postOutbound(url, {
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          id: notification._id,
+          type: notification.type,
+          title: notification.title,
+          message: notification.message,
+          taskId: notification.taskId,
+          occurrenceDate: notification.occurrenceDate,
+          createdAt: notification.createdAt
+        }),
+        timeout: WEBHOOK_TIMEOUT_MS
+      });
+      if (!isSuccessStatus(status)) {
+        throw new Error(`Webhook responded with ${status}`);
+      }
+    }
+  }
+};
+
+// Deliver notifications of a channel with a different implementation, e.g. push
+function registerChannel(name, channel) {
+  channels[name] = channel;
+}
+
+// The instant quiet hours end when `at` falls inside them, otherwise null
+function quietHoursEnd(user, at) {
+  const quietHours = user.notificationSettings && user.notificationSettings.quietHours;
+  const start = quietHours ? clockMinutes(quietHours.start) : null;
+  const end = quietHours ? clockMinutes(quietHours.end) : null;
+  if (start === null || end === null || start === end) return null;
+
+  const local = moment.tz(at, userTimeZone(user));
+  const minutes = local.hours() * 60 + local.minutes();
+  // Quiet hours may run past midnight, e.g. 22:00 - 07:00
+  const quiet = start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+  if (!quiet) return null;
+
+  const endAt = moment.tz(`${local.format(DAY_FORMAT)} ${formatClock(end)}`, `${DAY_FORMAT} HH:mm`, userTimeZone(user));
+  if (!endAt.isAfter(local)) endAt.add(1, 'day');
+  return endAt.toDate();
+}
+
+// Describe when a task or occurrence starts, in the user's time zone
+function describeStart(target, user) {
+  const start = startInstant(target, userTimeZone(user));
+  return clockMinutes(target.scheduledTime) === null
+    ? `Scheduled for ${start.format('dddd, MMMM D')}`
+    : `Starts ${start.format('dddd, MMMM D [at] HH:mm')}`;
+}
+
+// Record the notification of a reminder firing. The key makes this happen once per
+// firing even when several dispatchers pick up the same reminder.
+async function notifyReminder(reminder, task, fireAt) {
+  const user = await User.findById(reminder.userId).select('email timeZone notificationSettings');
+  if (!user) return false;
+
+  const target = firingTarget(task, reminder.occurrenceDate);
+  const selected = reminder.channels && reminder.channels.length > 0
+    ? reminder.channels
+    : user.notificationSettings.channels;
+
+  try {
+    await Notification.create({
+      userId: user._id,
+      type: 'reminder',
+      title: `Reminder: ${task.title}`,
+      message: `${describeStart(target, user)}.`,
+      taskId: task._id,
+      reminderId: reminder._id,
+      occurrenceDate: reminder.occurrenceDate,
+      key: `reminder:${reminder._id}:${fireAt.toISOString()}`,
+      inbox: selected.includes('inapp'),
+      deliveries: selected.filter(channel => channel !== 'inapp').map(channel => ({ channel })),
+      deliverAt: quietHoursEnd(user, fireAt) || fireAt
+    });
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+}
+
+// Fire the reminders that are due and move each on to its next firing
+async function fireDueReminders(now = new Date()) {
+  const due = await Reminder.find({ nextFireAt: { $ne: null, $lte: now } })
+    .sort({ nextFireAt: 1 })
+    .limit(BATCH_SIZE);
+
+  let fired = 0;
+  for (const reminder of due) {
+    const fireAt = reminder.nextFireAt;
+    const task = await Task.findById(reminder.taskId);
+    if (!task) {
+      await Reminder.deleteOne({ _id: reminder._id });
+      continue;
+    }
+
+    if (moment(now).diff(fireAt, 'minutes') <= MAX_LATENESS_MINUTES && await notifyReminder(reminder, task, fireAt)) {
+      fired++;
+    }
+
+    // Only advance if no other dispatcher or task change already did
+    const user = await User.findById(reminder.userId).select('timeZone');
+    const next = nextFiring(reminder, task, userTimeZone(user), fireAt);
+    await Reminder.updateOne({ _id: reminder._id, nextFireAt: fireAt }, {
+      $set: {
+        nextFireAt: next ? next.fireAt : null,
+        occurrenceDate: next ? next.occurrenceDate : null,
+        lastFiredAt: fireAt
+      }
+    });
+  }
+  return fired;
+}
+
+// Send the email and webhook deliveries that are due, retrying failures with backoff
+async function deliverPending(now = new Date()) {
+  let delivered = 0;
+
+  for (let i = 0; i < BATCH_SIZE; i++) {
+    const notification = await Notification.findOneAndUpdate({
+      'deliveries.status': 'pending',
+      deliverAt: { $lte: now },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: new Date() } }]
+    }, {
+      $set: { lockedUntil: moment().add(LOCK_SECONDS, 'seconds').toDate() }
+    }, { new: true, sort: { deliverAt: 1 } });
+    if (!notification) break;
+
+    const user = await User.findById(notification.userId).select('email notificationSettings');
+    const pending = notification.deliveries.filter(d => d.status === 'pending');
+
+    for (const delivery of pending) {
+      delivery.attempts += 1;
+      try {
+        if (!user) throw new Error('User not found');
+        if (!channels[delivery.channel]) throw new Error(`Unknown channel: ${delivery.channel}`);
+        await channels[delivery.channel].send(notification, user);
+        delivery.status = 'sent';
+        delivery.sentAt = new Date();
+        delivery.error = undefined;
+        delivered++;
+      } catch (error) {
+        delivery.error = error.message;
+        if (delivery.attempts >= MAX_DELIVERY_ATTEMPTS) delivery.status = 'failed';
+      }
+    }
+
+    const retrying = notification.deliveries.filter(d => d.status === 'pending');
+    if (retrying.length > 0) {
+      const attempts = Math.max(...retrying.map(d => d.attempts));
+      notification.deliverAt = moment().add(RETRY_MINUTES * 2 ** (attempts - 1), 'minutes').toDate();
+    }
+    notification.lockedUntil = null;
+    await notification.save();
+  }
+
+  return delivered;
+}
+
+// One dispatcher run: fire due reminders, then deliver what is due, including webhook retries
+async function dispatchNotifications(now = new Date()) {
+  const fired = await fireDueReminders(now);
+  const delivered = await deliverPending(now);
+  const webhookAttempts = await deliverPendingWebhooks(now);
+  return { fired, delivered, webhookAttempts };
+}
+
+module.exports = {
+  registerChannel,
+  quietHoursEnd,
+  fireDueReminders,
+  deliverPending,
+  dispatchNotifications
+};
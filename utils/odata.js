@@ -0,0 +1,329 @@
+const mongoose = require('mongoose');
+const { calendarDay, DAY_FORMAT } = require('./timezone');
+
+// OData v4 query options on top of MongoDB. Entity sets describe their properties as
+// { name, type, path, objectId, collection, value }: `type` is the Edm type, `path` the
+// stored field used for $filter and $orderby (properties without one can only be selected),
+// `objectId` marks string keys stored as ObjectIds and `value(doc)` reads the property.
+
+const NAMESPACE = 'ProductivityX';
+
+// Errors in a client's query options; the message is meant for the client
+const queryError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const COMPARISON_OPERATORS = { eq: null, ne: '$ne', gt: '$gt', ge: '$gte', lt: '$lt', le: '$lte' };
+// The operator to use when the value comes first, as in "5 lt estimatedDuration"
+const FLIPPED = { eq: 'eq', ne: 'ne', gt: 'lt', ge: 'le', lt: 'gt', le: 'ge' };
+const STRING_FUNCTIONS = {
+  contains: (text) => escapeRegExp(text),
+  startswith: (text) => `^${escapeRegExp(text)}`,
+  endswith: (text) => `${escapeRegExp(text)}$`
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const TOKEN_PATTERN = new RegExp([
+  /\s*/.source,
+  '(?:',
+  /([(),:])/.source,
+  /|'((?:[^']|'')*)'/.source,
+  /|(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:\d{2}))/.source,
+  /|(\d{4}-\d{2}-\d{2})/.source,
+  /|(-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)/.source,
+  /|([A-Za-z_][A-Za-z0-9_]*)/.source,
+  ')'
+].join(''), 'y');
+
+// Split a $filter expression into punctuation, literals and names
+function tokenize(text) {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+
+  while (TOKEN_PATTERN.lastIndex < text.length) {
+    const start = TOKEN_PATTERN.lastIndex;
+    const match = TOKEN_PATTERN.exec(text);
+    if (!match) {
+      if (text.slice(start).trim() === '') break;
+      throw queryError(`Syntax error in $filter at position ${start + 1}`);
+    }
+
+    const [, punctuation, string, dateTime, date, number, name] = match;
+    if (punctuation) tokens.push({ type: punctuation });
+    else if (string !== undefined) tokens.push({ type: 'literal', value: string.replace(/''/g, "'"), edm: 'Edm.String' });
+    else if (dateTime) tokens.push({ type: 'literal', value: new Date(dateTime), edm: 'Edm.DateTimeOffset' });
+    else if (date) tokens.push({ type: 'literal', value: new Date(`${date}T00:00:00Z`), edm: 'Edm.Date' });
+    else if (number) tokens.push({ type: 'literal', value: Number(number), edm: 'Edm.Double' });
+    else if (name === 'true' || name === 'false') tokens.push({ type: 'literal', value: name === 'true', edm: 'Edm.Boolean' });
+    else if (name === 'null') tokens.push({ type: 'literal', value: null, edm: null });
+    else if (name) tokens.push({ type: 'name', value: name });
+    else break;
+  }
+
+  return tokens;
+}
+
+// The property a query option refers to, which must be stored to filter or sort on
+function queryableProperty(properties, name, option) {
+  const property = properties.find(p => p.name === name);
+  if (!property) {
+    throw queryError(`Unknown property ${name} in ${option}`);
+  }
+  if (!property.path || property.collection) {
+    throw queryError(`Property ${name} can't be used in ${option}`);
+  }
+  return property;
+}
+
+// Stored form of a literal compared with a property
+function storedValue(property, literal) {
+  if (literal.value === null) return null;
+
+  const fits = {
+    'Edm.String': ['Edm.String'],
+    'Edm.Int32': ['Edm.Double'],
+    'Edm.Double': ['Edm.Double'],
+    'Edm.Boolean': ['Edm.Boolean'],
+    'Edm.Date': ['Edm.Date', 'Edm.DateTimeOffset'],
+    'Edm.DateTimeOffset': ['Edm.Date', 'Edm.DateTimeOffset']
+  }[property.type] || [];
+  if (!fits.includes(literal.edm)) {
+    throw queryError(`${property.name} is an ${property.type} and can't be compared with an ${literal.edm}`);
+  }
+
+  if (property.objectId) {
+    if (!mongoose.isValidObjectId(literal.value)) {
+      throw queryError(`${property.name} must be compared with a valid ID`);
+    }
+    return new mongoose.Types.ObjectId(literal.value);
+  }
+  return literal.value;
+}
+
+function comparison(property, operator, literal) {
+  const value = storedValue(property, literal);
+  return COMPARISON_OPERATORS[operator]
+    ? { [property.path]: { [COMPARISON_OPERATORS[operator]]: value } }
+    : { [property.path]: value };
+}
+
+// Join conditions with $and or $or, flattening nested ones of the same kind
+const combine = (operator, left, right) => ({
+  [operator]: [left, right].reduce((all, condition) => all.concat(
+    Object.keys(condition).length === 1 && condition[operator] ? condition[operator] : [condition]
+  ), [])
+});
+
+// Translate a $filter expression into a MongoDB filter. Supports eq, ne, gt, ge, lt, le,
+// in, and, or, not, parentheses and contains, startswith and endswith on strings.
+function parseFilter(text, properties) {
+  const tokens = tokenize(String(text));
+  let position = 0;
+
+  const peek = (offset = 0) => tokens[position + offset];
+  const isName = (token, name) => token && token.type === 'name' && token.value === name;
+  const expect = (type) => {
+    const token = tokens[position++];
+    if (!token || token.type !== type) {
+      throw queryError(`Expected "${type}" in $filter`);
+    }
+    return token;
+  };
+  const literal = () => {
+    const token = tokens[position++];
+    if (!token || token.type !== 'literal') {
+      throw queryError('Expected a value in $filter');
+    }
+    return token;
+  };
+
+  function parseOr() {
+    let condition = parseAnd();
+    while (isName(peek(), 'or')) {
+      position++;
+      condition = combine('$or', condition, parseAnd());
+    }
+    return condition;
+  }
+
+  function parseAnd() {
+    let condition = parseUnary();
+    while (isName(peek(), 'and')) {
+      position++;
+      condition = combine('$and', condition, parseUnary());
+    }
+    return condition;
+  }
+
+  function parseUnary() {
+    if (isName(peek(), 'not')) {
+      position++;
+      return { $nor: [parseUnary()] };
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const token = peek();
+    if (!token) {
+      throw queryError('Unexpected end of $filter');
+    }
+
+    if (token.type === '(') {
+      position++;
+      const condition = parseOr();
+      expect(')');
+      return condition;
+    }
+
+    if (token.type === 'name' && STRING_FUNCTIONS[token.value] && peek(1) && peek(1).type === '(') {
+      position += 2;
+      const property = queryableProperty(properties, expect('name').value, '$filter');
+      expect(',');
+      const value = literal();
+      expect(')');
+      if (property.type !== 'Edm.String' || property.objectId || value.edm !== 'Edm.String') {
+        throw queryError(`${token.value} needs a text property and a text value`);
+      }
+      return { [property.path]: { $regex: STRING_FUNCTIONS[token.value](value.value) } };
+    }
+
+    return parseComparison();
+  }
+
+  function parseComparison() {
+    const left = tokens[position++];
+    const operator = tokens[position++];
+
+    if (left && left.type === 'name' && isName(operator, 'in')) {
+      const property = queryableProperty(properties, left.value, '$filter');
+      expect('(');
+      const values = [storedValue(property, literal())];
+      while (peek() && peek().type === ',') {
+        position++;
+        values.push(storedValue(property, literal()));
+      }
+      expect(')');
+      return { [property.path]: { $in: values } };
+    }
+
+    if (!operator || operator.type !== 'name' || !(operator.value in COMPARISON_OPERATORS)) {
+      throw queryError('Expected a comparison such as "status eq \'completed\'" in $filter');
+    }
+
+    const right = tokens[position++];
+    if (left && left.type === 'name' && right && right.type === 'literal') {
+      return comparison(queryableProperty(properties, left.value, '$filter'), operator.value, right);
+    }
+    if (left && left.type === 'literal' && right && right.type === 'name') {
+      return comparison(queryableProperty(properties, right.value, '$filter'), FLIPPED[operator.value], left);
+    }
+    throw queryError('Comparisons in $filter need a property and a value');
+  }
+
+  const filter = parseOr();
+  if (position < tokens.length) {
+    throw queryError('Unexpected text at the end of $filter');
+  }
+  return filter;
+}
+
+// Translate "$orderby=scheduledDate desc,title" into a MongoDB sort, ending with _id so
+// pages are stable
+function parseOrderBy(text, properties) {
+  const sort = {};
+  String(text || '').split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+    const [name, direction = 'asc', ...rest] = part.split(/\s+/);
+    if (rest.length > 0 || !['asc', 'desc'].includes(direction)) {
+      throw queryError(`Invalid $orderby item "${part}"`);
+    }
+    sort[queryableProperty(properties, name, '$orderby').path] = direction === 'desc' ? -1 : 1;
+  });
+  if (!('_id' in sort)) sort._id = 1;
+  return sort;
+}
+
+// Properties picked by $select, all of them without it or for "*"
+function parseSelect(text, properties) {
+  const names = String(text || '').split(',').map(name => name.trim()).filter(Boolean);
+  if (names.length === 0 || names.includes('*')) return properties;
+
+  return names.map(name => {
+    const property = properties.find(p => p.name === name);
+    if (!property) {
+      throw queryError(`Unknown property ${name} in $select`);
+    }
+    return property;
+  });
+}
+
+// A non-negative integer query option such as $top
+function parseCount(value, option) {
+  if (value === undefined) return undefined;
+  if (!/^\d+$/.test(String(value))) {
+    throw queryError(`${option} must be a non-negative integer`);
+  }
+  return parseInt(value, 10);
+}
+
+// JSON form of a property value
+function formatValue(property, value) {
+  if (value === undefined || value === null) return property.collection ? [] : null;
+  if (property.collection) return value.map(item => formatValue({ type: property.type }, item));
+
+  switch (property.type) {
+    case 'Edm.Date':
+      return calendarDay(value).format(DAY_FORMAT);
+    case 'Edm.DateTimeOffset':
+      return new Date(value).toISOString();
+    case 'Edm.String':
+      return String(value);
+    default:
+      return value;
+  }
+}
+
+// The selected properties of a document
+const formatEntity = (doc, properties) =>
+  Object.fromEntries(properties.map(property => [property.name, formatValue(property, property.value(doc))]));
+
+const escapeXML = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// CSDL $metadata document for entity sets given as { name, entityType, key, properties }
+function metadataXML(entitySets) {
+  const entityTypes = entitySets.map(set => [
+    `<EntityType Name="${escapeXML(set.entityType)}">`,
+    `<Key><PropertyRef Name="${escapeXML(set.key)}"/></Key>`,
+    ...set.properties.map(property => {
+      const type = property.collection ? `Collection(${property.type})` : property.type;
+      const nullable = property.name === set.key || property.collection ? ' Nullable="false"' : '';
+      return `<Property Name="${escapeXML(property.name)}" Type="${type}"${nullable}/>`;
+    }),
+    '</EntityType>'
+  ].join(''));
+
+  return '<?xml version="1.0" encoding="utf-8"?>' +
+    '<edmx:Edmx Version="4.0" xmlns:edmx="http://docs.oasis-open.org/odata/ns/edmx">' +
+    '<edmx:DataServices>' +
+    `<Schema Namespace="${NAMESPACE}" xmlns="http://docs.oasis-open.org/odata/ns/edm">` +
+    entityTypes.join('') +
+    '<EntityContainer Name="Container">' +
+    entitySets.map(set => `<EntitySet Name="${escapeXML(set.name)}" EntityType="${NAMESPACE}.${escapeXML(set.entityType)}"/>`).join('') +
+    '</EntityContainer>' +
+    '</Schema>' +
+    '</edmx:DataServices>' +
+    '</edmx:Edmx>';
+}
+
+module.exports = {
+  queryError,
+  parseFilter,
+  parseOrderBy,
+  parseSelect,
+  parseCount,
+  formatEntity,
+  metadataXML
+};
@@ -0,0 +1,118 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+// Addresses requests to user-supplied URLs may not reach: this network, loopback, private
+// and carrier-grade NAT ranges, link-local (which holds cloud metadata endpoints such as
+// 169.254.169.254), benchmarking, multicast and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 3]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 127],
+  ['64:ff9b::', 96],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+// Development setups can post to local receivers with OUTBOUND_ALLOW_PRIVATE=true
+const allowPrivate = () => process.env.OUTBOUND_ALLOW_PRIVATE === 'true';
+
+function isBlockedAddress(address) {
+  // IPv4 addresses written as IPv6 (::ffff:10.0.0.1) are checked as IPv4
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return isBlockedAddress(mapped[1]);
+
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  return BLOCKED_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+const hostOf = (url) => url.hostname.replace(/^\[|\]$/g, '');
+
+// DNS lookup for outbound requests that refuses blocked addresses, so the check applies to
+// the address actually connected to and not only to an earlier resolution
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (!allowPrivate() && addresses.some(a => isBlockedAddress(a.address))) {
+      return callback(new Error(`${hostname} resolves to a private address`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Check that a user-supplied URL can receive requests: http(s) on a host that resolves to
+// public addresses only. Returns an error message, or null.
+async function checkOutboundUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return 'URL must be an http(s) URL';
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    return 'URL must be an http(s) URL';
+  }
+  if (allowPrivate()) return null;
+
+  const host = hostOf(url);
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true });
+  } catch (error) {
+    return 'URL host could not be resolved';
+  }
+  return addresses.some(a => isBlockedAddress(a.address)) ? 'URL must point to a public address' : null;
+}
+
+// POST a body to a user-supplied URL. Private addresses are refused when connecting and
+// redirects are not followed. Resolves with the response status only; the response body
+// is never read, so nothing from the endpoint can be echoed back to users.
+function postOutbound(value, { headers = {}, body = '', timeout }) {
+  return new Promise((resolve, reject) => {
+    const url = new URL(value);
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      return reject(new Error('URL must be an http(s) URL'));
+    }
+    // Literal addresses are connected to without a lookup
+    if (net.isIP(hostOf(url)) && !allowPrivate() && isBlockedAddress(hostOf(url))) {
+      return reject(new Error('URL must point to a public address'));
+    }
+
+    const request = (url.protocol === 'https:' ? https : http).request(url, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: guardedLookup,
+      timeout
+    }, response => {
+      resolve(response.statusCode);
+      response.destroy();
+    });
+    request.on('timeout', () => request.destroy(new Error('Request timed out')));
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+const isSuccessStatus = (status) => status >= 200 && status < 300;
+
+module.exports = {
+  isBlockedAddress,
+  checkOutboundUrl,
+  postOutbound,
+  isSuccessStatus
+};
@@ -0,0 +1,286 @@
+const moment = require('moment');
+const Task = require('../models/Task');
+const Productivity = require('../models/Productivity');
+const FocusSession = require('../models/FocusSession');
+const Habit = require('../models/Habit');
+const HabitCheckIn = require('../models/HabitCheckIn');
+const User = require('../models/User');
+const { expandTask, toDateKey, occurrenceDates } = require('./recurrence');
+const { getCategories, emptyBreakdown } = require('./categories');
+const { getTimeZone, calendarDay, dayOf, dayBounds, DAY_FORMAT } = require('./timezone');
+const { emitEvent } = require('./webhooks');
+
+// Users whose history the background jobs rebuild per run
+const REBUILD_BATCH_SIZE = 5;
+// How far around today series-wide changes recompute daily metrics right away; days
+// further back are left to a queued rebuild, and series are not followed further ahead
+const SERIES_METRICS_WINDOW_DAYS = 60;
+// Longest list of days recomputed within a request
+const MAX_INLINE_METRICS_DAYS = 2 * SERIES_METRICS_WINDOW_DAYS + 1;
+
+// Tasks that count towards a person's own metrics: their personal tasks and
+// unassigned workspace tasks they created, plus workspace tasks assigned to them
+const personalTaskFilter = (userId) => ({
+  $or: [
+    { assigneeId: userId },
+    { assigneeId: null, userId }
+  ]
+});
+
+// The person whose daily metrics a task counts towards
+const metricsOwner = (task) => task.assigneeId || task.userId;
+
+// Helper function to update productivity metrics for a calendar day
+async function updateProductivityMetrics(userId, date) {
+  const dateStart = calendarDay(date).toDate();
+  const dateEnd = calendarDay(date).endOf('day').toDate();
+
+  const singleTasks = await Task.find({
+    ...personalTaskFilter(userId),
+    recurrence: null,
+    scheduledDate: { $gte: dateStart, $lte: dateEnd }
+  });
+
+  // Occurrences of recurring tasks count like regular tasks on their day
+  const series = await Task.find({
+    ...personalTaskFilter(userId),
+    recurrence: { $ne: null },
+    scheduledDate: { $lte: dateEnd }
+  });
+  const occurrences = series.reduce((acc, task) => acc.concat(expandTask(task, dateStart, dateEnd)), []);
+
+  const tasks = singleTasks.concat(occurrences);
+
+  const tasksPlanned = tasks.length;
+  const tasksCompleted = tasks.filter(t => t.status === 'completed').length;
+  const totalWorkTime = tasks
+    .filter(t => t.status === 'completed')
+    .reduce((sum, t) => sum + (t.actualDuration || 0), 0);
+
+  const categoryBreakdown = emptyBreakdown(await getCategories(userId));
+  const projectBreakdown = {};
+
+  tasks.forEach(task => {
+    if (task.status === 'completed' && task.category) {
+      categoryBreakdown[task.category] = (categoryBreakdown[task.category] || 0) + (task.actualDuration || 0);
+    }
+    if (task.status === 'completed' && task.projectId) {
+      const projectKey = String(task.projectId);
+      projectBreakdown[projectKey] = (projectBreakdown[projectKey] || 0) + (task.actualDuration || 0);
+    }
+  });
+
+  // Habits counted in productivity add the time of their check-ins to their category,
+  // without counting as planned or completed tasks
+  const habits = await Habit.find({ userId, countInProductivity: true, category: { $ne: null } });
+  if (habits.length > 0) {
+    const checkIns = await HabitCheckIn.find({
+      habitId: { $in: habits.map(h => h._id) },
+      date: { $gte: dateStart, $lte: dateEnd }
+    });
+    checkIns.forEach(checkIn => {
+      const habit = habits.find(h => h._id.equals(checkIn.habitId));
+      categoryBreakdown[habit.category] = (categoryBreakdown[habit.category] || 0) + (checkIn.duration ?? habit.duration);
+    });
+  }
+
+  const productivityScore = tasksPlanned > 0 
+    ? Math.round((tasksCompleted / tasksPlanned) * 100)
+    : 0;
+
+  const metrics = { tasksPlanned, tasksCompleted, totalWorkTime, productivityScore, categoryBreakdown, projectBreakdown };
+  const previous = await Productivity.findOneAndUpdate(
+    { userId, date: { $gte: dateStart, $lte: dateEnd } },
+    {
+      userId,
+      date: dateStart,
+      ...metrics
+    },
+    { upsert: true, new: false }
+  );
+
+  // Only actual changes are sent to webhooks
+  const before = previous && previous.toObject({ flattenMaps: true });
+  const changed = !before || Object.keys(metrics).some(key =>
+    JSON.stringify(before[key]) !== JSON.stringify(metrics[key]));
+  if (changed) {
+    await emitEvent(userId, 'productivity.daily_updated', {
+      userId,
+      date: calendarDay(dateStart).format(DAY_FORMAT),
+      ...metrics
+    });
+  }
+}
+
+// Helper function to update productivity metrics for several days, once per day. When
+// there are more days than a request should recompute, e.g. every day of a long-running
+// series, the days before the metrics window are left to a rebuild of the user's history
+// queued for the background jobs.
+async function updateDaysMetrics(userId, dates) {
+  let days = [...new Set(dates.filter(Boolean).map(date => toDateKey(date)))];
+  if (days.length > MAX_INLINE_METRICS_DAYS) {
+    const windowStart = toDateKey(seriesMetricsWindow().start);
+    if (days.some(day => day < windowStart)) {
+      await User.updateOne({ _id: userId }, { $set: { productivityRebuildAt: new Date() } });
+      days = days.filter(day => day >= windowStart);
+    }
+  }
+  for (const day of days) {
+    await updateProductivityMetrics(userId, moment.utc(day, 'YYYY-MM-DD').toDate());
+  }
+}
+
+// The days whose metrics changes to a series are applied to: from its first occurrence,
+// or the start of the metrics window around today if later, to the end of the window
+function seriesMetricsWindow(task) {
+  const windowStart = moment().subtract(SERIES_METRICS_WINDOW_DAYS, 'days').startOf('day');
+  const seriesStart = task && task.scheduledDate ? calendarDay(task.scheduledDate) : windowStart;
+  return {
+    start: moment.min(seriesStart, windowStart),
+    end: moment().add(SERIES_METRICS_WINDOW_DAYS, 'days').endOf('day')
+  };
+}
+
+// Days touched by a recurring series up to the end of the metrics window, including days
+// its rescheduled occurrences were moved to
+function seriesMetricsDates(task) {
+  const { start, end } = seriesMetricsWindow(task);
+
+  const dates = occurrenceDates(task, start, end);
+  (task.exceptions || []).forEach(e => {
+    if (e.scheduledDate && moment(e.scheduledDate).isSameOrBefore(end)) {
+      dates.push(e.scheduledDate);
+    }
+  });
+  return dates;
+}
+
+// What a task, or each occurrence of a series up to the end of the metrics window, adds to
+// the metrics of its day. Comparing the snapshots from before and after a change tells which
+// days need recomputing.
+function metricsSnapshot(task) {
+  const { start, end } = seriesMetricsWindow(task);
+  let occurrences = [];
+  if (task.recurrence) {
+    occurrences = expandTask(task, start, end);
+  } else if (task.scheduledDate) {
+    occurrences = [task];
+  }
+
+  const days = new Map();
+  occurrences.forEach(o => {
+    const key = toDateKey(o.scheduledDate);
+    // Only completed work adds to the work time and the breakdowns
+    const contribution = JSON.stringify(o.status === 'completed'
+      ? [o.status, o.actualDuration || 0, o.category || null, o.projectId ? String(o.projectId) : null]
+      : [o.status]);
+    days.set(key, (days.get(key) || []).concat(contribution).sort());
+  });
+  return days;
+}
+
+// Days whose contributions differ between two metrics snapshots
+function changedMetricsDates(previous, next) {
+  const days = new Set([...previous.keys(), ...next.keys()]);
+  return [...days]
+    .filter(day => String(previous.get(day)) !== String(next.get(day)))
+    .map(day => moment.utc(day, 'YYYY-MM-DD').toDate());
+}
+
+// Helper function to update productivity metrics for the days a series change affected.
+// `previous` is the metricsSnapshot from before the change; without one, every day the
+// series touches is recomputed.
+async function updateSeriesMetrics(userId, task, previous = new Map()) {
+  await updateDaysMetrics(userId, changedMetricsDates(previous, metricsSnapshot(task)));
+}
+
+// Helper function to roll the focus sessions finished on a calendar day up into its
+// focusTime and breaks. Sessions belong to the day they started on in the user's time zone.
+async function updateFocusMetrics(userId, date, timeZone) {
+  const dateStart = calendarDay(date).toDate();
+  const dateEnd = calendarDay(date).endOf('day').toDate();
+  const { start, end } = dayBounds(date, timeZone || await getTimeZone(userId));
+
+  const sessions = await FocusSession.find({
+    userId,
+    status: 'finished',
+    startedAt: { $gte: start, $lte: end }
+  });
+
+  const focusTime = sessions.reduce((sum, s) => sum + (s.focusMinutes || 0), 0);
+  const breaks = sessions.reduce((sum, s) => sum + (s.breakCount || 0), 0);
+
+  await Productivity.findOneAndUpdate(
+    { userId, date: { $gte: dateStart, $lte: dateEnd } },
+    {
+      $set: { focusTime, breaks },
+      $setOnInsert: { date: dateStart }
+    },
+    { upsert: true, new: true }
+  );
+}
+
+// Rebuild the history of queued users, whose time zone changed or whose series changed
+// before the metrics window, for the background jobs. A user queued again meanwhile stays
+// queued for another run.
+async function rebuildQueuedProductivity() {
+  const users = await User.find({ productivityRebuildAt: { $ne: null } })
+    .select('productivityRebuildAt')
+    .limit(REBUILD_BATCH_SIZE);
+
+  for (const user of users) {
+    await rebuildProductivity(user._id);
+    await User.updateOne(
+      { _id: user._id, productivityRebuildAt: user.productivityRebuildAt },
+      { $set: { productivityRebuildAt: null } }
+    );
+  }
+  return users.length;
+}
+
+// Rebuild all of a user's daily Productivity rows, and the days of their tasks and series,
+// with the day boundaries of their current time zone. `serverZone` is the zone of the
+// server that wrote the existing rows; rows written before days were pinned to UTC start
+// at its local midnight.
+// Days are recomputed in place and only rows left over afterwards are removed, so an
+// interrupted rebuild leaves the history usable and can simply be run again.
+async function rebuildProductivity(userId, serverZone = 'UTC') {
+  const rebuiltAt = new Date();
+  const timeZone = await getTimeZone(userId);
+  const rows = await Productivity.find({ userId }).select('date');
+  const sessions = await FocusSession.find({ userId, status: 'finished' }).select('startedAt');
+  const checkIns = await HabitCheckIn.find({ userId }).select('date');
+  const tasks = await Task.find(personalTaskFilter(userId)).select('scheduledDate recurrence exceptions');
+
+  const days = new Set(rows.map(row => toDateKey(dayOf(row.date, serverZone))));
+  sessions.forEach(session => days.add(toDateKey(dayOf(session.startedAt, timeZone))));
+  checkIns.forEach(checkIn => days.add(toDateKey(calendarDay(checkIn.date))));
+  tasks.forEach(task => (task.recurrence ? seriesMetricsDates(task) : [task.scheduledDate])
+    .filter(Boolean)
+    .forEach(date => days.add(toDateKey(date))));
+
+  for (const day of days) {
+    const date = moment.utc(day, 'YYYY-MM-DD').toDate();
+    await updateProductivityMetrics(userId, date);
+    await updateFocusMetrics(userId, date, timeZone);
+  }
+
+  // Every recomputed row was just updated; older ones belong to days that no longer exist
+  await Productivity.deleteMany({ userId, updatedAt: { $lt: rebuiltAt } });
+
+  return days.size;
+}
+
+module.exports = {
+  personalTaskFilter,
+  metricsOwner,
+  updateProductivityMetrics,
+  updateDaysMetrics,
+  updateSeriesMetrics,
+  seriesMetricsDates,
+  metricsSnapshot,
+  changedMetricsDates,
+  updateFocusMetrics,
+  rebuildProductivity,
+  rebuildQueuedProductivity
+};
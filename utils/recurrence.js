@@ -0,0 +1,139 @@
+const moment = require('moment');
+
+// Safety cap on how many days a single expansion may walk
+const MAX_SCAN_DAYS = 20000;
+
+const DATE_KEY_FORMAT = 'YYYY-MM-DD';
+
+const toDateKey = (date) => moment(date).format(DATE_KEY_FORMAT);
+
+// Check whether a given day matches the recurrence rule of a series
+function matchesRule(rule, seriesStart, day) {
+  const interval = Math.max(1, rule.interval || 1);
+
+  switch (rule.frequency) {
+    case 'daily':
+      return day.diff(seriesStart, 'days') % interval === 0;
+    case 'weekly': {
+      const weekdays = rule.byWeekday && rule.byWeekday.length > 0
+        ? rule.byWeekday
+        : [seriesStart.day()];
+      const weeks = day.clone().startOf('week').diff(seriesStart.clone().startOf('week'), 'weeks');
+      return weekdays.includes(day.day()) && weeks % interval === 0;
+    }
+    case 'monthly': {
+      const monthDays = rule.byMonthDay && rule.byMonthDay.length > 0
+        ? rule.byMonthDay
+        : [seriesStart.date()];
+      const months = day.clone().startOf('month').diff(seriesStart.clone().startOf('month'), 'months');
+      // Negative values count back from the end of the month (-1 = last day)
+      const fromEnd = day.date() - day.daysInMonth() - 1;
+      return months % interval === 0 &&
+        (monthDays.includes(day.date()) || monthDays.includes(fromEnd));
+    }
+    default:
+      return false;
+  }
+}
+
+// Get the original occurrence dates of a series that fall within [rangeStart, rangeEnd]
+function occurrenceDates(task, rangeStart, rangeEnd) {
+  const rule = task.recurrence;
+  const seriesStart = moment(task.scheduledDate).startOf('day');
+  const start = moment(rangeStart).startOf('day');
+  let end = moment(rangeEnd).endOf('day');
+
+  if (!rule || !rule.frequency) {
+    return seriesStart.isBetween(start, end, null, '[]') ? [seriesStart.toDate()] : [];
+  }
+
+  if (rule.until && moment(rule.until).endOf('day').isBefore(end)) {
+    end = moment(rule.until).endOf('day');
+  }
+
+  const dates = [];
+  const cursor = seriesStart.clone();
+  let emitted = 0;
+
+  for (let scanned = 0; cursor.isSameOrBefore(end) && scanned < MAX_SCAN_DAYS; scanned++) {
+    if (matchesRule(rule, seriesStart, cursor)) {
+      emitted++;
+      if (rule.count && emitted > rule.count) break;
+      if (cursor.isSameOrAfter(start)) dates.push(cursor.toDate());
+    }
+    cursor.add(1, 'day');
+  }
+
+  return dates;
+}
+
+// Check whether the series has an occurrence originally scheduled on the given day
+function isOccurrence(task, date) {
+  return occurrenceDates(task, date, date).length > 0;
+}
+
+// Build a task-like object for a single occurrence, applying any per-occurrence exception
+function buildOccurrence(task, date) {
+  const occurrenceDate = toDateKey(date);
+  const exception = (task.exceptions || []).find(e => e.date === occurrenceDate);
+  const { exceptions, ...series } = typeof task.toObject === 'function' ? task.toObject() : task;
+
+  const occurrence = {
+    ...series,
+    seriesId: task._id,
+    occurrenceDate,
+    isOccurrence: true,
+    scheduledDate: moment(date).startOf('day').toDate(),
+    status: 'pending',
+    actualDuration: 0,
+    completedAt: undefined,
+    productivityScore: 0
+  };
+
+  if (exception) {
+    ['status', 'scheduledDate', 'scheduledTime', 'actualDuration', 'completedAt', 'productivityScore', 'notes']
+      .forEach(key => {
+        if (exception[key] !== undefined && exception[key] !== null) {
+          occurrence[key] = exception[key];
+        }
+      });
+  }
+
+  return occurrence;
+}
+
+// Expand a recurring task into the occurrences scheduled within [rangeStart, rangeEnd],
+// taking rescheduled occurrences into account
+function expandTask(task, rangeStart, rangeEnd) {
+  const start = moment(rangeStart).startOf('day');
+  const end = moment(rangeEnd).endOf('day');
+  const inRange = (o) => moment(o.scheduledDate).isBetween(start, end, null, '[]');
+
+  const occurrences = occurrenceDates(task, start, end)
+    .map(date => buildOccurrence(task, date))
+    .filter(inRange);
+
+  // Occurrences moved into the range from outside of it
+  (task.exceptions || []).forEach(exception => {
+    if (!exception.scheduledDate) return;
+    if (occurrences.some(o => o.occurrenceDate === exception.date)) return;
+    if (!moment(exception.scheduledDate).isBetween(start, end, null, '[]')) return;
+
+    const originalDate = moment(exception.date, DATE_KEY_FORMAT);
+    if (originalDate.isBetween(start, end, null, '[]')) return;
+    if (isOccurrence(task, originalDate)) {
+      occurrences.push(buildOccurrence(task, originalDate));
+    }
+  });
+
+  return occurrences;
+}
+
+module.exports = {
+  DATE_KEY_FORMAT,
+  toDateKey,
+  occurrenceDates,
+  isOccurrence,
+  buildOccurrence,
+  expandTask
+};
@@ -0,0 +1,81 @@
+const moment = require('moment-timezone');
+const Reminder = require('../models/Reminder');
+const Task = require('../models/Task');
+const { expandTask, buildOccurrence, DATE_KEY_FORMAT } = require('./recurrence');
+const { getTimeZone, calendarDay, clockMinutes, formatClock, DAY_FORMAT } = require('./timezone');
+
+// How far ahead the next occurrence of a recurring task is looked for
+const LOOKAHEAD_DAYS = 366;
+
+const CLOSED_STATUSES = ['completed', 'cancelled'];
+
+// The instant a task or occurrence starts in a time zone; tasks without a clock time start at midnight
+function startInstant(task, timeZone) {
+  const time = formatClock(clockMinutes(task.scheduledTime) || 0);
+  return moment.tz(`${calendarDay(task.scheduledDate).format(DAY_FORMAT)} ${time}`, `${DAY_FORMAT} HH:mm`, timeZone);
+}
+
+// When a reminder fires next after `after`, as { fireAt, occurrenceDate }, or null
+// when the task is closed or the reminder has nothing left to fire
+function nextFiring(reminder, task, timeZone, after = new Date()) {
+  if (!task.recurrence) {
+    if (CLOSED_STATUSES.includes(task.status)) return null;
+    const fireAt = reminder.at
+      ? reminder.at
+      : startInstant(task, timeZone).subtract(reminder.minutesBefore, 'minutes').toDate();
+    return fireAt > after ? { fireAt } : null;
+  }
+
+  if (reminder.at) {
+    return reminder.at > after ? { fireAt: reminder.at } : null;
+  }
+
+  // Occurrences starting before `after` can't fire after it
+  const from = calendarDay(after).subtract(1, 'day');
+  const next = expandTask(task, from.toDate(), from.clone().add(LOOKAHEAD_DAYS, 'days').toDate())
+    .filter(o => !CLOSED_STATUSES.includes(o.status))
+    .map(o => ({
+      fireAt: startInstant(o, timeZone).subtract(reminder.minutesBefore, 'minutes').toDate(),
+      occurrenceDate: o.occurrenceDate
+    }))
+    .filter(f => f.fireAt > after)
+    .sort((a, b) => a.fireAt - b.fireAt)[0];
+
+  return next || null;
+}
+
+// The task or occurrence a firing is about
+function firingTarget(task, occurrenceDate) {
+  return occurrenceDate ? buildOccurrence(task, moment(occurrenceDate, DATE_KEY_FORMAT)) : task;
+}
+
+// Recompute when the reminders of a task fire next, after the task changed
+async function syncTaskReminders(task, filter = {}) {
+  const reminders = await Reminder.find({ ...filter, taskId: task._id });
+  const now = new Date();
+
+  for (const reminder of reminders) {
+    const next = nextFiring(reminder, task, await getTimeZone(reminder.userId), now);
+    await Reminder.updateOne({ _id: reminder._id }, {
+      $set: { nextFireAt: next ? next.fireAt : null, occurrenceDate: next ? next.occurrenceDate : null }
+    });
+  }
+}
+
+// Recompute all reminders of a user, after their time zone changed
+async function syncUserReminders(userId) {
+  const taskIds = await Reminder.distinct('taskId', { userId });
+  const tasks = await Task.find({ _id: { $in: taskIds } });
+  for (const task of tasks) {
+    await syncTaskReminders(task, { userId });
+  }
+}
+
+module.exports = {
+  CLOSED_STATUSES,
+  startInstant,
+  nextFiring,
+  firingTarget,
+  syncTaskReminders,
+  syncUserReminders
+};
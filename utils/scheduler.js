@@ -0,0 +1,126 @@
+const { PRIORITY_RANK } = require('./taskQuery');
+const { clockMinutes, formatClock, MINUTES_PER_DAY } = require('./timezone');
+
+// Length assumed for tasks to plan without an estimate, as in the calendar feed
+const DEFAULT_BUSY_MINUTES = 60;
+
+const DEFAULT_WORKING_HOURS = {
+  start: '09:00',
+  end: '17:00',
+  days: [1, 2, 3, 4, 5]
+};
+
+// Order in which tasks get the earliest slots: most urgent first, then the
+// longest overdue (the scheduled date is the date the task was due), then oldest
+const compareCandidates = (a, b) =>
+  (PRIORITY_RANK[b.priority] || 0) - (PRIORITY_RANK[a.priority] || 0) ||
+  new Date(a.scheduledDate) - new Date(b.scheduledDate) ||
+  new Date(a.createdAt) - new Date(b.createdAt);
+
+// Free intervals of a working window once the busy intervals are taken out
+function freeIntervals(window, busy) {
+  const sorted = busy
+    .filter(b => b.end > window.start && b.start < window.end)
+    .sort((a, b) => a.start - b.start);
+
+  const free = [];
+  let cursor = window.start;
+  sorted.forEach(b => {
+    if (b.start > cursor) free.push({ start: cursor, end: b.start });
+    cursor = Math.max(cursor, b.end);
+  });
+  if (cursor < window.end) free.push({ start: cursor, end: window.end });
+  return free;
+}
+
+// Plan the candidate tasks into the free time of the given days.
+//
+// - days: [{ key: 'YYYY-MM-DD', weekday, busy: [{ start, end }] }] in order, minutes since midnight
+// - workingHours: { start, end, days } with "HH:mm" times and weekdays 0 (Sunday) - 6
+// - breakMinutes: gap left after each planned task
+// - notBefore: { key, minutes } so nothing is planned in the past today
+//
+// Tasks blocked by other candidates are planned after them; tasks that can't be
+// placed are returned with the reason.
+function planSchedule(candidates, { days, workingHours, breakMinutes = 0, notBefore }) {
+  const workStart = clockMinutes(workingHours.start);
+  const workEnd = clockMinutes(workingHours.end);
+  const workingDays = days.filter(day => workingHours.days.includes(day.weekday));
+
+  // Absolute position in the range, to order slots across days
+  const position = (dayIndex, minutes) => dayIndex * MINUTES_PER_DAY + minutes;
+  const reserved = workingDays.map(day => day.busy.slice());
+
+  const candidateIds = new Set(candidates.map(t => String(t._id)));
+  const placedEnd = new Map();
+  const failed = new Map();
+  const scheduled = [];
+
+  const place = (task, after) => {
+    const duration = task.estimatedDuration || DEFAULT_BUSY_MINUTES;
+    if (duration > workEnd - workStart) return 'Longer than a working day';
+
+    for (let i = 0; i < workingDays.length; i++) {
+      const day = workingDays[i];
+      let earliest = workStart;
+      if (notBefore && day.key < notBefore.key) continue;
+      if (notBefore && day.key === notBefore.key) earliest = Math.max(earliest, notBefore.minutes);
+      if (after !== null) {
+        if (position(i, workEnd) <= after) continue;
+        if (after > position(i, 0)) earliest = Math.max(earliest, after - position(i, 0));
+      }
+
+      const slot = freeIntervals({ start: earliest, end: workEnd }, reserved[i])
+        .find(free => free.end - free.start >= duration);
+      if (slot) {
+        reserved[i].push({ start: slot.start, end: slot.start + duration + breakMinutes });
+        placedEnd.set(String(task._id), position(i, slot.start + duration));
+        scheduled.push({
+          task,
+          scheduledDate: day.key,
+          scheduledTime: formatClock(slot.start),
+          endTime: formatClock(slot.start + duration),
+          duration
+        });
+        return null;
+      }
+    }
+    return 'No free time in the date range';
+  };
+
+  let queue = candidates.slice().sort(compareCandidates);
+  let progress = true;
+  while (queue.length > 0 && progress) {
+    progress = false;
+    queue = queue.filter(task => {
+      const waitingOn = (task.blockedBy || []).map(String).filter(id => candidateIds.has(id));
+      if (waitingOn.some(id => !placedEnd.has(id) && !failed.has(id))) return true;
+
+      progress = true;
+      if (waitingOn.some(id => failed.has(id))) {
+        failed.set(String(task._id), 'Waiting on a blocking task that could not be scheduled');
+        return false;
+      }
+
+      const after = waitingOn.length > 0 ? Math.max(...waitingOn.map(id => placedEnd.get(id))) : null;
+      const reason = place(task, after);
+      if (reason) failed.set(String(task._id), reason);
+      return false;
+    });
+  }
+  queue.forEach(task => failed.set(String(task._id), 'Blocking tasks depend on each other'));
+
+  return {
+    scheduled,
+    unscheduled: candidates
+      .filter(task => failed.has(String(task._id)))
+      .map(task => ({ task, reason: failed.get(String(task._id)) }))
+  };
+}
+
+module.exports = {
+  DEFAULT_WORKING_HOURS,
+  DEFAULT_BUSY_MINUTES,
+  freeIntervals,
+  planSchedule
+};
@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const moment = require('moment');
+const Session = require('../models/Session');
+const ApiToken = require('../models/ApiToken');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+// How long the token a refresh replaced is taken as a concurrent refresh rather than a replay
+const REFRESH_GRACE_SECONDS = 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Refresh tokens name their session so the lookup doesn't need the secret part
+const newRefreshToken = (session) => `${session._id}.${crypto.randomBytes(32).toString('hex')}`;
+
+// Short-lived access token for a session
+const signAccessToken = (session) => jwt.sign(
+  { userId: session.userId, sessionId: session._id },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+// The token pair returned to the client for a session
+function tokenResponse(session, refreshToken) {
+  const token = signAccessToken(session);
+  return {
+    token,
+    expiresAt: new Date(jwt.decode(token).exp * 1000),
+    refreshToken,
+    refreshExpiresAt: session.expiresAt
+  };
+}
+
+// Start a session for the user on the device making the request
+async function createSession(user, req) {
+  const session = new Session({
+    userId: user._id,
+    refreshTokenHash: 'pending',
+    userAgent: req.get('User-Agent'),
+    ip: req.ip,
+    expiresAt: moment().add(REFRESH_TOKEN_TTL_DAYS, 'days').toDate()
+  });
+  const refreshToken = newRefreshToken(session);
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return tokenResponse(session, refreshToken);
+}
+
+// Exchange a refresh token for a new token pair. Each refresh token works once:
+// presenting the token the last refresh replaced, after a short grace period for
+// concurrent refreshes, means it leaked, so the whole session is revoked.
+// Returns null when the token can't be used.
+async function rotateSession(refreshToken, req) {
+  const [sessionId] = String(refreshToken).split('.');
+  if (!sessionId || !/^[0-9a-f]{24}$/.test(sessionId)) return null;
+
+  // The hash is swapped only while it still matches, so of two concurrent refreshes
+  // with the same token exactly one succeeds
+  const tokenHash = hashToken(refreshToken);
+  const nextToken = newRefreshToken({ _id: sessionId });
+  const now = new Date();
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: sessionId,
+      refreshTokenHash: tokenHash,
+      revokedAt: null,
+      expiresAt: { $gt: now }
+    },
+    {
+      $set: {
+        refreshTokenHash: hashToken(nextToken),
+        previousTokenHash: tokenHash,
+        rotatedAt: now,
+        lastUsedAt: now,
+        ip: req.ip,
+        expiresAt: moment(now).add(REFRESH_TOKEN_TTL_DAYS, 'days').toDate(),
+        ...(req.get('User-Agent') ? { userAgent: req.get('User-Agent') } : {})
+      }
+    },
+    { new: true }
+  );
+  if (session) {
+    return { userId: session.userId, ...tokenResponse(session, nextToken) };
+  }
+
+  // A replayed rotated-out token revokes the session. Within the grace period it is the
+  // losing side of a concurrent refresh, and unknown tokens never matched the session,
+  // so both are refused without touching it.
+  await Session.updateOne(
+    {
+      _id: sessionId,
+      previousTokenHash: tokenHash,
+      rotatedAt: { $lte: moment(now).subtract(REFRESH_GRACE_SECONDS, 'seconds').toDate() },
+      revokedAt: null,
+      expiresAt: { $gt: now }
+    },
+    { $set: { revokedAt: now } }
+  );
+  return null;
+}
+
+// Revoke every active session of a user, optionally keeping one
+const revokeUserSessions = (userId, exceptSessionId) => Session.updateMany(
+  {
+    userId,
+    revokedAt: null,
+    ...(exceptSessionId ? { _id: { $ne: exceptSessionId } } : {})
+  },
+  { $set: { revokedAt: new Date() } }
+);
+
+// API tokens name their record like refresh tokens; the prefix makes them easy to spot in leaks
+const API_TOKEN_PREFIX = 'pxt_';
+
+// Create an API token; returns the record and the token, which isn't stored
+async function createApiToken(userId, { name, expiresAt }) {
+  const record = new ApiToken({ userId, name, expiresAt, tokenHash: 'pending' });
+  const token = `${API_TOKEN_PREFIX}${record._id}.${crypto.randomBytes(32).toString('hex')}`;
+  record.tokenHash = hashToken(token);
+  record.hint = token.slice(-4);
+  await record.save();
+
+  return { apiToken: record, token };
+}
+
+// The active API token record for a token, or null
+async function findApiToken(token) {
+  const match = /^pxt_([0-9a-f]{24})\./.exec(String(token));
+  const record = match ? await ApiToken.findById(match[1]) : null;
+  if (!record || !record.isActive() || record.tokenHash !== hashToken(token)) return null;
+
+  return record;
+}
+
+module.exports = {
+  hashToken,
+  createSession,
+  rotateSession,
+  revokeUserSessions,
+  API_TOKEN_PREFIX,
+  createApiToken,
+  findApiToken
+};
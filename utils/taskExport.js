@@ -0,0 +1,263 @@
+const moment = require('moment-timezone');
+const Task = require('../models/Task');
+const Project = require('../models/Project');
+const { expandTask } = require('./recurrence');
+const { buildStatusFilter, matchesStatusFilter } = require('./taskQuery');
+const { getCategories, categoryName } = require('./categories');
+const { calendarDay, dayOf, dayBounds, DAY_FORMAT } = require('./timezone');
+const { formatCSVRow } = require('./csv');
+const { excelDate, createXLSXWriter } = require('./xlsx');
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+// iso: days as YYYY-MM-DD, times as ISO 8601 in UTC; local: times as YYYY-MM-DD HH:mm:ss in
+// the user's time zone; unix: seconds since the epoch, days from their start in the user's
+// time zone. Any other value is used as a moment.js format pattern in the user's time zone.
+const DATE_FORMATS = ['iso', 'local', 'unix'];
+
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+const hasEstimateAndActual = (task) => task.estimatedDuration > 0 && task.actualDuration > 0;
+
+// Export columns in their default order. Types: string, number, boolean, list, day (a
+// calendar day) and datetime (an instant).
+const TASK_EXPORT_COLUMNS = [
+  { key: 'id', header: 'Task ID', type: 'string', value: (task) => String(task._id) },
+  { key: 'occurrenceDate', header: 'Occurrence Date', type: 'string', value: (task) => task.occurrenceDate },
+  { key: 'recurring', header: 'Recurring', type: 'boolean', value: (task) => Boolean(task.isOccurrence) },
+  { key: 'title', header: 'Title', type: 'string', value: (task) => task.title },
+  { key: 'description', header: 'Description', type: 'string', value: (task) => task.description },
+  { key: 'category', header: 'Category', type: 'string', value: (task) => task.category },
+  {
+    key: 'categoryName',
+    header: 'Category Name',
+    type: 'string',
+    value: (task, context) => (task.category ? categoryName(context.categories, task.category) : null)
+  },
+  { key: 'projectId', header: 'Project ID', type: 'string', value: (task) => task.projectId && String(task.projectId) },
+  {
+    key: 'projectName',
+    header: 'Project Name',
+    type: 'string',
+    value: (task, context) => task.projectId && context.projectNames.get(String(task.projectId))
+  },
+  { key: 'priority', header: 'Priority', type: 'string', value: (task) => task.priority },
+  { key: 'status', header: 'Status', type: 'string', value: (task) => task.status },
+  { key: 'tags', header: 'Tags', type: 'list', value: (task) => task.tags || [] },
+  { key: 'scheduledDate', header: 'Scheduled Date', type: 'day', value: (task) => task.scheduledDate },
+  { key: 'scheduledTime', header: 'Scheduled Time', type: 'string', value: (task) => task.scheduledTime },
+  { key: 'estimatedDuration', header: 'Estimated Duration (min)', type: 'number', value: (task) => task.estimatedDuration },
+  { key: 'actualDuration', header: 'Actual Duration (min)', type: 'number', value: (task) => task.actualDuration },
+  {
+    key: 'durationVariance',
+    header: 'Duration Variance (min)',
+    type: 'number',
+    value: (task) => (hasEstimateAndActual(task) ? task.actualDuration - task.estimatedDuration : null)
+  },
+  {
+    key: 'durationRatio',
+    header: 'Actual / Estimated',
+    type: 'number',
+    value: (task) => (hasEstimateAndActual(task) ? round(task.actualDuration / task.estimatedDuration) : null)
+  },
+  { key: 'completedAt', header: 'Completed At', type: 'datetime', value: (task) => task.completedAt },
+  {
+    // Days between the scheduled day and the day the task was completed, negative when early
+    key: 'completionLagDays',
+    header: 'Completion Lag (days)',
+    type: 'number',
+    value: (task, context) => (task.completedAt
+      ? dayOf(task.completedAt, context.timeZone).diff(calendarDay(task.scheduledDate), 'days')
+      : null)
+  },
+  { key: 'productivityScore', header: 'Productivity Score', type: 'number', value: (task) => task.productivityScore },
+  {
+    key: 'checklistTotal',
+    header: 'Checklist Items',
+    type: 'number',
+    value: (task) => (task.checklist || []).length
+  },
+  {
+    key: 'checklistDone',
+    header: 'Checklist Items Done',
+    type: 'number',
+    value: (task) => (task.checklist || []).filter(item => item.done).length
+  },
+  { key: 'parentId', header: 'Parent Task ID', type: 'string', value: (task) => task.parentId && String(task.parentId) },
+  { key: 'blockedBy', header: 'Blocked By', type: 'list', value: (task) => (task.blockedBy || []).map(String) },
+  { key: 'workspaceId', header: 'Workspace ID', type: 'string', value: (task) => task.workspaceId && String(task.workspaceId) },
+  { key: 'assigneeId', header: 'Assignee ID', type: 'string', value: (task) => task.assigneeId && String(task.assigneeId) },
+  { key: 'createdAt', header: 'Created At', type: 'datetime', value: (task) => task.createdAt },
+  { key: 'updatedAt', header: 'Updated At', type: 'datetime', value: (task) => task.updatedAt }
+];
+
+// Columns picked by a "columns=title,status" parameter, in the order given
+const selectColumns = (keys) => (keys
+  ? String(keys).split(',').map(key => TASK_EXPORT_COLUMNS.find(c => c.key === key.trim())).filter(Boolean)
+  : TASK_EXPORT_COLUMNS);
+
+// Text or number form of a day or instant for CSV and JSON
+function formatDate(value, type, dateFormat, timeZone) {
+  if (value === null || value === undefined) return null;
+
+  const instant = type === 'day'
+    ? moment.tz(calendarDay(value).format(DAY_FORMAT), DAY_FORMAT, timeZone)
+    : moment.tz(value, timeZone);
+
+  switch (dateFormat) {
+    case 'iso':
+      return type === 'day' ? calendarDay(value).format(DAY_FORMAT) : moment.utc(value).toISOString();
+    case 'local':
+      return type === 'day' ? calendarDay(value).format(DAY_FORMAT) : instant.format('YYYY-MM-DD HH:mm:ss');
+    case 'unix':
+      return type === 'day' ? moment(dayBounds(value, timeZone).start).unix() : instant.unix();
+    default:
+      return instant.format(dateFormat);
+  }
+}
+
+// Value of a column for JSON: lists stay arrays, dates are formatted
+function jsonValue(column, task, context) {
+  const value = column.value(task, context);
+  if (value === undefined || value === null) return null;
+  if (column.type === 'day' || column.type === 'datetime') {
+    return formatDate(value, column.type, context.dateFormat, context.timeZone);
+  }
+  return value;
+}
+
+// Value of a column for CSV: lists are joined with semicolons
+function csvValue(column, task, context) {
+  const value = jsonValue(column, task, context);
+  return column.type === 'list' && value ? value.join('; ') : value;
+}
+
+// Typed XLSX cell of a column: dates are Excel dates in the user's time zone
+function xlsxCell(column, task, context) {
+  const value = column.value(task, context);
+  if (value === undefined || value === null) return { type: 'string', value: null };
+
+  switch (column.type) {
+    case 'day':
+      return { type: 'day', value: excelDate(calendarDay(value)) };
+    case 'datetime':
+      return { type: 'datetime', value: excelDate(value, moment.tz(value, context.timeZone).utcOffset()) };
+    case 'list':
+      return { type: 'string', value: value.join('; ') };
+    default:
+      return { type: column.type, value };
+  }
+}
+
+// Row order: by scheduled day and time
+const compareRows = (a, b) =>
+  new Date(a.scheduledDate) - new Date(b.scheduledDate) ||
+  (a.scheduledTime || '').localeCompare(b.scheduledTime || '');
+
+// Async write function for a writable stream such as a response, waiting while its buffer
+// is full; fails once the stream is closed, e.g. when the client goes away
+function streamWriter(stream) {
+  return async (chunk) => {
+    if (stream.destroyed) throw new Error('Export stream closed');
+    if (stream.write(chunk)) return;
+
+    await new Promise((resolve, reject) => {
+      const done = (error) => {
+        stream.off('drain', done);
+        stream.off('close', closed);
+        if (error) reject(error); else resolve();
+      };
+      const closed = () => done(new Error('Export stream closed'));
+      stream.on('drain', done);
+      stream.on('close', closed);
+    });
+  };
+}
+
+// Write the tasks matching `filter` with their scheduled day in [start, end] through `write`,
+// an async function taking a string or Buffer, one row per task or occurrence of a recurring
+// task. Single tasks are read with a cursor, so memory use doesn't grow with the range.
+async function streamTaskExport(write, {
+  format,
+  filter,
+  statusParams = {},
+  start,
+  end,
+  columns = TASK_EXPORT_COLUMNS,
+  dateFormat = 'iso',
+  timeZone,
+  userId
+}) {
+  const projectIds = (await Task.distinct('projectId', { ...filter, scheduledDate: { $lte: end } })).filter(Boolean);
+  const projects = await Project.find({ _id: { $in: projectIds } }).select('name');
+  const context = {
+    timeZone,
+    dateFormat,
+    categories: await getCategories(userId),
+    projectNames: new Map(projects.map(project => [String(project._id), project.name]))
+  };
+
+  // Occurrences of recurring series are merged into the stream in order
+  const series = await Task.find({ ...filter, recurrence: { $ne: null }, scheduledDate: { $lte: end } });
+  const occurrences = series
+    .reduce((acc, task) => acc.concat(expandTask(task, start, end)), [])
+    .filter(occurrence => matchesStatusFilter(occurrence, statusParams))
+    .sort(compareRows);
+
+  const cursor = Task.find({
+    ...filter,
+    ...buildStatusFilter(statusParams),
+    recurrence: null,
+    scheduledDate: { $gte: start, $lte: end }
+  }).sort({ scheduledDate: 1, scheduledTime: 1, _id: 1 }).lean().cursor();
+
+  let writeRow;
+  let finish;
+  if (format === 'xlsx') {
+    const writer = await createXLSXWriter(write, { sheetName: 'Tasks', headers: columns.map(c => c.header) });
+    writeRow = (task) => writer.writeRow(columns.map(column => xlsxCell(column, task, context)));
+    finish = () => writer.end();
+  } else if (format === 'csv') {
+    // A byte order mark, so Excel reads the file as UTF-8
+    await write('\uFEFF' + formatCSVRow(columns.map(c => c.header)));
+    writeRow = (task) => write(formatCSVRow(columns.map(column => csvValue(column, task, context))));
+    finish = async () => {};
+  } else {
+    const header = JSON.stringify({
+      exportDate: moment().toISOString(),
+      dateRange: { start: calendarDay(start).format(DAY_FORMAT), end: moment.utc(end).format(DAY_FORMAT) },
+      columns: columns.map(c => c.key)
+    });
+    await write(`${header.slice(0, -1)},"data":[`);
+    let rows = 0;
+    writeRow = (task) => write((rows++ > 0 ? ',' : '') +
+      JSON.stringify(Object.fromEntries(columns.map(column => [column.key, jsonValue(column, task, context)]))));
+    finish = () => write(']}');
+  }
+
+  let next = 0;
+  for await (const task of cursor) {
+    while (next < occurrences.length && compareRows(occurrences[next], task) <= 0) {
+      await writeRow(occurrences[next++]);
+    }
+    await writeRow(task);
+  }
+  while (next < occurrences.length) {
+    await writeRow(occurrences[next++]);
+  }
+
+  await finish();
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  DATE_FORMATS,
+  TASK_EXPORT_COLUMNS,
+  selectColumns,
+  streamWriter,
+  streamTaskExport
+};
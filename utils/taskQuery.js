@@ -0,0 +1,217 @@
+const mongoose = require('mongoose');
+
+const PRIORITY_RANK = {
+  low: 1,
+  medium: 2,
+  high: 3,
+  urgent: 4
+};
+
+// Sortable keys of GET /api/tasks. Missing values are replaced by a sentinel of
+// the same type so that sorting and cursor comparisons stay consistent.
+const SORT_FIELDS = {
+  scheduledDate: { path: 'scheduledDate', empty: new Date(0) },
+  scheduledTime: { path: 'scheduledTime', empty: '' },
+  createdAt: { path: 'createdAt', empty: new Date(0) },
+  updatedAt: { path: 'updatedAt', empty: new Date(0) },
+  completedAt: { path: 'completedAt', empty: new Date(0) },
+  title: { path: 'title', empty: '' },
+  status: { path: 'status', empty: '' },
+  category: { path: 'category', empty: '' },
+  estimatedDuration: { path: 'estimatedDuration', empty: 0 },
+  priority: { path: 'priority', empty: 0 },
+  relevance: { path: 'score', empty: 0 }
+};
+
+const DEFAULT_SORT = 'scheduledDate,scheduledTime';
+
+const splitList = (value) => String(value).split(',').map(v => v.trim()).filter(Boolean);
+
+// Parse "sort=-priority,scheduledDate" into [{ field, direction }], always ending with _id
+function parseSort(sortParam, hasSearch) {
+  const keys = splitList(sortParam || (hasSearch ? 'relevance' : DEFAULT_SORT));
+  const sort = keys.map(key => ({
+    field: key.replace(/^[-+]/, ''),
+    // Relevance reads naturally as "best match first"
+    direction: key.startsWith('-') || (key === 'relevance') ? -1 : 1
+  }));
+
+  const unknown = sort.find(s => !SORT_FIELDS[s.field]);
+  if (unknown) {
+    throw new Error(`Unknown sort key: ${unknown.field}`);
+  }
+  if (sort.some(s => s.field === 'relevance') && !hasSearch) {
+    throw new Error('Sorting by relevance requires a search query');
+  }
+
+  return sort.concat({ field: '_id', direction: sort.length > 0 ? sort[sort.length - 1].direction : 1 });
+}
+
+// Build the MongoDB filter for the task list query parameters on top of the
+// tasks the user can see. Status and completion window are handled separately
+// because recurring occurrences can only be checked against them after expansion.
+function buildTaskFilter(scope, params) {
+  const { category, projectId, priority, tags, tagMode, q } = params;
+  const filter = { ...scope };
+
+  if (category) filter.category = { $in: splitList(category) };
+  // Aggregation pipelines don't cast, so IDs are converted here
+  if (projectId) filter.projectId = mongoose.isValidObjectId(projectId) ? new mongoose.Types.ObjectId(projectId) : projectId;
+  if (priority) filter.priority = { $in: splitList(priority) };
+  if (tags) {
+    const tagList = splitList(tags).map(tag => tag.toLowerCase());
+    filter.tags = tagMode === 'any' ? { $in: tagList } : { $all: tagList };
+  }
+  if (q) filter.$text = { $search: String(q) };
+
+  return filter;
+}
+
+// Filter on the per-occurrence fields: status and completion window
+function buildStatusFilter(params) {
+  const { status, completedFrom, completedTo } = params;
+  const filter = {};
+
+  if (status) filter.status = { $in: splitList(status) };
+  if (completedFrom || completedTo) {
+    filter.completedAt = {};
+    if (completedFrom) filter.completedAt.$gte = new Date(completedFrom);
+    if (completedTo) filter.completedAt.$lte = new Date(completedTo);
+  }
+
+  return filter;
+}
+
+// In-memory equivalent of buildStatusFilter for expanded occurrences
+function matchesStatusFilter(task, params) {
+  const { status, completedFrom, completedTo } = params;
+
+  if (status && !splitList(status).includes(task.status)) return false;
+  if (completedFrom && !(task.completedAt && new Date(task.completedAt) >= new Date(completedFrom))) return false;
+  if (completedTo && !(task.completedAt && new Date(task.completedAt) <= new Date(completedTo))) return false;
+  return true;
+}
+
+// Value of a sort key on a task, as stored in the aggregation's sort fields
+function sortValue(task, field) {
+  // Occurrences share the series ID, so the occurrence date tells them apart
+  if (field === '_id') return task.occurrenceDate ? `${task._id}:${task.occurrenceDate}` : task._id;
+  if (field === 'priority') return PRIORITY_RANK[task.priority] || SORT_FIELDS.priority.empty;
+
+  const value = task[SORT_FIELDS[field].path];
+  return value === undefined || value === null ? SORT_FIELDS[field].empty : value;
+}
+
+const sortFieldName = (field) => (field === '_id' ? '_id' : `_sort_${field}`);
+
+// Aggregation stage adding one normalised field per sort key
+function sortFieldsStage(sort) {
+  return sort
+    .filter(s => s.field !== '_id')
+    .reduce((fields, { field }) => {
+      const { path, empty } = SORT_FIELDS[field];
+      if (field === 'relevance') {
+        fields[sortFieldName(field)] = { $meta: 'textScore' };
+      } else if (field === 'priority') {
+        fields[sortFieldName(field)] = {
+          $switch: {
+            branches: Object.keys(PRIORITY_RANK).map(p => ({ case: { $eq: ['$priority', p] }, then: PRIORITY_RANK[p] })),
+            default: empty
+          }
+        };
+      } else {
+        fields[sortFieldName(field)] = { $ifNull: [`$${path}`, empty] };
+      }
+      return fields;
+    }, {});
+}
+
+// Aggregation $sort stage for the sort keys
+const sortStage = (sort) => sort.reduce((stage, { field, direction }) => {
+  stage[sortFieldName(field)] = direction;
+  return stage;
+}, {});
+
+// Encode the sort values of the last item of a page as an opaque cursor
+function encodeCursor(task, sort) {
+  const values = sort.map(({ field }) => {
+    const value = sortValue(task, field);
+    if (value instanceof Date) return { d: value.toISOString() };
+    if (value instanceof mongoose.Types.ObjectId) return { o: String(value) };
+    return { v: value };
+  });
+  return Buffer.from(JSON.stringify(values)).toString('base64url');
+}
+
+function decodeCursor(cursor, sort) {
+  let values;
+  try {
+    values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error('Invalid cursor');
+  }
+  if (!Array.isArray(values) || values.length !== sort.length) {
+    throw new Error('Invalid cursor');
+  }
+
+  return values.map(value => {
+    if (value && value.d !== undefined) return new Date(value.d);
+    if (value && value.o !== undefined) return new mongoose.Types.ObjectId(value.o);
+    return value ? value.v : undefined;
+  });
+}
+
+// Keyset condition selecting the items that come after the cursor
+function cursorCondition(sort, values) {
+  const branches = sort.map((key, i) => {
+    const branch = {};
+    sort.slice(0, i).forEach((previous, j) => {
+      branch[sortFieldName(previous.field)] = values[j];
+    });
+    branch[sortFieldName(key.field)] = { [key.direction === 1 ? '$gt' : '$lt']: values[i] };
+    return branch;
+  });
+  return { $or: branches };
+}
+
+const compareValues = (a, b) => {
+  if (a instanceof Date || b instanceof Date) return new Date(a) - new Date(b);
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b));
+};
+
+// In-memory comparator matching the aggregation sort
+function compareTasks(sort) {
+  return (a, b) => {
+    for (const { field, direction } of sort) {
+      const result = compareValues(sortValue(a, field), sortValue(b, field));
+      if (result !== 0) return result * direction;
+    }
+    return 0;
+  };
+}
+
+// In-memory equivalent of cursorCondition
+function isAfterCursor(task, sort, values) {
+  for (let i = 0; i < sort.length; i++) {
+    const result = compareValues(sortValue(task, sort[i].field), values[i]) * sort[i].direction;
+    if (result !== 0) return result > 0;
+  }
+  return false;
+}
+
+module.exports = {
+  PRIORITY_RANK,
+  parseSort,
+  buildTaskFilter,
+  buildStatusFilter,
+  matchesStatusFilter,
+  sortValue,
+  sortFieldsStage,
+  sortStage,
+  encodeCursor,
+  decodeCursor,
+  cursorCondition,
+  compareTasks,
+  isAfterCursor
+};
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+const moment = require('moment');
+const TimeEntry = require('../models/TimeEntry');
+const { isOccurrence, toDateKey, DATE_KEY_FORMAT } = require('./recurrence');
+
+// Score a completed task by how well the actual time matched the estimate
+function calculateProductivityScore(estimatedDuration, actualDuration) {
+  if (!actualDuration || !estimatedDuration) return null;
+  const timeEfficiency = (estimatedDuration / actualDuration) * 100;
+  return Math.min(100, Math.max(0, timeEfficiency));
+}
+
+// Recalculate actualDuration from finished time entries: a regular task's from all of its
+// entries, an occurrence of a recurring task's from the entries tracked on that occurrence
+// (`occurrenceDate`, or every occurrence with entries). Completed ones are re-scored.
+async function syncActualDuration(task, occurrenceDate) {
+  const totals = await TimeEntry.aggregate([
+    { $match: { taskId: new mongoose.Types.ObjectId(task._id), running: false } },
+    { $group: { _id: '$occurrenceDate', duration: { $sum: '$duration' } } }
+  ]);
+  const durationOf = (date) => {
+    const total = totals.find(t => (t._id || null) === (date || null));
+    return total ? total.duration : 0;
+  };
+  const rescore = (target) => {
+    if (target.status !== 'completed') return;
+    const score = calculateProductivityScore(task.estimatedDuration, target.actualDuration);
+    if (score !== null) target.productivityScore = score;
+  };
+
+  if (task.recurrence) {
+    // Occurrences keep their tracked time in their exceptions
+    if (!task.exceptions) task.exceptions = [];
+    const dates = occurrenceDate ? [occurrenceDate] : totals.map(t => t._id).filter(Boolean);
+    dates.forEach(date => {
+      let exception = task.exceptions.find(e => e.date === date);
+      if (!exception) {
+        task.exceptions.push({ date });
+        exception = task.exceptions[task.exceptions.length - 1];
+      }
+      exception.actualDuration = durationOf(date);
+      rescore(exception);
+    });
+  } else {
+    task.actualDuration = durationOf(null);
+    rescore(task);
+  }
+
+  await task.save();
+  return task;
+}
+
+// The occurrence of a recurring task time is tracked on when done on `day`: the day's own
+// occurrence. Undefined for regular tasks, null when the series has no occurrence that day.
+function entryOccurrence(task, day) {
+  if (!task.recurrence) return undefined;
+  return day.isValid() && isOccurrence(task, day) ? toDateKey(day) : null;
+}
+
+// The calendar day whose metrics a task's time entries count towards
+function entryMetricsDay(task, occurrenceDate) {
+  if (!occurrenceDate) return task.scheduledDate;
+  const exception = (task.exceptions || []).find(e => e.date === occurrenceDate);
+  return (exception && exception.scheduledDate) || moment.utc(occurrenceDate, DATE_KEY_FORMAT).toDate();
+}
+
+// Stop the user's running timer, if any, returning the stopped entry
+async function stopRunningTimer(userId, at = new Date()) {
+  const entry = await TimeEntry.findOne({ userId, running: true });
+  if (!entry) return null;
+
+  entry.endedAt = at;
+  entry.running = false;
+  await entry.save();
+  return entry;
+}
+
+module.exports = {
+  calculateProductivityScore,
+  syncActualDuration,
+  entryOccurrence,
+  entryMetricsDay,
+  stopRunningTimer
+};
@@ -0,0 +1,84 @@
+const moment = require('moment-timezone');
+const User = require('../models/User');
+
+// Calendar days (Task.scheduledDate, Productivity.date) are stored as midnight UTC
+// and mean the same day wherever the user is. The user's time zone decides which
+// day an instant (now, completedAt, a focus session start) falls on.
+const DEFAULT_TIME_ZONE = process.env.DEFAULT_TIME_ZONE || 'UTC';
+const DAY_FORMAT = 'YYYY-MM-DD';
+const MINUTES_PER_DAY = 24 * 60;
+
+// Time formats accepted for scheduledTime; stored times are normalised to HH:mm
+const TIME_FORMATS = ['HH:mm', 'H:mm', 'h:mm A', 'h:mmA', 'h A', 'hA', 'HH:mm:ss'];
+
+const isValidTimeZone = (timeZone) => Boolean(timeZone && moment.tz.zone(String(timeZone)));
+
+const userTimeZone = (user) => (user && isValidTimeZone(user.timeZone) ? user.timeZone : DEFAULT_TIME_ZONE);
+
+async function getTimeZone(userId) {
+  return userTimeZone(await User.findById(userId).select('timeZone'));
+}
+
+// A stored calendar day as a UTC moment
+const calendarDay = (date) => moment.utc(date).startOf('day');
+
+// The calendar day an instant falls on in a time zone
+const dayOf = (instant, timeZone) => moment.utc(moment.tz(instant, timeZone).format(DAY_FORMAT), DAY_FORMAT);
+
+const today = (timeZone) => dayOf(new Date(), timeZone);
+
+// Read a day sent by a client. Plain dates ("2024-03-01") and timestamps without an
+// offset are taken as written; timestamps with an offset or Z are placed on the day
+// they fall on in the user's time zone. Returns an invalid moment when unreadable.
+function parseDay(value, timeZone) {
+  if (value instanceof Date) return dayOf(value, timeZone);
+
+  const text = String(value).trim();
+  const hasOffset = /T.*(Z|[+-]\d{2}:?\d{2})$/i.test(text);
+  const parsed = hasOffset
+    ? moment.tz(text, moment.ISO_8601, true, timeZone)
+    : moment.utc(text, moment.ISO_8601, true);
+
+  return parsed.isValid() ? moment.utc(parsed.format(DAY_FORMAT), DAY_FORMAT) : parsed;
+}
+
+// The instants at which a calendar day starts and ends in a time zone
+function dayBounds(day, timeZone) {
+  const start = moment.tz(calendarDay(day).format(DAY_FORMAT), DAY_FORMAT, timeZone);
+  return { start: start.toDate(), end: start.clone().endOf('day').toDate() };
+}
+
+// Calendar-day range of a startDate/endDate query, defaulting to the last `defaultDays` days
+function dateRange({ startDate, endDate }, timeZone, defaultDays = 30) {
+  const start = startDate ? parseDay(startDate, timeZone) : today(timeZone).subtract(defaultDays, 'days');
+  const end = endDate ? parseDay(endDate, timeZone) : today(timeZone);
+  return { start: start.startOf('day').toDate(), end: end.endOf('day').toDate() };
+}
+
+// Minutes since midnight of a time like "09:30" or "2 PM", or null when it isn't a clock time
+function clockMinutes(time) {
+  const parsed = moment.utc(String(time || '').trim(), TIME_FORMATS, true);
+  return parsed.isValid() ? parsed.hours() * 60 + parsed.minutes() : null;
+}
+
+// "HH:mm" for minutes since midnight; the end of a day is "24:00"
+const formatClock = (minutes) =>
+  `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  DAY_FORMAT,
+  MINUTES_PER_DAY,
+  TIME_FORMATS,
+  isValidTimeZone,
+  userTimeZone,
+  getTimeZone,
+  calendarDay,
+  dayOf,
+  today,
+  parseDay,
+  dayBounds,
+  dateRange,
+  clockMinutes,
+  formatClock
+};
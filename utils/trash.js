@@ -0,0 +1,76 @@
+const moment = require('moment');
+const Task = require('../models/Task');
+const TimeEntry = require('../models/TimeEntry');
+const Reminder = require('../models/Reminder');
+const TaskActivity = require('../models/TaskActivity');
+const { stopRunningTimer, syncActualDuration } = require('./timeTracking');
+const { syncTaskReminders } = require('./reminders');
+
+// Days a task stays in the trash before it is deleted for good
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+const BATCH_SIZE = 100;
+
+const purgeDate = (task) => moment(task.deletedAt).add(TRASH_RETENTION_DAYS, 'days').toDate();
+
+// Move a task to the trash. It keeps its time entries, reminders and history so it
+// can be restored, but no longer shows up or counts anywhere.
+async function trashTask(task, actor) {
+  task.deletedAt = new Date();
+  task.deletedBy = actor;
+
+  // Timers still running on the task are stopped and counted first
+  const running = await TimeEntry.find({ taskId: task._id, running: true });
+  for (const entry of running) {
+    await stopRunningTimer(entry.userId, task.deletedAt);
+  }
+  if (running.length > 0) {
+    await syncActualDuration(task);
+  } else {
+    await task.save();
+  }
+
+  await Reminder.updateMany({ taskId: task._id }, { $set: { nextFireAt: null } });
+}
+
+// Take a task out of the trash
+async function restoreTask(task) {
+  task.deletedAt = null;
+  task.deletedBy = undefined;
+  await task.save();
+
+  await syncTaskReminders(task);
+}
+
+// Delete a trashed task for good, with its time entries, reminders and history, and
+// unlink it from the tasks it blocked and its subtasks, in the trash or not
+async function purgeTask(task) {
+  await Task.deleteOne({ _id: task._id, deletedAt: { $ne: null } });
+  await TimeEntry.deleteMany({ taskId: task._id });
+  await Reminder.deleteMany({ taskId: task._id });
+  await TaskActivity.deleteMany({ taskId: task._id });
+
+  for (const deletedAt of [null, { $ne: null }]) {
+    await Task.updateMany({ blockedBy: task._id, deletedAt }, { $pull: { blockedBy: task._id } });
+    await Task.updateMany({ parentId: task._id, deletedAt }, { $unset: { parentId: 1 } });
+  }
+}
+
+// Delete the tasks that have been in the trash longer than the retention period
+async function purgeExpiredTrash(now = new Date()) {
+  const cutoff = moment(now).subtract(TRASH_RETENTION_DAYS, 'days').toDate();
+  const expired = await Task.find({ deletedAt: { $ne: null, $lte: cutoff } }).limit(BATCH_SIZE);
+
+  for (const task of expired) {
+    await purgeTask(task);
+  }
+  return expired.length;
+}
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  purgeDate,
+  trashTask,
+  restoreTask,
+  purgeTask,
+  purgeExpiredTrash
+};
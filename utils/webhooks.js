@@ -0,0 +1,162 @@
+const crypto = require('crypto');
+const moment = require('moment');
+const Webhook = require('../models/Webhook');
+const Workspace = require('../models/Workspace');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { postOutbound, isSuccessStatus } = require('./outbound');
+
+const MAX_ATTEMPTS = 6;
+// Retry n waits RETRY_MINUTES * 4^(n-1): 1, 4, 16, 64 and 256 minutes
+const RETRY_MINUTES = 1;
+const LOCK_SECONDS = 60;
+const TIMEOUT_MS = 10000;
+const BATCH_SIZE = 100;
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+// Signature header value: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>"> with the
+// webhook secret. Receivers recompute it and reject old timestamps to stop replays.
+function sign(secret, payload, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+// Take a pending delivery for an attempt, unless another instance is already on it
+function claimDelivery(filter) {
+  const now = new Date();
+  return WebhookDelivery.findOneAndUpdate({
+    ...filter,
+    status: 'pending',
+    $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+  }, {
+    $set: { lockedUntil: moment(now).add(LOCK_SECONDS, 'seconds').toDate() },
+    $inc: { attempts: 1 }
+  }, { new: true, sort: { nextAttemptAt: 1 } });
+}
+
+// POST a claimed delivery to its webhook and record the outcome, scheduling a retry on failure
+async function sendDelivery(delivery) {
+  const webhook = await Webhook.findById(delivery.webhookId);
+  const result = {};
+
+  try {
+    if (!webhook || !webhook.active) {
+      throw new Error('Webhook was removed or disabled');
+    }
+
+    const status = await postOutbound(webhook.url, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'ProductivityX-Webhooks/1.0',
+        'X-ProductivityX-Event': delivery.event,
+        'X-ProductivityX-Delivery': String(delivery._id),
+        'X-ProductivityX-Signature': sign(webhook.secret, delivery.payload)
+      },
+      body: delivery.payload,
+      timeout: TIMEOUT_MS
+    });
+    result.responseStatus = status;
+
+    // Redirects are not followed, so they count as failures too
+    if (!isSuccessStatus(status)) {
+      throw new Error(`Endpoint responded with ${status}`);
+    }
+    result.status = 'succeeded';
+    result.deliveredAt = new Date();
+    result.error = null;
+  } catch (error) {
+    result.error = error.message;
+    if (!webhook || !webhook.active || delivery.attempts >= MAX_ATTEMPTS) {
+      result.status = 'failed';
+    } else {
+      result.nextAttemptAt = moment().add(RETRY_MINUTES * 4 ** (delivery.attempts - 1), 'minutes').toDate();
+    }
+  }
+
+  return WebhookDelivery.findByIdAndUpdate(delivery._id, { $set: { ...result, lockedUntil: null } }, { new: true });
+}
+
+// Attempt one delivery now, e.g. right after the event or when replaying
+async function deliverNow(deliveryId) {
+  const delivery = await claimDelivery({ _id: deliveryId });
+  return delivery ? sendDelivery(delivery) : WebhookDelivery.findById(deliveryId);
+}
+
+// Send the deliveries whose next attempt is due; run by the notification dispatcher
+async function deliverPendingWebhooks(now = new Date()) {
+  let attempted = 0;
+  for (; attempted < BATCH_SIZE; attempted++) {
+    const delivery = await claimDelivery({ nextAttemptAt: { $lte: now } });
+    if (!delivery) break;
+    await sendDelivery(delivery);
+  }
+  return attempted;
+}
+
+// Queue deliveries of an event for the given webhooks and make the first attempt
+// without waiting for it; retries go through the dispatcher
+async function queueEvent(webhooks, event, data) {
+  if (webhooks.length === 0) return [];
+
+  const payload = JSON.stringify({ id: crypto.randomUUID(), event, createdAt: new Date(), data });
+  const deliveries = await WebhookDelivery.insertMany(webhooks.map(webhook => ({
+    webhookId: webhook._id,
+    userId: webhook.userId,
+    event,
+    payload
+  })));
+
+  deliveries.forEach(delivery => deliverNow(delivery._id).catch(error => console.error(error)));
+  return deliveries;
+}
+
+// Send an event to the webhooks of the given users that subscribe to it. Never throws,
+// so a webhook problem can't fail the change that caused the event.
+async function emitEvent(userIds, event, data) {
+  try {
+    const owners = [...new Set([].concat(userIds).filter(Boolean).map(String))];
+    const webhooks = await Webhook.find({ userId: { $in: owners }, active: true, events: event });
+    await queueEvent(webhooks, event, data);
+  } catch (error) {
+    console.error(error);
+  }
+}
+
+// Send a task event to the webhooks of the people who can see the task: the creator of a
+// personal task, or the creator and assignee of a workspace task while they are still members
+async function emitTaskEvent(task, event, data = task) {
+  if (!task.workspaceId) {
+    return emitEvent([task.userId], event, data);
+  }
+
+  try {
+    const workspace = await Workspace.findById(task.workspaceId).select('members');
+    const members = [task.userId, task.assigneeId].filter(userId => userId && workspace && workspace.roleOf(userId));
+    await emitEvent(members, event, data);
+  } catch (error) {
+    console.error(error);
+  }
+}
+
+// Send a delivery again as a new delivery with the same payload
+async function replayDelivery(delivery) {
+  const replay = await WebhookDelivery.create({
+    webhookId: delivery.webhookId,
+    userId: delivery.userId,
+    event: delivery.event,
+    payload: delivery.payload,
+    replayOf: delivery._id
+  });
+  return deliverNow(replay._id);
+}
+
+module.exports = {
+  generateSecret,
+  sign,
+  emitEvent,
+  emitTaskEvent,
+  queueEvent,
+  deliverNow,
+  deliverPendingWebhooks,
+  replayDelivery
+};
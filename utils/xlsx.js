@@ -0,0 +1,241 @@
+const zlib = require('zlib');
+
+// Streaming writer for single-sheet XLSX workbooks. The workbook is a ZIP archive of
+// XML parts; the sheet is deflated as rows come in, with sizes and checksums written
+// after each entry (data descriptors), so nothing but the entry list is kept in memory.
+
+const MAX_CELL_LENGTH = 32767;
+// Days between the Excel epoch (1899-12-30) and the Unix epoch
+const EXCEL_EPOCH_OFFSET = 25569;
+const MS_PER_DAY = 86400000;
+
+// Cell styles, indexes into cellXfs in styles.xml
+const STYLE = { header: 1, day: 2, datetime: 3 };
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer, crc = 0) {
+  let c = ~crc >>> 0;
+  for (let i = 0; i < buffer.length; i++) c = CRC_TABLE[(c ^ buffer[i]) & 0xff] ^ (c >>> 8);
+  return ~c >>> 0;
+}
+
+// MS-DOS date and time of an archive entry
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+// Characters XML 1.0 doesn't allow are dropped
+const escapeXML = (value) => String(value)
+  .replace(/[^\x09\x0A\x0D\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Excel serial number of a date; `offsetMinutes` moves an instant to local wall time
+const excelDate = (date, offsetMinutes = 0) =>
+  (new Date(date).getTime() + offsetMinutes * 60000) / MS_PER_DAY + EXCEL_EPOCH_OFFSET;
+
+// XML of one cell. Values are { type: 'string' | 'number' | 'boolean' | 'day' | 'datetime', value };
+// day and datetime values are Excel serial numbers.
+function cellXML({ type, value }, style) {
+  if (value === null || value === undefined || value === '') return '<c/>';
+
+  switch (type) {
+    case 'number':
+      return Number.isFinite(value) ? `<c><v>${value}</v></c>` : '<c/>';
+    case 'boolean':
+      return `<c t="b"><v>${value ? 1 : 0}</v></c>`;
+    case 'day':
+    case 'datetime':
+      return `<c s="${STYLE[type]}"><v>${value}</v></c>`;
+    default: {
+      const text = String(value).slice(0, MAX_CELL_LENGTH);
+      return `<c t="inlineStr"${style ? ` s="${style}"` : ''}><is><t xml:space="preserve">${escapeXML(text)}</t></is></c>`;
+    }
+  }
+}
+
+const CONTENT_TYPES = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+  '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+  '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+  '<Default Extension="xml" ContentType="application/xml"/>' +
+  '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+  '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+  '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+  '</Types>';
+
+const ROOT_RELS = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+  '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+  '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+  '</Relationships>';
+
+const WORKBOOK_RELS = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+  '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+  '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+  '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+  '</Relationships>';
+
+const STYLES = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+  '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+  '<numFmts count="2"><numFmt numFmtId="164" formatCode="yyyy-mm-dd"/><numFmt numFmtId="165" formatCode="yyyy-mm-dd hh:mm:ss"/></numFmts>' +
+  '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+  '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+  '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+  '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+  '<cellXfs count="4">' +
+  '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+  '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+  '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+  '<xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+  '</cellXfs>' +
+  '</styleSheet>';
+
+const workbookXML = (sheetName) => '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+  '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+  'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+  `<sheets><sheet name="${escapeXML(sheetName)}" sheetId="1" r:id="rId1"/></sheets>` +
+  '</workbook>';
+
+const SHEET_START = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+  '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+  '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+  '<sheetData>';
+const SHEET_END = '</sheetData></worksheet>';
+
+// Write a ZIP archive through `write`, an async function taking a Buffer
+function createZip(write) {
+  const entries = [];
+  let offset = 0;
+  const { time, date } = dosDateTime(new Date());
+
+  const output = async (buffer) => {
+    offset += buffer.length;
+    await write(buffer);
+  };
+
+  // Start a deflated entry; returns functions to add data to it and to finish it
+  async function openEntry(name) {
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const entry = { nameBuffer, offset, crc: 0, size: 0, compressedSize: 0 };
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4); // version needed
+    header.writeUInt16LE(0x0808, 6); // sizes in a data descriptor, UTF-8 names
+    header.writeUInt16LE(8, 8); // deflate
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(date, 12);
+    header.writeUInt16LE(nameBuffer.length, 26);
+    await output(Buffer.concat([header, nameBuffer]));
+
+    const deflate = zlib.createDeflateRaw();
+    const pumped = (async () => {
+      for await (const chunk of deflate) {
+        entry.compressedSize += chunk.length;
+        await output(chunk);
+      }
+    })();
+    // Failures surface from write() and close()
+    pumped.catch(() => {});
+
+    return {
+      async write(text) {
+        const buffer = Buffer.from(text, 'utf8');
+        entry.crc = crc32(buffer, entry.crc);
+        entry.size += buffer.length;
+        if (!deflate.write(buffer)) {
+          await Promise.race([new Promise(resolve => deflate.once('drain', resolve)), pumped]);
+        }
+      },
+      async close() {
+        deflate.end();
+        await pumped;
+
+        const descriptor = Buffer.alloc(16);
+        descriptor.writeUInt32LE(0x08074b50, 0);
+        descriptor.writeUInt32LE(entry.crc, 4);
+        descriptor.writeUInt32LE(entry.compressedSize, 8);
+        descriptor.writeUInt32LE(entry.size, 12);
+        await output(descriptor);
+        entries.push(entry);
+      }
+    };
+  }
+
+  async function addEntry(name, text) {
+    const entry = await openEntry(name);
+    await entry.write(text);
+    await entry.close();
+  }
+
+  // Write the central directory
+  async function finish() {
+    const directoryOffset = offset;
+
+    for (const entry of entries) {
+      const header = Buffer.alloc(46);
+      header.writeUInt32LE(0x02014b50, 0);
+      header.writeUInt16LE(20, 4); // version made by
+      header.writeUInt16LE(20, 6); // version needed
+      header.writeUInt16LE(0x0808, 8);
+      header.writeUInt16LE(8, 10);
+      header.writeUInt16LE(time, 12);
+      header.writeUInt16LE(date, 14);
+      header.writeUInt32LE(entry.crc, 16);
+      header.writeUInt32LE(entry.compressedSize, 20);
+      header.writeUInt32LE(entry.size, 24);
+      header.writeUInt16LE(entry.nameBuffer.length, 28);
+      header.writeUInt32LE(entry.offset, 42);
+      await output(Buffer.concat([header, entry.nameBuffer]));
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(offset - directoryOffset, 12);
+    end.writeUInt32LE(directoryOffset, 16);
+    await output(end);
+  }
+
+  return { openEntry, addEntry, finish };
+}
+
+// Start a workbook with one sheet whose first row holds `headers` in bold. Returns
+// writeRow(cells) to add a row of typed cells (see cellXML) and end() to finish the file.
+async function createXLSXWriter(write, { sheetName = 'Sheet1', headers }) {
+  const zip = createZip(write);
+
+  await zip.addEntry('[Content_Types].xml', CONTENT_TYPES);
+  await zip.addEntry('_rels/.rels', ROOT_RELS);
+  await zip.addEntry('xl/workbook.xml', workbookXML(sheetName));
+  await zip.addEntry('xl/_rels/workbook.xml.rels', WORKBOOK_RELS);
+  await zip.addEntry('xl/styles.xml', STYLES);
+
+  const sheet = await zip.openEntry('xl/worksheets/sheet1.xml');
+  await sheet.write(SHEET_START);
+  await sheet.write(`<row>${headers.map(header => cellXML({ type: 'string', value: header }, STYLE.header)).join('')}</row>`);
+
+  return {
+    writeRow: (cells) => sheet.write(`<row>${cells.map(cell => cellXML(cell)).join('')}</row>`),
+    async end() {
+      await sheet.write(SHEET_END);
+      await sheet.close();
+      await zip.finish();
+    }
+  };
+}
+
+module.exports = {
+  excelDate,
+  createXLSXWriter
+};